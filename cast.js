@@ -0,0 +1,94 @@
+// Largest cast a single scene prompt can keep apart reliably
+export const MAX_CAST_SIZE = 6;
+
+/**
+ * Validate and normalize cast members from a request
+ * @param {Array<{characterId: string, role?: string, relationship?: string, speaking?: boolean}>} members - Raw cast
+ * @returns {Array<{characterId: string, role: string, relationship: string|null, speaking: boolean}>}
+ * @throws {Error} - When the shape is invalid
+ */
+export function normalizeCast(members) {
+  if (!Array.isArray(members)) {
+    throw new Error('cast must be an array of { characterId, role, relationship, speaking }');
+  }
+  if (members.length > MAX_CAST_SIZE) {
+    throw new Error(`A cast can have at most ${MAX_CAST_SIZE} characters`);
+  }
+
+  const seen = new Set();
+  return members.map((member, index) => {
+    if (!member || typeof member.characterId !== 'string' || !member.characterId) {
+      throw new Error(`cast[${index}].characterId is required`);
+    }
+    if (seen.has(member.characterId)) {
+      throw new Error(`Character ${member.characterId} is in the cast twice`);
+    }
+    seen.add(member.characterId);
+
+    return {
+      characterId: member.characterId,
+      role: (typeof member.role === 'string' && member.role.trim()) || (index === 0 ? 'lead' : 'supporting'),
+      relationship: (typeof member.relationship === 'string' && member.relationship.trim()) || null,
+      speaking: member.speaking !== false
+    };
+  });
+}
+
+/**
+ * Work out which cast members a scene is about
+ * Uses the scene's own character list when it has one (storyboards include it),
+ * otherwise names/roles mentioned in the text. Falls back to the whole cast.
+ * @param {object[]} cast - Resolved cast members ({ name, role })
+ * @param {string} sceneText - Prompt plus any scene fields
+ * @param {string[]} sceneCharacters - Character names listed on the scene
+ * @returns {object[]}
+ */
+export function castInScene(cast, sceneText, sceneCharacters = []) {
+  const listed = (sceneCharacters || []).map(name => String(name).toLowerCase());
+  const text = (sceneText || '').toLowerCase();
+
+  const inScene = listed.length
+    ? cast.filter(member => listed.includes(member.name.toLowerCase()))
+    : cast.filter(member => text.includes(member.name.toLowerCase()) || text.includes(member.role.toLowerCase()));
+
+  return inScene.length ? inScene : cast;
+}
+
+/**
+ * Describe a cast for a prompt, one block per character
+ *
+ * Every member gets their own appearance, traits and (when attached) the
+ * numbers of their reference images, so the model never blends two characters.
+ *
+ * @param {object[]} cast - Resolved cast members ({ name, role, relationship, speaking, styleGuide, traits, referenceNumbers })
+ * @returns {string}
+ */
+export function describeCast(cast) {
+  if (!cast.length) return '';
+
+  const blocks = cast.map((member, index) => {
+    const char = member.styleGuide?.character || {};
+    const lines = [
+      `${index + 1}. ${member.name} - ${member.role}${member.relationship ? ` (${member.relationship})` : ''}`,
+      member.speaking ? '   Speaking role' : '   NON-SPEAKING: visible but silent, reacts with expressions only',
+      char.appearance && `   Appearance: ${char.appearance}`,
+      char.details && `   Details: ${char.details}`,
+      char.colorPalette?.length && `   Colors: ${char.colorPalette.join(', ')}`,
+      member.traits?.mandatory?.length && `   Must have: ${member.traits.mandatory.join('; ')}`,
+      member.traits?.forbidden?.length && `   Never: ${member.traits.forbidden.join('; ')}`,
+      member.referenceNumbers?.length && `   Reference image(s): #${member.referenceNumbers.join(', #')}`
+    ];
+    return lines.filter(Boolean).join('\n');
+  });
+
+  const styles = [...new Set(cast.map(member => member.styleGuide?.character?.visualStyle).filter(Boolean))];
+
+  return `
+CAST (${cast.length} character${cast.length === 1 ? '' : 's'} - keep every identity distinct):
+${blocks.join('\n\n')}
+${styles.length ? `\nShared art style: ${styles.join(' / ')}\n` : ''}
+CAST RULES:
+- Each character keeps their OWN face, colors, proportions and outfit - never swap or blend features between them
+- Refer to characters by name; only the characters listed above may appear
+- Only speaking characters have dialogue`;
+}
@@ -0,0 +1,89 @@
+/**
+ * Whether an error is a rate limit / quota error from an AI provider
+ * (Google GenAI reports 429 RESOURCE_EXHAUSTED, sometimes only in the message)
+ * @param {Error} err - Error thrown by the client
+ * @returns {boolean}
+ */
+export function isRateLimitError(err) {
+  return err?.status === 429
+    || err?.code === 429
+    || /\b429\b|RESOURCE_EXHAUSTED|rate limit|quota/i.test(err?.message || '');
+}
+
+/**
+ * How long the provider asked us to wait, when it says ("retryDelay": "27s", "retry in 3.5s")
+ * @param {Error} err - Rate limit error
+ * @returns {number|null} - Milliseconds
+ */
+export function retryAfterMs(err) {
+  const match = (err?.message || '').match(/retry(?:Delay| in| after)["':\s]*([\d.]+)\s*s/i);
+  return match ? Math.ceil(parseFloat(match[1]) * 1000) : null;
+}
+
+/**
+ * Run tasks with a limited number in flight, slowing down on rate limits
+ *
+ * When a task hits a rate limit every worker pauses for the backoff (the
+ * provider's retry delay, or exponential from backoffMs), the pool drops one
+ * worker (never below one) and the task is queued again, up to maxRetries
+ * times. Any other error fails just that task.
+ *
+ * @param {number} count - Number of tasks (run as task(0) ... task(count - 1))
+ * @param {function(number): Promise<*>} task - Runs one task by index
+ * @param {object} options
+ * @param {number} options.concurrency - Tasks in flight at the start
+ * @param {number} options.maxRetries - Rate limit retries per task
+ * @param {number} options.backoffMs - First backoff when the provider gives no delay
+ * @param {function(): boolean} options.shouldStop - Checked before starting each task
+ * @param {function(number, object): void} options.onResult - Called with (index, outcome) as each task settles
+ * @param {function(object): void} options.onRateLimit - Called with { index, attempt, delayMs, concurrency }
+ * @returns {Promise<Array<{ok: boolean, value?: *, error?: Error}|undefined>>} - Outcomes by index
+ *   (undefined for tasks that never started because shouldStop said so)
+ */
+export async function runAdaptivePool(count, task, {
+  concurrency = 1,
+  maxRetries = 3,
+  backoffMs = 2000,
+  shouldStop = () => false,
+  onResult = () => {},
+  onRateLimit = () => {}
+} = {}) {
+  const queue = [...Array(count).keys()];
+  const retries = new Array(count).fill(0);
+  const outcomes = new Array(count);
+  let limit = Math.max(1, Math.min(concurrency, count));
+  let pausedUntil = 0;
+
+  async function worker(id) {
+    while (queue.length && !shouldStop()) {
+      // The pool shrank after a rate limit
+      if (id >= limit) return;
+
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+        continue;
+      }
+
+      const index = queue.shift();
+      try {
+        outcomes[index] = { ok: true, value: await task(index) };
+      } catch (err) {
+        if (isRateLimitError(err) && retries[index] < maxRetries) {
+          retries[index]++;
+          const delayMs = retryAfterMs(err) ?? backoffMs * 2 ** (retries[index] - 1);
+          pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+          limit = Math.max(1, limit - 1);
+          onRateLimit({ index, attempt: retries[index], delayMs, concurrency: limit });
+          queue.unshift(index);
+          continue;
+        }
+        outcomes[index] = { ok: false, error: err };
+      }
+      onResult(index, outcomes[index]);
+    }
+  }
+
+  await Promise.all(Array.from({ length: limit }, (_, id) => worker(id)));
+  return outcomes;
+}
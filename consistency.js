@@ -0,0 +1,169 @@
+import sharp from 'sharp';
+
+// Results scoring below this (0-1) are flagged
+export const CONSISTENCY_THRESHOLD = parseFloat(process.env.CONSISTENCY_THRESHOLD) || 0.6;
+
+// How much each check counts towards the overall score (missing checks are left out)
+const SCORE_WEIGHTS = {
+  accessories: 0.4,
+  palette: 0.3,
+  similarity: 0.3
+};
+
+// Largest possible distance between two RGB colours
+const MAX_RGB_DISTANCE = Math.sqrt(3 * 255 ** 2);
+
+function hexToRgb(hex) {
+  const value = hex.replace('#', '').trim();
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+  const int = parseInt(full, 16);
+  if (full.length !== 6 || isNaN(int)) return null;
+  return [(int >> 16) & 255, (int >> 8) & 255, int & 255];
+}
+
+function rgbToHex([r, g, b]) {
+  return `#${[r, g, b].map(c => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+function colorDistance(a, b) {
+  return Math.sqrt((a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2);
+}
+
+/**
+ * Find the dominant colours of an image
+ * Pixels are bucketed into a 8x8x8 colour cube and the biggest buckets are returned
+ * @param {Buffer} buffer - Image data
+ * @param {number} count - Number of colours to return
+ * @returns {Promise<Array<{hex: string, rgb: number[], share: number}>>}
+ */
+export async function dominantColors(buffer, count = 6) {
+  const { data, info } = await sharp(buffer)
+    .resize(64, 64, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const buckets = new Map();
+  const pixels = info.width * info.height;
+  for (let i = 0; i < data.length; i += 3) {
+    const key = ((data[i] >> 5) << 6) | ((data[i + 1] >> 5) << 3) | (data[i + 2] >> 5);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count++;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+  }
+
+  return [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, count)
+    .map(bucket => {
+      const rgb = [bucket.r, bucket.g, bucket.b].map(sum => Math.round(sum / bucket.count));
+      return { hex: rgbToHex(rgb), rgb, share: bucket.count / pixels };
+    });
+}
+
+/**
+ * How well an image's dominant colours cover a character's palette
+ * Each palette colour is matched to its closest dominant colour
+ * @param {Array<{rgb: number[]}>} colors - From dominantColors
+ * @param {string[]} palette - Style guide colorPalette hex codes
+ * @returns {number|null} - 0-1, or null when the palette is empty/invalid
+ */
+export function paletteMatchScore(colors, palette = []) {
+  const targets = palette.map(hexToRgb).filter(Boolean);
+  if (!targets.length || !colors.length) return null;
+
+  const total = targets.reduce((sum, target) => {
+    const closest = Math.min(...colors.map(color => colorDistance(color.rgb, target)));
+    // Anything further than a third of the colour space counts as a miss
+    return sum + Math.max(0, 1 - closest / (MAX_RGB_DISTANCE / 3));
+  }, 0);
+
+  return total / targets.length;
+}
+
+/**
+ * 64-bit difference hash (dHash) of an image, as a bit string
+ */
+async function differenceHash(buffer) {
+  const data = await sharp(buffer)
+    .removeAlpha()
+    .resize(9, 8, { fit: 'fill' })
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer();
+
+  let bits = '';
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      bits += data[row * 9 + col] < data[row * 9 + col + 1] ? '1' : '0';
+    }
+  }
+  return bits;
+}
+
+/**
+ * Normalized 4x4x4 colour histogram
+ */
+async function colorHistogram(buffer) {
+  const { data } = await sharp(buffer)
+    .resize(64, 64, { fit: 'inside' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const histogram = new Array(64).fill(0);
+  for (let i = 0; i < data.length; i += 3) {
+    histogram[((data[i] >> 6) << 4) | ((data[i + 1] >> 6) << 2) | (data[i + 2] >> 6)]++;
+  }
+  const pixels = data.length / 3;
+  return histogram.map(count => count / pixels);
+}
+
+/**
+ * Perceptual similarity between an output and a reference image
+ *
+ * Averages colour histogram intersection (pose independent) with dHash
+ * similarity (structure), so a different pose of the same character still
+ * scores reasonably while a different character does not.
+ *
+ * @param {Buffer} a - Image data
+ * @param {Buffer} b - Image data
+ * @returns {Promise<number>} - 0-1
+ */
+export async function perceptualSimilarity(a, b) {
+  const [histA, histB, hashA, hashB] = await Promise.all([
+    colorHistogram(a),
+    colorHistogram(b),
+    differenceHash(a),
+    differenceHash(b)
+  ]);
+
+  const intersection = histA.reduce((sum, value, i) => sum + Math.min(value, histB[i]), 0);
+
+  let sameBits = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    if (hashA[i] === hashB[i]) sameBits++;
+  }
+
+  return (intersection + sameBits / hashA.length) / 2;
+}
+
+/**
+ * Combine individual check scores into one weighted score
+ * @param {object} scores - { accessories, palette, similarity } (0-1 or null)
+ * @returns {number|null} - 0-1, or null when no check could run
+ */
+export function combineConsistencyScores(scores) {
+  let weighted = 0;
+  let weights = 0;
+  for (const [name, weight] of Object.entries(SCORE_WEIGHTS)) {
+    if (typeof scores[name] === 'number') {
+      weighted += scores[name] * weight;
+      weights += weight;
+    }
+  }
+  return weights ? Math.round((weighted / weights) * 1000) / 1000 : null;
+}
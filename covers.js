@@ -0,0 +1,114 @@
+import sharp from 'sharp';
+import { DEFAULT_CAPTION_STYLE, wrapText } from './overlays.js';
+
+// Where a title can go on a cover; all three stay inside the 3:4 crop the profile grid shows of a 9:16 cover
+export const COVER_TITLE_POSITIONS = { top: 0.2, center: 0.5, bottom: 0.8 };
+
+// Title look when the request doesn't set one (bigger and bolder than a caption)
+export const DEFAULT_COVER_TITLE_STYLE = {
+  ...DEFAULT_CAPTION_STYLE,
+  fontScale: 0.06,
+  outlineWidth: 6,
+  uppercase: true
+};
+
+// Frames closer together than this (seconds) count as the same candidate
+const MIN_FRAME_GAP = 0.5;
+
+/**
+ * How sharp an image is: variance of its Laplacian (edges), on a downscaled greyscale copy
+ * Blurry and motion-smeared frames score low, crisp detailed frames score high
+ * @param {Buffer} buffer - Image data
+ * @returns {Promise<number>}
+ */
+export async function frameSharpness(buffer) {
+  const { channels } = await sharp(buffer)
+    .resize({ width: 540, withoutEnlargement: true })
+    .greyscale()
+    .convolve({ width: 3, height: 3, kernel: [0, 1, 0, 1, -4, 1, 0, 1, 0], offset: 128 })
+    .stats();
+  return Math.round(channels[0].stdev ** 2 * 10) / 10;
+}
+
+/**
+ * Times to pull cover candidates from: just after each shot change (the cut
+ * itself is often blurred) and evenly spaced samples to fill in between
+ * @param {number} duration - Video length in seconds
+ * @param {Array<{time: number, score: number}>} sceneChanges - From detectSceneChanges
+ * @param {number} samples - Evenly spaced frames to add
+ * @returns {Array<{time: number, sceneChange: boolean, sceneScore: number|null}>} - In time order
+ */
+export function coverFrameTimes(duration, sceneChanges, samples = 6) {
+  const last = Math.max(0, duration - 0.1);
+  const candidates = [
+    ...sceneChanges.map(change => ({ time: Math.min(change.time + 0.3, last), sceneChange: true, sceneScore: change.score })),
+    ...Array.from({ length: samples }, (_, i) => ({ time: (duration * (i + 1)) / (samples + 1), sceneChange: false, sceneScore: null }))
+  ];
+
+  // Scene changes were added first, so they win over a nearby sample
+  const kept = [];
+  for (const candidate of candidates) {
+    if (!kept.some(other => Math.abs(other.time - candidate.time) < MIN_FRAME_GAP)) {
+      kept.push({ ...candidate, time: Math.round(candidate.time * 1000) / 1000 });
+    }
+  }
+  return kept.sort((a, b) => a.time - b.time);
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ffmpeg colours (0xRRGGBB) -> SVG colours (#RRGGBB); names are the same in both
+function svgColor(color) {
+  return String(color).replace(/^0x/i, '#');
+}
+
+/**
+ * Draw a title onto a cover image
+ * @param {Buffer} buffer - Cover image
+ * @param {string} title - Title text (wrapped to 85% of the width)
+ * @param {object} options - { style: normalized caption style merged over DEFAULT_COVER_TITLE_STYLE,
+ *   position: COVER_TITLE_POSITIONS key }
+ * @returns {Promise<Buffer>} - PNG
+ */
+export async function compositeCoverTitle(buffer, title, { style = {}, position = 'top' } = {}) {
+  const look = { ...DEFAULT_COVER_TITLE_STYLE, ...style };
+  const { width, height } = await sharp(buffer).metadata();
+
+  const fontSize = Math.max(16, Math.round(height * look.fontScale));
+  const lineHeight = Math.round(fontSize * 1.15);
+  // Bold glyphs are a bit wider than the caption estimate
+  const maxChars = Math.max(6, Math.floor((width * 0.85) / (fontSize * 0.6)));
+  const lines = wrapText(look.uppercase ? title.toUpperCase() : title, maxChars).split('\n');
+
+  const blockHeight = lines.length * lineHeight;
+  const top = Math.round(height * (COVER_TITLE_POSITIONS[position] ?? COVER_TITLE_POSITIONS.top) - blockHeight / 2);
+
+  const parts = [];
+  if (look.boxColor) {
+    const padding = Math.round(fontSize * 0.4);
+    const boxWidth = Math.min(width, Math.max(...lines.map(line => line.length)) * fontSize * 0.6 + padding * 2);
+    parts.push(
+      `<rect x="${Math.round((width - boxWidth) / 2)}" y="${top - padding}" width="${Math.round(boxWidth)}" ` +
+      `height="${blockHeight + padding * 2}" fill="${svgColor(look.boxColor)}" fill-opacity="${look.boxOpacity}"/>`
+    );
+  }
+  lines.forEach((line, i) => {
+    parts.push(
+      `<text x="${width / 2}" y="${top + i * lineHeight + fontSize}" text-anchor="middle">${escapeXml(line)}</text>`
+    );
+  });
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <style>text { font-family: '${look.font}', sans-serif; font-weight: 800; font-size: ${fontSize}px;
+    fill: ${svgColor(look.color)}; stroke: ${svgColor(look.outlineColor)}; stroke-width: ${look.outlineWidth}px;
+    stroke-linejoin: round; paint-order: stroke; }</style>
+  ${parts.join('\n  ')}
+</svg>`;
+
+  return sharp(buffer)
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .png()
+    .toBuffer();
+}
@@ -29,6 +29,25 @@ export async function initDatabase() {
     console.log('🔧 Initializing database tables...');
     
     await client.query(`
+      -- Users table: team accounts with roles (admin, creator, viewer)
+      CREATE TABLE IF NOT EXISTS users (
+        id VARCHAR(50) PRIMARY KEY,
+        username VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255),
+        password_hash TEXT NOT NULL,
+        role VARCHAR(20) NOT NULL DEFAULT 'creator' CHECK (role IN ('admin', 'creator', 'viewer')),
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_login_at TIMESTAMP
+      );
+
+      -- Sessions table: login sessions (survive restarts)
+      CREATE TABLE IF NOT EXISTS sessions (
+        token VARCHAR(128) PRIMARY KEY,
+        user_id VARCHAR(50) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL
+      );
+
       -- Characters table: stores Ms. Goblina and other character profiles
       CREATE TABLE IF NOT EXISTS characters (
         id VARCHAR(50) PRIMARY KEY,
@@ -108,6 +127,234 @@ export async function initDatabase() {
         created_at TIMESTAMP DEFAULT NOW()
       );
 
+      -- Compositions table: multi-clip Reels stitched together with ffmpeg
+      CREATE TABLE IF NOT EXISTS compositions (
+        id VARCHAR(50) PRIMARY KEY,
+        project_id VARCHAR(50) REFERENCES projects(id) ON DELETE SET NULL,
+        video_id VARCHAR(50) REFERENCES videos(id) ON DELETE SET NULL,
+        source_video_ids TEXT[] NOT NULL,
+        transition VARCHAR(30) DEFAULT 'cut',
+        transitions JSONB,
+        transition_duration REAL DEFAULT 0.5,
+        status VARCHAR(50) DEFAULT 'processing',
+        error TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        completed_at TIMESTAMP
+      );
+
+      -- Character versions: every analysis, image update or rollback is kept
+      CREATE TABLE IF NOT EXISTS character_versions (
+        id SERIAL PRIMARY KEY,
+        character_id VARCHAR(50) NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        name VARCHAR(255),
+        style_guide JSONB,
+        image_url TEXT,
+        source VARCHAR(30) DEFAULT 'save',
+        note TEXT,
+        created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (character_id, version)
+      );
+
+      -- Character references: tagged sheets (turnarounds, expressions, outfits)
+      CREATE TABLE IF NOT EXISTS character_references (
+        id VARCHAR(50) PRIMARY KEY,
+        character_id VARCHAR(50) NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+        image_url TEXT NOT NULL,
+        storage_public_id TEXT,
+        storage_backend VARCHAR(20),
+        label VARCHAR(255),
+        tags TEXT[] DEFAULT '{}',
+        is_primary BOOLEAN DEFAULT FALSE,
+        created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Project casts: the saved characters that appear in a project
+      CREATE TABLE IF NOT EXISTS project_cast (
+        project_id VARCHAR(50) NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        character_id VARCHAR(50) NOT NULL REFERENCES characters(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL DEFAULT 0,
+        role VARCHAR(100) NOT NULL DEFAULT 'lead',
+        relationship TEXT,
+        speaking BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (project_id, character_id)
+      );
+
+      -- Prompt templates: editable LLM prompts, one active version each
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        name VARCHAR(100) PRIMARY KEY,
+        description TEXT,
+        active_version INTEGER,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS prompt_template_versions (
+        id SERIAL PRIMARY KEY,
+        template_name VARCHAR(100) NOT NULL REFERENCES prompt_templates(name) ON DELETE CASCADE,
+        version INTEGER NOT NULL,
+        system_template TEXT NOT NULL,
+        user_template TEXT,
+        model VARCHAR(100),
+        max_tokens INTEGER,
+        note TEXT,
+        created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (template_name, version)
+      );
+
+      -- Experiments: A/B tests of models, prompt templates and presets on one route
+      CREATE TABLE IF NOT EXISTS experiments (
+        id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        target VARCHAR(30) NOT NULL,
+        status VARCHAR(20) DEFAULT 'active',
+        variants JSONB NOT NULL,
+        created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- One row per request put into an experiment
+      CREATE TABLE IF NOT EXISTS experiment_assignments (
+        id VARCHAR(50) PRIMARY KEY,
+        experiment_id VARCHAR(50) NOT NULL REFERENCES experiments(id) ON DELETE CASCADE,
+        variant_key VARCHAR(50) NOT NULL,
+        user_id VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+        regenerations INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Scenes: a project's storyboard in playback order
+      CREATE TABLE IF NOT EXISTS scenes (
+        id VARCHAR(50) PRIMARY KEY,
+        project_id VARCHAR(50) NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL DEFAULT 0,
+        description TEXT,
+        duration_seconds REAL,
+        dialogue TEXT,
+        text_overlay TEXT,
+        prompt TEXT,
+        structured_prompt JSONB,
+        characters TEXT[] DEFAULT '{}',
+        preview_image_id VARCHAR(50) REFERENCES generated_images(id) ON DELETE SET NULL,
+        chosen_video_id VARCHAR(50) REFERENCES videos(id) ON DELETE SET NULL,
+        created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Post copy written for a video (captions, hashtag sets, pinned first comment)
+      CREATE TABLE IF NOT EXISTS video_captions (
+        id VARCHAR(50) PRIMARY KEY,
+        video_id VARCHAR(50) NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+        captions JSONB NOT NULL,
+        hashtag_sets JSONB NOT NULL,
+        first_comment TEXT,
+        personality_preset VARCHAR(50),
+        model VARCHAR(100),
+        prompt_template_version_id INTEGER REFERENCES prompt_template_versions(id) ON DELETE SET NULL,
+        created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Cover image candidates for a video (extracted frames and generated covers)
+      CREATE TABLE IF NOT EXISTS video_covers (
+        id VARCHAR(50) PRIMARY KEY,
+        video_id VARCHAR(50) NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+        source VARCHAR(20) NOT NULL,
+        image_url TEXT NOT NULL,
+        storage_public_id TEXT,
+        storage_backend VARCHAR(20),
+        time_seconds REAL,
+        sharpness REAL,
+        title TEXT,
+        generated_image_id VARCHAR(50) REFERENCES generated_images(id) ON DELETE SET NULL,
+        metadata JSONB,
+        created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Usage ledger: one row per paid AI call with its estimated cost
+      CREATE TABLE IF NOT EXISTS usage_events (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL,
+        provider VARCHAR(30) NOT NULL,
+        operation VARCHAR(50) NOT NULL,
+        model VARCHAR(100),
+        input_tokens INTEGER,
+        output_tokens INTEGER,
+        seconds REAL,
+        resolution VARCHAR(20),
+        units INTEGER DEFAULT 1,
+        estimated_cost_usd NUMERIC(12, 6) DEFAULT 0,
+        route VARCHAR(255),
+        character_id VARCHAR(50),
+        project_id VARCHAR(50),
+        video_id VARCHAR(50),
+        external_id VARCHAR(255),
+        metadata JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      -- Columns added after the initial release
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS kind VARCHAR(30) DEFAULT 'sora';
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS metadata JSONB;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS progress INTEGER DEFAULT 0;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS last_error TEXT;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS next_poll_at TIMESTAMP;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMP;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS permanent_url TEXT;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS cloudinary_public_id TEXT;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS bytes BIGINT;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS archive_attempts INTEGER DEFAULT 0;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS archive_error TEXT;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS archive_attempted_at TIMESTAMP;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20);
+      ALTER TABLE generated_images ADD COLUMN IF NOT EXISTS storage_backend VARCHAR(20) DEFAULT 'cloudinary';
+      ALTER TABLE characters ADD COLUMN IF NOT EXISTS created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE projects ADD COLUMN IF NOT EXISTS created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE generated_images ADD COLUMN IF NOT EXISTS created_by VARCHAR(50) REFERENCES users(id) ON DELETE SET NULL;
+      ALTER TABLE characters ADD COLUMN IF NOT EXISTS current_version INTEGER;
+      ALTER TABLE characters ADD COLUMN IF NOT EXISTS traits JSONB;
+      ALTER TABLE character_versions ADD COLUMN IF NOT EXISTS traits JSONB;
+      ALTER TABLE projects ADD COLUMN IF NOT EXISTS character_version INTEGER;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS character_id VARCHAR(50) REFERENCES characters(id) ON DELETE SET NULL;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS character_version INTEGER;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS prompt_template_version_id INTEGER REFERENCES prompt_template_versions(id) ON DELETE SET NULL;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS experiment_assignment_id VARCHAR(50) REFERENCES experiment_assignments(id) ON DELETE SET NULL;
+      ALTER TABLE generated_images ADD COLUMN IF NOT EXISTS experiment_assignment_id VARCHAR(50) REFERENCES experiment_assignments(id) ON DELETE SET NULL;
+      ALTER TABLE generated_images ADD COLUMN IF NOT EXISTS consistency_score REAL;
+      ALTER TABLE generated_images ADD COLUMN IF NOT EXISTS consistency JSONB;
+      ALTER TABLE generated_images ADD COLUMN IF NOT EXISTS consistency_flagged BOOLEAN DEFAULT FALSE;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS consistency_score REAL;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS consistency JSONB;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS consistency_flagged BOOLEAN DEFAULT FALSE;
+      ALTER TABLE character_references ADD COLUMN IF NOT EXISTS generated_image_id VARCHAR(50) REFERENCES generated_images(id) ON DELETE SET NULL;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS scene_id VARCHAR(50) REFERENCES scenes(id) ON DELETE SET NULL;
+      ALTER TABLE generated_images ADD COLUMN IF NOT EXISTS scene_id VARCHAR(50) REFERENCES scenes(id) ON DELETE SET NULL;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS parent_video_id VARCHAR(50) REFERENCES videos(id) ON DELETE SET NULL;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS remix_instruction TEXT;
+      ALTER TABLE characters ADD COLUMN IF NOT EXISTS caption_style JSONB;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS source_video_id VARCHAR(50) REFERENCES videos(id) ON DELETE SET NULL;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS export_profile VARCHAR(50);
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS cover_id VARCHAR(50) REFERENCES video_covers(id) ON DELETE SET NULL;
+      ALTER TABLE videos ADD COLUMN IF NOT EXISTS cover_url TEXT;
+
+      -- Characters saved before versioning start at version 1
+      INSERT INTO character_versions (character_id, version, name, style_guide, image_url, source, created_by, created_at)
+      SELECT c.id, 1, c.name, c.style_guide, c.image_url, 'initial', c.created_by, c.updated_at
+      FROM characters c
+      WHERE NOT EXISTS (SELECT 1 FROM character_versions cv WHERE cv.character_id = c.id);
+      UPDATE characters SET current_version = 1 WHERE current_version IS NULL;
+
       -- Create indexes for faster queries
       CREATE INDEX IF NOT EXISTS idx_projects_character ON projects(character_id);
       CREATE INDEX IF NOT EXISTS idx_videos_project ON videos(project_id);
@@ -116,6 +363,27 @@ export async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_generated_images_project ON generated_images(project_id);
       CREATE INDEX IF NOT EXISTS idx_generated_images_character ON generated_images(character_id);
       CREATE INDEX IF NOT EXISTS idx_generated_images_created ON generated_images(created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_compositions_project ON compositions(project_id);
+      CREATE INDEX IF NOT EXISTS idx_videos_next_poll ON videos(next_poll_at) WHERE sora_job_id IS NOT NULL;
+      CREATE INDEX IF NOT EXISTS idx_videos_unarchived ON videos(completed_at) WHERE archived_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+      CREATE INDEX IF NOT EXISTS idx_character_versions_character ON character_versions(character_id, version DESC);
+      CREATE INDEX IF NOT EXISTS idx_character_references_character ON character_references(character_id);
+      CREATE INDEX IF NOT EXISTS idx_project_cast_character ON project_cast(character_id);
+      CREATE INDEX IF NOT EXISTS idx_videos_prompt_template ON videos(prompt_template_version_id);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_experiments_active_target ON experiments(target) WHERE status = 'active';
+      CREATE INDEX IF NOT EXISTS idx_experiment_assignments_experiment ON experiment_assignments(experiment_id, variant_key);
+      CREATE INDEX IF NOT EXISTS idx_videos_experiment ON videos(experiment_assignment_id);
+      CREATE INDEX IF NOT EXISTS idx_generated_images_experiment ON generated_images(experiment_assignment_id);
+      CREATE INDEX IF NOT EXISTS idx_scenes_project ON scenes(project_id, position);
+      CREATE INDEX IF NOT EXISTS idx_videos_scene ON videos(scene_id);
+      CREATE INDEX IF NOT EXISTS idx_videos_parent ON videos(parent_video_id);
+      CREATE INDEX IF NOT EXISTS idx_videos_source ON videos(source_video_id);
+      CREATE INDEX IF NOT EXISTS idx_video_captions_video ON video_captions(video_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_video_covers_video ON video_covers(video_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_generated_images_scene ON generated_images(scene_id);
+      CREATE INDEX IF NOT EXISTS idx_usage_events_created ON usage_events(created_at);
+      CREATE INDEX IF NOT EXISTS idx_usage_events_user ON usage_events(user_id, created_at);
     `);
     
     console.log('✅ Database tables initialized');
@@ -128,24 +396,187 @@ export async function initDatabase() {
 }
 
 // ==========================================
-// CHARACTER OPERATIONS
+// USER & SESSION OPERATIONS
 // ==========================================
 
-export async function saveCharacter(id, name, styleGuide, imageUrl = null) {
+// Columns safe to return to clients (everything but password_hash)
+const USER_COLUMNS = 'id, username, name, role, created_at, last_login_at';
+
+/**
+ * Create or update a user
+ * @param {object} userData - { id, username, name, passwordHash, role }
+ *   (an update keeps the stored name, password and role when they are null; a new user defaults to creator)
+ * @returns {Promise<object>} - Saved user (without password hash)
+ */
+export async function saveUser(userData) {
+  const { id, username, name = null, passwordHash = null, role = null } = userData;
   const result = await pool.query(
-    `INSERT INTO characters (id, name, style_guide, image_url)
-     VALUES ($1, $2, $3, $4)
+    `INSERT INTO users (id, username, name, password_hash, role)
+     VALUES ($1, $2, $3, $4, COALESCE($5, 'creator'))
      ON CONFLICT (id) DO UPDATE SET
-       name = EXCLUDED.name,
-       style_guide = EXCLUDED.style_guide,
-       image_url = COALESCE(EXCLUDED.image_url, characters.image_url),
-       updated_at = NOW()
-     RETURNING *`,
-    [id, name, JSON.stringify(styleGuide), imageUrl]
+       username = EXCLUDED.username,
+       name = COALESCE(EXCLUDED.name, users.name),
+       password_hash = COALESCE($4, users.password_hash),
+       role = COALESCE($5, users.role)
+     RETURNING ${USER_COLUMNS}`,
+    [id, username, name, passwordHash, role]
   );
   return result.rows[0];
 }
 
+/**
+ * Get a user by username, including the password hash (for login)
+ */
+export async function getUserByUsername(username) {
+  const result = await pool.query(
+    'SELECT * FROM users WHERE LOWER(username) = LOWER($1)',
+    [username]
+  );
+  return result.rows[0] || null;
+}
+
+export async function getUser(id) {
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+export async function listUsers() {
+  const result = await pool.query(
+    `SELECT ${USER_COLUMNS} FROM users ORDER BY created_at ASC`
+  );
+  return result.rows;
+}
+
+export async function countUsers(role = null) {
+  const result = await pool.query(
+    'SELECT COUNT(*) as count FROM users WHERE $1::varchar IS NULL OR role = $1',
+    [role]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+export async function deleteUser(id) {
+  await pool.query('DELETE FROM users WHERE id = $1', [id]);
+}
+
+/**
+ * Create a login session
+ * @param {string} token - Random session token (cookie value)
+ * @param {string} userId - User ID
+ * @param {number} ttlMs - Session lifetime in milliseconds
+ */
+export async function createSession(token, userId, ttlMs) {
+  await pool.query(
+    `INSERT INTO sessions (token, user_id, expires_at)
+     VALUES ($1, $2, NOW() + ($3 * INTERVAL '1 millisecond'))`,
+    [token, userId, ttlMs]
+  );
+  await pool.query('UPDATE users SET last_login_at = NOW() WHERE id = $1', [userId]);
+}
+
+/**
+ * Get the user behind a session token (null if missing or expired)
+ */
+export async function getSessionUser(token) {
+  const result = await pool.query(
+    `SELECT u.id, u.username, u.name, u.role
+     FROM sessions s
+     JOIN users u ON s.user_id = u.id
+     WHERE s.token = $1 AND s.expires_at > NOW()`,
+    [token]
+  );
+  return result.rows[0] || null;
+}
+
+export async function deleteSession(token) {
+  await pool.query('DELETE FROM sessions WHERE token = $1', [token]);
+}
+
+export async function deleteExpiredSessions() {
+  await pool.query('DELETE FROM sessions WHERE expires_at <= NOW()');
+}
+
+// ==========================================
+// CHARACTER OPERATIONS
+// ==========================================
+
+/**
+ * Add a version with the character's current name, style guide and image
+ * Must run inside a transaction that already updated the characters row
+ */
+async function addCharacterVersion(client, character, { source, note = null, createdBy = null }) {
+  const result = await client.query(
+    `INSERT INTO character_versions (character_id, version, name, style_guide, image_url, traits, source, note, created_by)
+     SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7, $8
+     FROM character_versions WHERE character_id = $1
+     RETURNING *`,
+    [
+      character.id,
+      character.name,
+      JSON.stringify(character.style_guide),
+      character.image_url,
+      character.traits ? JSON.stringify(character.traits) : null,
+      source,
+      note,
+      createdBy
+    ]
+  );
+  const version = result.rows[0];
+  await client.query('UPDATE characters SET current_version = $1 WHERE id = $2', [version.version, character.id]);
+  character.current_version = version.version;
+  return version;
+}
+
+/**
+ * Create or update a character
+ * A new version is recorded whenever the style guide, image or traits change
+ * @param {object} options - { source: 'save' | 'analysis' | 'traits', note, traits (kept when omitted) }
+ */
+export async function saveCharacter(id, name, styleGuide, imageUrl = null, createdBy = null, options = {}) {
+  const { source = 'save', note = null, traits = null } = options;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO characters (id, name, style_guide, image_url, created_by, traits)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (id) DO UPDATE SET
+         name = EXCLUDED.name,
+         style_guide = EXCLUDED.style_guide,
+         image_url = COALESCE(EXCLUDED.image_url, characters.image_url),
+         traits = COALESCE(EXCLUDED.traits, characters.traits),
+         created_by = COALESCE(characters.created_by, EXCLUDED.created_by),
+         updated_at = NOW()
+       RETURNING *`,
+      [id, name, JSON.stringify(styleGuide), imageUrl, createdBy, traits ? JSON.stringify(traits) : null]
+    );
+    const character = result.rows[0];
+
+    const latest = await client.query(
+      'SELECT style_guide, image_url, traits FROM character_versions WHERE character_id = $1 ORDER BY version DESC LIMIT 1',
+      [id]
+    );
+    const previous = latest.rows[0];
+    if (!previous ||
+        JSON.stringify(previous.style_guide) !== JSON.stringify(character.style_guide) ||
+        JSON.stringify(previous.traits) !== JSON.stringify(character.traits) ||
+        previous.image_url !== character.image_url) {
+      await addCharacterVersion(client, character, { source, note, createdBy });
+    }
+
+    await client.query('COMMIT');
+    return character;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 export async function getCharacter(id) {
   const result = await pool.query(
     'SELECT * FROM characters WHERE id = $1',
@@ -166,151 +597,1118 @@ export async function deleteCharacter(id) {
 }
 
 /**
- * Update a character's image URL
- * @param {string} id - Character ID
- * @param {string} imageUrl - New Cloudinary image URL
- * @returns {Promise<object>} - Updated character record
+ * Set how a character's captions look when burned onto videos (see normalizeCaptionStyle)
+ * Not versioned: it changes how videos are captioned, not how the character looks
+ * @param {string} id - Character ID
+ * @param {object|null} captionStyle - Style settings (null resets to the defaults)
+ * @returns {Promise<object|null>} - Updated character record
+ */
+export async function updateCharacterCaptionStyle(id, captionStyle) {
+  const result = await pool.query(
+    'UPDATE characters SET caption_style = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+    [captionStyle ? JSON.stringify(captionStyle) : null, id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Update a character's image URL (recorded as a new version)
+ * @param {string} id - Character ID
+ * @param {string} imageUrl - New image URL
+ * @param {string|null} createdBy - User making the change
+ * @returns {Promise<object>} - Updated character record
+ */
+export async function updateCharacterImage(id, imageUrl, createdBy = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `UPDATE characters SET image_url = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [imageUrl, id]
+    );
+    const character = result.rows[0];
+    if (character) {
+      await addCharacterVersion(client, character, { source: 'image', createdBy });
+    }
+    await client.query('COMMIT');
+    return character;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function listCharacterVersions(characterId) {
+  const result = await pool.query(
+    'SELECT * FROM character_versions WHERE character_id = $1 ORDER BY version DESC',
+    [characterId]
+  );
+  return result.rows;
+}
+
+export async function getCharacterVersion(characterId, version) {
+  const result = await pool.query(
+    'SELECT * FROM character_versions WHERE character_id = $1 AND version = $2',
+    [characterId, version]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Restore an older version by copying it into a new version (history is never rewritten)
+ * @param {string} characterId - Character ID
+ * @param {number} version - Version to restore
+ * @param {string|null} createdBy - User making the change
+ * @returns {Promise<object|null>} - Updated character, or null if the version doesn't exist
+ */
+export async function rollbackCharacter(characterId, version, createdBy = null) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const target = await client.query(
+      'SELECT * FROM character_versions WHERE character_id = $1 AND version = $2',
+      [characterId, version]
+    );
+    if (!target.rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { name, style_guide: styleGuide, image_url: imageUrl, traits } = target.rows[0];
+    const result = await client.query(
+      `UPDATE characters SET name = $1, style_guide = $2, image_url = $3, traits = $4, updated_at = NOW()
+       WHERE id = $5 RETURNING *`,
+      [name, JSON.stringify(styleGuide), imageUrl, traits ? JSON.stringify(traits) : null, characterId]
+    );
+    const character = result.rows[0];
+    await addCharacterVersion(client, character, {
+      source: 'rollback',
+      note: `Rolled back to version ${version}`,
+      createdBy
+    });
+
+    await client.query('COMMIT');
+    return character;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ==========================================
+// CHARACTER REFERENCE OPERATIONS
+// ==========================================
+
+/**
+ * Add a tagged reference image to a character
+ * @param {object} referenceData - { id, characterId, imageUrl, storagePublicId, storageBackend, label, tags, isPrimary,
+ *   createdBy, generatedImageId }
+ */
+export async function saveCharacterReference(referenceData) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Only one primary reference per character
+    if (referenceData.isPrimary) {
+      await client.query(
+        'UPDATE character_references SET is_primary = FALSE WHERE character_id = $1',
+        [referenceData.characterId]
+      );
+    }
+    const result = await client.query(
+      `INSERT INTO character_references (id, character_id, image_url, storage_public_id, storage_backend, label, tags, is_primary, created_by, generated_image_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        referenceData.id,
+        referenceData.characterId,
+        referenceData.imageUrl,
+        referenceData.storagePublicId || null,
+        referenceData.storageBackend || null,
+        referenceData.label || null,
+        referenceData.tags || [],
+        !!referenceData.isPrimary,
+        referenceData.createdBy || null,
+        referenceData.generatedImageId || null
+      ]
+    );
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function listCharacterReferences(characterId) {
+  const result = await pool.query(
+    'SELECT * FROM character_references WHERE character_id = $1 ORDER BY is_primary DESC, created_at ASC',
+    [characterId]
+  );
+  return result.rows;
+}
+
+/**
+ * Delete a reference image
+ * @returns {Promise<object|null>} - Deleted row (to clean up storage), or null
+ */
+export async function deleteCharacterReference(characterId, referenceId) {
+  const result = await pool.query(
+    'DELETE FROM character_references WHERE id = $1 AND character_id = $2 RETURNING *',
+    [referenceId, characterId]
+  );
+  return result.rows[0] || null;
+}
+
+// ==========================================
+// PROJECT OPERATIONS
+// ==========================================
+
+export async function saveProject(id, characterId, topic, personalityPreset, scenarios, createdBy = null) {
+  const result = await pool.query(
+    `INSERT INTO projects (id, character_id, topic, personality_preset, scenarios, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (id) DO UPDATE SET
+       character_id = EXCLUDED.character_id,
+       -- A pinned version only makes sense for the same character
+       character_version = CASE WHEN projects.character_id IS DISTINCT FROM EXCLUDED.character_id
+         THEN NULL ELSE projects.character_version END,
+       topic = EXCLUDED.topic,
+       personality_preset = EXCLUDED.personality_preset,
+       scenarios = EXCLUDED.scenarios,
+       created_by = COALESCE(projects.created_by, EXCLUDED.created_by),
+       updated_at = NOW()
+     RETURNING *`,
+    [id, characterId, topic, personalityPreset, JSON.stringify(scenarios), createdBy]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Get a project with its character's style guide
+ * Projects pinned to a character version get that version's style guide and image
+ */
+export async function getProject(id) {
+  const result = await pool.query(
+    `SELECT p.*, c.name as character_name,
+       COALESCE(cv.style_guide, c.style_guide) as style_guide,
+       COALESCE(cv.image_url, c.image_url) as character_image_url,
+       COALESCE(cv.traits, c.traits) as character_traits,
+       COALESCE(p.character_version, c.current_version) as effective_character_version
+     FROM projects p
+     LEFT JOIN characters c ON p.character_id = c.id
+     LEFT JOIN character_versions cv ON cv.character_id = p.character_id AND cv.version = p.character_version
+     WHERE p.id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Replace a project's cast
+ * @param {string} projectId - Project ID
+ * @param {Array<{characterId, role, relationship, speaking}>} members - In billing order
+ * @returns {Promise<object[]>} - The new cast (see getProjectCast)
+ */
+export async function setProjectCast(projectId, members) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM project_cast WHERE project_id = $1', [projectId]);
+    for (const [position, member] of members.entries()) {
+      await client.query(
+        `INSERT INTO project_cast (project_id, character_id, position, role, relationship, speaking)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [projectId, member.characterId, position, member.role, member.relationship, member.speaking]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return getProjectCast(projectId);
+}
+
+/**
+ * Get a project's cast with each character's current style guide and traits
+ */
+export async function getProjectCast(projectId) {
+  const result = await pool.query(
+    `SELECT pc.*, c.name, c.style_guide, c.traits, c.image_url, c.current_version, c.caption_style
+     FROM project_cast pc
+     JOIN characters c ON c.id = pc.character_id
+     WHERE pc.project_id = $1
+     ORDER BY pc.position ASC`,
+    [projectId]
+  );
+  return result.rows;
+}
+
+/**
+ * Pin a project to a character version (null follows the latest version)
+ * @returns {Promise<object|null>} - Updated project
+ */
+export async function pinProjectCharacterVersion(projectId, version) {
+  const result = await pool.query(
+    `UPDATE projects SET character_version = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+    [version, projectId]
+  );
+  return result.rows[0] || null;
+}
+
+export async function listProjects(characterId = null) {
+  let query = `
+    SELECT p.*, c.name as character_name
+    FROM projects p
+    LEFT JOIN characters c ON p.character_id = c.id
+  `;
+  const params = [];
+  
+  if (characterId) {
+    query += ' WHERE p.character_id = $1';
+    params.push(characterId);
+  }
+  
+  query += ' ORDER BY p.updated_at DESC';
+  
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+export async function deleteProject(id) {
+  await pool.query('DELETE FROM projects WHERE id = $1', [id]);
+}
+
+// ==========================================
+// SCENE OPERATIONS
+// ==========================================
+
+// Scene columns plus its preview, chosen take and lifecycle status (see SCENE_STATUSES in scenes.js)
+const SCENE_SELECT = `
+  SELECT s.*,
+    gi.cloudinary_url AS preview_image_url,
+    COALESCE(cv.permanent_url, cv.video_url) AS chosen_video_url,
+    cv.duration_seconds AS chosen_video_duration,
+    (SELECT COUNT(*) FROM videos v WHERE v.scene_id = s.id)::int AS takes,
+    CASE
+      WHEN s.chosen_video_id IS NOT NULL THEN 'final'
+      WHEN EXISTS (SELECT 1 FROM videos v WHERE v.scene_id = s.id AND v.status IN ('pending', 'queued', 'in_progress')) THEN 'rendering'
+      WHEN EXISTS (SELECT 1 FROM videos v WHERE v.scene_id = s.id AND v.status = 'completed') THEN 'review'
+      WHEN s.preview_image_id IS NOT NULL THEN 'previewed'
+      ELSE 'draft'
+    END AS status
+  FROM scenes s
+  LEFT JOIN generated_images gi ON gi.id = s.preview_image_id
+  LEFT JOIN videos cv ON cv.id = s.chosen_video_id`;
+
+// Scene fields (see normalizeScene) -> columns
+const SCENE_COLUMNS = {
+  description: 'description',
+  duration: 'duration_seconds',
+  dialogue: 'dialogue',
+  textOverlay: 'text_overlay',
+  prompt: 'prompt',
+  structuredPrompt: 'structured_prompt',
+  characters: 'characters',
+  previewImageId: 'preview_image_id',
+  chosenVideoId: 'chosen_video_id'
+};
+
+function sceneColumnValue(field, value) {
+  if (field === 'structuredPrompt') return value ? JSON.stringify(value) : null;
+  if (field === 'characters') return value || [];
+  return value;
+}
+
+/**
+ * List a project's scenes in playback order
+ */
+export async function listScenes(projectId) {
+  const result = await pool.query(
+    `${SCENE_SELECT} WHERE s.project_id = $1 ORDER BY s.position ASC`,
+    [projectId]
+  );
+  return result.rows;
+}
+
+export async function getScene(id) {
+  const result = await pool.query(`${SCENE_SELECT} WHERE s.id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Add scenes to the end of a project's storyboard
+ * @param {string} projectId - Project ID
+ * @param {Array<{id: string}>} scenes - Normalized scenes (see normalizeScene) with new IDs
+ * @param {object} options - { replace: delete the existing scenes first, createdBy }
+ * @returns {Promise<object[]>} - All of the project's scenes
+ */
+export async function addScenes(projectId, scenes, { replace = false, createdBy = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    if (replace) {
+      await client.query('DELETE FROM scenes WHERE project_id = $1', [projectId]);
+    }
+    const { rows } = await client.query(
+      'SELECT COALESCE(MAX(position), -1) + 1 AS next FROM scenes WHERE project_id = $1',
+      [projectId]
+    );
+    for (const [offset, scene] of scenes.entries()) {
+      await client.query(
+        `INSERT INTO scenes (id, project_id, position, description, duration_seconds, dialogue, text_overlay,
+           prompt, structured_prompt, characters, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [
+          scene.id,
+          projectId,
+          rows[0].next + offset,
+          scene.description || null,
+          scene.duration ?? null,
+          scene.dialogue || null,
+          scene.textOverlay || null,
+          scene.prompt || null,
+          sceneColumnValue('structuredPrompt', scene.structuredPrompt),
+          sceneColumnValue('characters', scene.characters),
+          createdBy
+        ]
+      );
+    }
+    await client.query('UPDATE projects SET updated_at = NOW() WHERE id = $1', [projectId]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return listScenes(projectId);
+}
+
+/**
+ * Update some of a scene's fields
+ * @param {string} id - Scene ID
+ * @param {object} fields - Any of the SCENE_COLUMNS fields (null clears one)
+ * @returns {Promise<object|null>} - Updated scene
+ */
+export async function updateScene(id, fields) {
+  const sets = [];
+  const params = [];
+  for (const [field, column] of Object.entries(SCENE_COLUMNS)) {
+    if (fields[field] === undefined) continue;
+    params.push(sceneColumnValue(field, fields[field]));
+    sets.push(`${column} = $${params.length}`);
+  }
+  if (sets.length) {
+    params.push(id);
+    await pool.query(
+      `UPDATE scenes SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${params.length}`,
+      params
+    );
+  }
+  return getScene(id);
+}
+
+/**
+ * Delete a scene and close the gap in the order
+ */
+export async function deleteScene(id) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('DELETE FROM scenes WHERE id = $1 RETURNING project_id, position', [id]);
+    if (rows[0]) {
+      await client.query(
+        'UPDATE scenes SET position = position - 1 WHERE project_id = $1 AND position > $2',
+        [rows[0].project_id, rows[0].position]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Put a project's scenes in a new order
+ * @param {string} projectId - Project ID
+ * @param {string[]} sceneIds - Every scene of the project, in the new order
+ * @returns {Promise<object[]>} - The reordered scenes
+ */
+export async function reorderScenes(projectId, sceneIds) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const [position, sceneId] of sceneIds.entries()) {
+      await client.query(
+        'UPDATE scenes SET position = $1, updated_at = NOW() WHERE id = $2 AND project_id = $3',
+        [position, sceneId, projectId]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return listScenes(projectId);
+}
+
+/**
+ * Use an image as a scene's preview unless one is already chosen
+ */
+export async function setDefaultScenePreview(sceneId, imageId) {
+  await pool.query(
+    'UPDATE scenes SET preview_image_id = $1, updated_at = NOW() WHERE id = $2 AND preview_image_id IS NULL',
+    [imageId, sceneId]
+  );
+}
+
+/**
+ * Record which scene a video is a take of
+ */
+export async function linkVideoToScene(videoId, sceneId) {
+  await pool.query(
+    'UPDATE videos SET scene_id = $1 WHERE id = $2',
+    [sceneId, videoId]
+  );
+}
+
+/**
+ * Videos generated for a scene (its takes: generations and remixes), newest first
+ */
+export async function listSceneVideos(sceneId) {
+  const result = await pool.query(
+    'SELECT * FROM videos WHERE scene_id = $1 ORDER BY created_at DESC',
+    [sceneId]
+  );
+  return result.rows;
+}
+
+/**
+ * Images generated for a scene, newest first
+ */
+export async function listSceneImages(sceneId) {
+  const result = await pool.query(
+    'SELECT * FROM generated_images WHERE scene_id = $1 ORDER BY created_at DESC',
+    [sceneId]
+  );
+  return result.rows;
+}
+
+// ==========================================
+// VIDEO OPERATIONS
+// ==========================================
+
+// Remix chains are walked at most this deep (guards against a parent loop)
+const MAX_REMIX_DEPTH = 50;
+
+/**
+ * Create or update a video job
+ * New videos remember the character version they were generated with: the one
+ * given in `character` (what the generation actually loaded), otherwise the
+ * project's pinned or latest version
+ * @param {object} character - { characterId, characterVersion } used by the generation
+ */
+export async function saveVideo(id, projectId, soraJobId, prompt, structuredPrompt = null, createdBy = null, promptTemplateVersionId = null, character = {}) {
+  const { characterId = null, characterVersion = null } = character;
+  const result = await pool.query(
+    `INSERT INTO videos (id, project_id, sora_job_id, prompt, structured_prompt, status, created_by, character_id, character_version, prompt_template_version_id)
+     SELECT $1, $2, $3, $4, $5, 'pending', $6,
+       COALESCE($8, p.character_id),
+       CASE WHEN $8::varchar IS NOT NULL THEN $9::int ELSE COALESCE(p.character_version, c.current_version) END,
+       $7
+     FROM (SELECT 1) AS one
+     LEFT JOIN projects p ON p.id = $2
+     LEFT JOIN characters c ON c.id = p.character_id
+     ON CONFLICT (id) DO UPDATE SET
+       sora_job_id = EXCLUDED.sora_job_id,
+       prompt = EXCLUDED.prompt,
+       structured_prompt = EXCLUDED.structured_prompt,
+       prompt_template_version_id = COALESCE(EXCLUDED.prompt_template_version_id, videos.prompt_template_version_id),
+       created_by = COALESCE(videos.created_by, EXCLUDED.created_by)
+     RETURNING *`,
+    [id, projectId, soraJobId, prompt, structuredPrompt ? JSON.stringify(structuredPrompt) : null, createdBy, promptTemplateVersionId,
+     characterId, characterVersion]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Save a remix job as a new take of the video it remixes
+ * The remix keeps the parent's prompt, project, scene and character version;
+ * what was asked of the remix is stored as remix_instruction
+ * @param {object} remix - { id, parent: videos row, soraJobId, instruction, sceneId, createdBy }
+ */
+export async function saveRemixVideo({ id, parent, soraJobId, instruction, sceneId = null, createdBy = null }) {
+  const result = await pool.query(
+    `INSERT INTO videos (id, project_id, scene_id, parent_video_id, remix_instruction, sora_job_id, prompt, structured_prompt,
+       status, created_by, character_id, character_version, prompt_template_version_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', $9, $10, $11, $12)
+     RETURNING *`,
+    [
+      id,
+      parent.project_id,
+      sceneId || parent.scene_id,
+      parent.id,
+      instruction,
+      soraJobId,
+      parent.prompt,
+      parent.structured_prompt ? JSON.stringify(parent.structured_prompt) : null,
+      createdBy,
+      parent.character_id,
+      parent.character_version,
+      parent.prompt_template_version_id
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record which video a remix was made from (remixes saved by the client)
+ * @param {string} videoId - Remix video ID
+ * @param {string} parentVideoId - Video that was remixed (our ID or Sora job ID)
+ * @param {string} instruction - Remix prompt
+ */
+export async function linkVideoToParent(videoId, parentVideoId, instruction = null) {
+  await pool.query(
+    `UPDATE videos SET
+       parent_video_id = (SELECT id FROM videos WHERE (id = $2 OR sora_job_id = $2) AND id <> $1 LIMIT 1),
+       remix_instruction = COALESCE($3, remix_instruction)
+     WHERE id = $1`,
+    [videoId, parentVideoId, instruction]
+  );
+}
+
+/**
+ * Every video in the remix tree a video belongs to (its root and all remixes of it)
+ * @param {string} id - Any video in the tree (our ID or Sora job ID)
+ * @returns {Promise<object[]>} - videos rows with generation (0 = root), ordered by generation then age;
+ *   empty when the video does not exist
+ */
+export async function getVideoLineage(id) {
+  const result = await pool.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, parent_video_id, 0 AS depth FROM videos WHERE id = $1 OR sora_job_id = $1
+       UNION ALL
+       SELECT v.id, v.parent_video_id, a.depth + 1
+       FROM videos v JOIN ancestors a ON v.id = a.parent_video_id
+       WHERE a.depth < $2
+     ),
+     root AS (
+       SELECT id FROM ancestors ORDER BY depth DESC LIMIT 1
+     ),
+     tree AS (
+       SELECT v.*, 0 AS generation FROM videos v JOIN root r ON v.id = r.id
+       UNION ALL
+       SELECT v.*, t.generation + 1
+       FROM videos v JOIN tree t ON v.parent_video_id = t.id
+       WHERE t.generation < $2
+     )
+     SELECT * FROM tree ORDER BY generation ASC, created_at ASC`,
+    [id, MAX_REMIX_DEPTH]
+  );
+  return result.rows;
+}
+
+export async function updateVideoStatus(id, status, videoUrl = null, error = null) {
+  const completedAt = status === 'completed' ? 'NOW()' : 'NULL';
+  const result = await pool.query(
+    `UPDATE videos SET
+       status = $1,
+       video_url = COALESCE($2, video_url),
+       progress = ${status === 'completed' ? '100' : 'progress'},
+       last_error = COALESCE($4, last_error),
+       completed_at = ${status === 'completed' ? 'NOW()' : 'completed_at'}
+     WHERE id = $3 OR sora_job_id = $3
+     RETURNING *`,
+    [status, videoUrl, id, error]
+  );
+  return result.rows[0];
+}
+
+export async function getVideo(id) {
+  const result = await pool.query(
+    'SELECT * FROM videos WHERE id = $1 OR sora_job_id = $1',
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+export async function listVideos(projectId = null, favoritesOnly = false) {
+  let query = 'SELECT * FROM videos';
+  const params = [];
+  const conditions = [];
+  
+  if (projectId) {
+    conditions.push(`project_id = $${params.length + 1}`);
+    params.push(projectId);
+  }
+  
+  if (favoritesOnly) {
+    conditions.push('is_favorite = TRUE');
+  }
+  
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+  
+  query += ' ORDER BY created_at DESC';
+  
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Store the character consistency check of a video
+ * @param {string} id - Video ID
+ * @param {object} consistency - { score, flagged, frames, ... } from the consistency check
+ */
+export async function updateVideoConsistency(id, consistency) {
+  const result = await pool.query(
+    `UPDATE videos SET consistency_score = $1, consistency = $2, consistency_flagged = $3
+     WHERE id = $4 RETURNING *`,
+    [consistency.score, JSON.stringify(consistency), !!consistency.flagged, id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Videos whose character consistency check fell below the threshold
+ */
+export async function listFlaggedVideos(limit = 50) {
+  const result = await pool.query(
+    `SELECT * FROM videos WHERE consistency_flagged = TRUE ORDER BY completed_at DESC NULLS LAST LIMIT $1`,
+    [limit]
+  );
+  return result.rows;
+}
+
+export async function updateVideoFavorite(id, isFavorite) {
+  const result = await pool.query(
+    `UPDATE videos SET is_favorite = $1 WHERE id = $2 OR sora_job_id = $2 RETURNING *`,
+    [isFavorite, id]
+  );
+  return result.rows[0];
+}
+
+export async function updateVideoRating(id, rating) {
+  const result = await pool.query(
+    `UPDATE videos SET rating = $1 WHERE id = $2 OR sora_job_id = $2 RETURNING *`,
+    [rating, id]
+  );
+  return result.rows[0];
+}
+
+// ==========================================
+// VIDEO JOB RUNNER OPERATIONS
+// ==========================================
+
+// Statuses of Sora jobs that still need polling
+export const ACTIVE_VIDEO_STATUSES = ['pending', 'queued', 'in_progress'];
+
+/**
+ * Get Sora jobs that are due for a status poll
+ * @param {number} limit - Max jobs to return
+ * @returns {Promise<object[]>} - Video records, oldest due first
+ */
+export async function listDueVideoJobs(limit = 10) {
+  const result = await pool.query(
+    `SELECT * FROM videos
+     WHERE status = ANY($1)
+       AND sora_job_id IS NOT NULL
+       AND (next_poll_at IS NULL OR next_poll_at <= NOW())
+     ORDER BY next_poll_at ASC NULLS FIRST, created_at ASC
+     LIMIT $2`,
+    [ACTIVE_VIDEO_STATUSES, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * List all Sora jobs that are not finished yet
+ */
+export async function listActiveVideoJobs() {
+  const result = await pool.query(
+    `SELECT * FROM videos
+     WHERE status = ANY($1) AND sora_job_id IS NOT NULL
+     ORDER BY created_at ASC`,
+    [ACTIVE_VIDEO_STATUSES]
+  );
+  return result.rows;
+}
+
+/**
+ * Record a successful poll of an unfinished job
+ * @param {string} id - Video ID or Sora job ID
+ * @param {string} status - Sora status (queued, in_progress)
+ * @param {number} progress - Sora progress percentage
+ * @param {number} nextPollMs - Delay before the next poll
+ */
+export async function updateVideoJobProgress(id, status, progress, nextPollMs) {
+  const result = await pool.query(
+    `UPDATE videos SET
+       status = $1,
+       progress = COALESCE($2, progress),
+       attempts = 0,
+       last_error = NULL,
+       last_polled_at = NOW(),
+       next_poll_at = NOW() + ($3 * INTERVAL '1 millisecond')
+     WHERE id = $4 OR sora_job_id = $4
+     RETURNING *`,
+    [status, progress, nextPollMs, id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record a failed poll and schedule a retry
+ * @param {string} id - Video ID or Sora job ID
+ * @param {string} error - Error message
+ * @param {number} retryDelayMs - Delay before the next attempt
+ */
+export async function recordVideoJobError(id, error, retryDelayMs) {
+  const result = await pool.query(
+    `UPDATE videos SET
+       attempts = attempts + 1,
+       last_error = $1,
+       last_polled_at = NOW(),
+       next_poll_at = NOW() + ($2 * INTERVAL '1 millisecond')
+     WHERE id = $3 OR sora_job_id = $3
+     RETURNING *`,
+    [error, retryDelayMs, id]
+  );
+  return result.rows[0];
+}
+
+// ==========================================
+// VIDEO ARCHIVAL OPERATIONS
+// ==========================================
+
+/**
+ * Store the permanent copy of a video
+ * @param {string} id - Video ID or Sora job ID
+ * @param {object} archive - Storage upload result ({ url, publicId, duration, bytes, backend })
+ * @returns {Promise<object>} - Updated video record
+ */
+export async function markVideoArchived(id, archive) {
+  const { url, publicId = null, duration = null, bytes = null, backend = 'cloudinary' } = archive;
+  const result = await pool.query(
+    `UPDATE videos SET
+       permanent_url = $1,
+       video_url = $1,
+       cloudinary_public_id = $2,
+       duration_seconds = COALESCE($3, duration_seconds),
+       bytes = COALESCE($4, bytes),
+       storage_backend = $5,
+       archived_at = NOW(),
+       archive_error = NULL
+     WHERE id = $6 OR sora_job_id = $6
+     RETURNING *`,
+    [url, publicId, duration ? Math.round(duration) : null, bytes, backend, id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record a failed archival attempt
+ * @param {string} id - Video ID or Sora job ID
+ * @param {string} error - Error message
+ */
+export async function recordVideoArchiveError(id, error) {
+  const result = await pool.query(
+    `UPDATE videos SET
+       archive_attempts = archive_attempts + 1,
+       archive_error = $1,
+       archive_attempted_at = NOW()
+     WHERE id = $2 OR sora_job_id = $2
+     RETURNING *`,
+    [error, id]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Find completed Sora videos that still need a permanent copy
+ * Oldest first, since those are closest to expiring on Sora's side
+ * @param {object} options - Sweep options
+ * @param {number} options.expiryHours - Sora retention; older videos are gone and skipped
+ * @param {number} options.retryAfterMinutes - Wait between attempts on the same video
+ * @param {number} options.maxAttempts - Stop retrying after this many failures
+ * @param {number} options.limit - Max videos to return
+ */
+export async function listVideosToArchive(options = {}) {
+  const { expiryHours = 24, retryAfterMinutes = 10, maxAttempts = 5, limit = 5 } = options;
+  const result = await pool.query(
+    `SELECT * FROM videos
+     WHERE status = 'completed'
+       AND sora_job_id IS NOT NULL
+       AND archived_at IS NULL
+       AND completed_at > NOW() - ($1 * INTERVAL '1 hour')
+       AND archive_attempts < $2
+       AND (archive_attempted_at IS NULL OR archive_attempted_at < NOW() - ($3 * INTERVAL '1 minute'))
+     ORDER BY completed_at ASC
+     LIMIT $4`,
+    [expiryHours, maxAttempts, retryAfterMinutes, limit]
+  );
+  return result.rows;
+}
+
+/**
+ * Save a video rendered on our side (composition, overlay, export...)
+ * These rows have no Sora job and are already in storage, so they are
+ * completed and archived as soon as they are saved
+ * @param {object} videoData - Video data to save
+ * @param {object} videoData.stored - Storage upload result ({ url, publicId, bytes, backend })
+ * @param {string} videoData.sourceVideoId - Video this one was made from (overlays, exports)
+ * @param {string} videoData.exportProfile - EXPORT_PROFILES key when this is a platform export
+ * @returns {Promise<object>} - Saved video record
+ */
+export async function saveRenderedVideo(videoData) {
+  const {
+    id,
+    projectId = null,
+    kind,
+    prompt = null,
+    stored,
+    durationSeconds = null,
+    metadata = null,
+    sourceVideoId = null,
+    exportProfile = null,
+    createdBy = null
+  } = videoData;
+
+  const result = await pool.query(
+    `INSERT INTO videos
+     (id, project_id, kind, prompt, status, video_url, permanent_url, cloudinary_public_id,
+      storage_backend, bytes, duration_seconds, metadata, source_video_id, export_profile,
+      progress, completed_at, archived_at, created_by)
+     VALUES ($1, $2, $3, $4, 'completed', $5, $5, $6, $7, $8, $9, $10, $11, $12, 100, NOW(), NOW(), $13)
+     RETURNING *`,
+    [id, projectId, kind, prompt, stored.url, stored.publicId || null, stored.backend, stored.bytes || null,
+     durationSeconds !== null ? Math.round(durationSeconds) : null,
+     metadata ? JSON.stringify(metadata) : null, sourceVideoId, exportProfile, createdBy]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Videos rendered from a video (captioned copies, platform exports), newest first
+ * @param {string} sourceVideoId - Video ID
+ * @param {object} options - { kind: only this kind of variant }
+ * @returns {Promise<Array>}
+ */
+export async function listVideoVariants(sourceVideoId, { kind = null } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM videos
+     WHERE source_video_id = $1 AND ($2::text IS NULL OR kind = $2)
+     ORDER BY created_at DESC`,
+    [sourceVideoId, kind]
+  );
+  return result.rows;
+}
+
+// ==========================================
+// VIDEO CAPTION OPERATIONS
+// ==========================================
+
+/**
+ * Store post copy generated for a video
+ * @param {object} captionData - { id, videoId, captions, hashtagSets, firstComment, personalityPreset,
+ *   model, promptTemplateVersionId, createdBy }
+ * @returns {Promise<object>} - Saved video_captions record
+ */
+export async function saveVideoCaptions(captionData) {
+  const {
+    id,
+    videoId,
+    captions,
+    hashtagSets,
+    firstComment = null,
+    personalityPreset = null,
+    model = null,
+    promptTemplateVersionId = null,
+    createdBy = null
+  } = captionData;
+
+  const result = await pool.query(
+    `INSERT INTO video_captions
+     (id, video_id, captions, hashtag_sets, first_comment, personality_preset, model, prompt_template_version_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [id, videoId, JSON.stringify(captions), JSON.stringify(hashtagSets), firstComment,
+     personalityPreset, model, promptTemplateVersionId, createdBy]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Post copy generated for a video, newest first
  */
-export async function updateCharacterImage(id, imageUrl) {
+export async function listVideoCaptions(videoId) {
   const result = await pool.query(
-    `UPDATE characters SET image_url = $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
-    [imageUrl, id]
+    'SELECT * FROM video_captions WHERE video_id = $1 ORDER BY created_at DESC',
+    [videoId]
   );
-  return result.rows[0];
+  return result.rows;
 }
 
 // ==========================================
-// PROJECT OPERATIONS
+// VIDEO COVER OPERATIONS
 // ==========================================
 
-export async function saveProject(id, characterId, topic, personalityPreset, scenarios) {
+/**
+ * Store a cover image candidate for a video
+ * @param {object} coverData - { id, videoId, source ('frame' or 'generated'), stored, timeSeconds,
+ *   sharpness, title, generatedImageId, metadata, createdBy }
+ * @param {object} coverData.stored - Storage upload result ({ url, publicId, backend })
+ * @returns {Promise<object>} - Saved video_covers record
+ */
+export async function saveVideoCover(coverData) {
+  const {
+    id,
+    videoId,
+    source,
+    stored,
+    timeSeconds = null,
+    sharpness = null,
+    title = null,
+    generatedImageId = null,
+    metadata = null,
+    createdBy = null
+  } = coverData;
+
   const result = await pool.query(
-    `INSERT INTO projects (id, character_id, topic, personality_preset, scenarios)
-     VALUES ($1, $2, $3, $4, $5)
-     ON CONFLICT (id) DO UPDATE SET
-       character_id = EXCLUDED.character_id,
-       topic = EXCLUDED.topic,
-       personality_preset = EXCLUDED.personality_preset,
-       scenarios = EXCLUDED.scenarios,
-       updated_at = NOW()
+    `INSERT INTO video_covers
+     (id, video_id, source, image_url, storage_public_id, storage_backend, time_seconds, sharpness,
+      title, generated_image_id, metadata, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
      RETURNING *`,
-    [id, characterId, topic, personalityPreset, JSON.stringify(scenarios)]
+    [id, videoId, source, stored.url, stored.publicId || null, stored.backend || null, timeSeconds, sharpness,
+     title, generatedImageId, metadata ? JSON.stringify(metadata) : null, createdBy]
   );
   return result.rows[0];
 }
 
-export async function getProject(id) {
-  const result = await pool.query(
-    `SELECT p.*, c.name as character_name, c.style_guide
-     FROM projects p
-     LEFT JOIN characters c ON p.character_id = c.id
-     WHERE p.id = $1`,
-    [id]
-  );
+export async function getVideoCover(id) {
+  const result = await pool.query('SELECT * FROM video_covers WHERE id = $1', [id]);
   return result.rows[0] || null;
 }
 
-export async function listProjects(characterId = null) {
-  let query = `
-    SELECT p.*, c.name as character_name
-    FROM projects p
-    LEFT JOIN characters c ON p.character_id = c.id
-  `;
-  const params = [];
-  
-  if (characterId) {
-    query += ' WHERE p.character_id = $1';
-    params.push(characterId);
-  }
-  
-  query += ' ORDER BY p.updated_at DESC';
-  
-  const result = await pool.query(query, params);
+/**
+ * Cover candidates of a video, newest first
+ */
+export async function listVideoCovers(videoId) {
+  const result = await pool.query(
+    'SELECT * FROM video_covers WHERE video_id = $1 ORDER BY created_at DESC, time_seconds',
+    [videoId]
+  );
   return result.rows;
 }
 
-export async function deleteProject(id) {
-  await pool.query('DELETE FROM projects WHERE id = $1', [id]);
+/**
+ * Make a cover candidate the video's cover
+ * @param {string} videoId - Video ID
+ * @param {object} cover - video_covers row (null clears the cover)
+ * @returns {Promise<object|null>} - Updated video record
+ */
+export async function setVideoCover(videoId, cover) {
+  const result = await pool.query(
+    'UPDATE videos SET cover_id = $1, cover_url = $2 WHERE id = $3 RETURNING *',
+    [cover?.id || null, cover?.image_url || null, videoId]
+  );
+  return result.rows[0] || null;
 }
 
 // ==========================================
-// VIDEO OPERATIONS
+// COMPOSITION OPERATIONS
 // ==========================================
 
-export async function saveVideo(id, projectId, soraJobId, prompt, structuredPrompt = null) {
+/**
+ * Create a composition record (status starts as 'processing')
+ * @param {object} compositionData - Composition data to save
+ * @returns {Promise<object>} - Saved composition record
+ */
+export async function saveComposition(compositionData) {
+  const {
+    id,
+    projectId = null,
+    sourceVideoIds,
+    transition = 'cut',
+    transitions = null,
+    transitionDuration = 0.5
+  } = compositionData;
+
   const result = await pool.query(
-    `INSERT INTO videos (id, project_id, sora_job_id, prompt, structured_prompt, status)
-     VALUES ($1, $2, $3, $4, $5, 'pending')
-     ON CONFLICT (id) DO UPDATE SET
-       sora_job_id = EXCLUDED.sora_job_id,
-       prompt = EXCLUDED.prompt,
-       structured_prompt = EXCLUDED.structured_prompt
+    `INSERT INTO compositions (id, project_id, source_video_ids, transition, transitions, transition_duration)
+     VALUES ($1, $2, $3, $4, $5, $6)
      RETURNING *`,
-    [id, projectId, soraJobId, prompt, structuredPrompt ? JSON.stringify(structuredPrompt) : null]
+    [id, projectId, sourceVideoIds, transition, transitions ? JSON.stringify(transitions) : null, transitionDuration]
   );
   return result.rows[0];
 }
 
-export async function updateVideoStatus(id, status, videoUrl = null) {
-  const completedAt = status === 'completed' ? 'NOW()' : 'NULL';
+/**
+ * Mark a composition as completed or failed
+ * @param {string} id - Composition ID
+ * @param {string} status - 'completed' or 'failed'
+ * @param {object} updates - videoId of the rendered output, or error message
+ */
+export async function updateCompositionStatus(id, status, { videoId = null, error = null } = {}) {
   const result = await pool.query(
-    `UPDATE videos SET
+    `UPDATE compositions SET
        status = $1,
-       video_url = COALESCE($2, video_url),
+       video_id = COALESCE($2, video_id),
+       error = $3,
        completed_at = ${status === 'completed' ? 'NOW()' : 'completed_at'}
-     WHERE id = $3 OR sora_job_id = $3
+     WHERE id = $4
      RETURNING *`,
-    [status, videoUrl, id]
+    [status, videoId, error, id]
   );
   return result.rows[0];
 }
 
-export async function getVideo(id) {
+export async function getComposition(id) {
   const result = await pool.query(
-    'SELECT * FROM videos WHERE id = $1 OR sora_job_id = $1',
+    `SELECT c.*, v.video_url, v.duration_seconds
+     FROM compositions c
+     LEFT JOIN videos v ON c.video_id = v.id
+     WHERE c.id = $1`,
     [id]
   );
   return result.rows[0] || null;
 }
 
-export async function listVideos(projectId = null, favoritesOnly = false) {
-  let query = 'SELECT * FROM videos';
+export async function listCompositions(projectId = null) {
+  let query = `
+    SELECT c.*, v.video_url, v.duration_seconds
+    FROM compositions c
+    LEFT JOIN videos v ON c.video_id = v.id
+  `;
   const params = [];
-  const conditions = [];
-  
+
   if (projectId) {
-    conditions.push(`project_id = $${params.length + 1}`);
+    query += ' WHERE c.project_id = $1';
     params.push(projectId);
   }
-  
-  if (favoritesOnly) {
-    conditions.push('is_favorite = TRUE');
-  }
-  
-  if (conditions.length > 0) {
-    query += ' WHERE ' + conditions.join(' AND ');
-  }
-  
-  query += ' ORDER BY created_at DESC';
-  
-  const result = await pool.query(query, params);
-  return result.rows;
-}
 
-export async function updateVideoFavorite(id, isFavorite) {
-  const result = await pool.query(
-    `UPDATE videos SET is_favorite = $1 WHERE id = $2 OR sora_job_id = $2 RETURNING *`,
-    [isFavorite, id]
-  );
-  return result.rows[0];
-}
+  query += ' ORDER BY c.created_at DESC';
 
-export async function updateVideoRating(id, rating) {
-  const result = await pool.query(
-    `UPDATE videos SET rating = $1 WHERE id = $2 OR sora_job_id = $2 RETURNING *`,
-    [rating, id]
-  );
-  return result.rows[0];
+  const result = await pool.query(query, params);
+  return result.rows;
 }
 
 // ==========================================
@@ -330,25 +1728,31 @@ export async function saveGeneratedImage(imageData) {
     prompt,
     cloudinaryUrl,
     cloudinaryPublicId = null,
+    storageBackend = 'cloudinary',
     aspectRatio = '9:16',
     resolution = '2K',
     model = 'gemini-2.5-flash-image',
     sceneIndex = null,
-    metadata = null
+    metadata = null,
+    createdBy = null,
+    experimentAssignmentId = null,
+    sceneId = null
   } = imageData;
 
   const result = await pool.query(
     `INSERT INTO generated_images 
      (id, project_id, character_id, prompt, cloudinary_url, cloudinary_public_id, 
-      aspect_ratio, resolution, model, scene_index, metadata)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      aspect_ratio, resolution, model, scene_index, metadata, storage_backend, created_by, experiment_assignment_id, scene_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
      ON CONFLICT (id) DO UPDATE SET
        cloudinary_url = EXCLUDED.cloudinary_url,
        cloudinary_public_id = EXCLUDED.cloudinary_public_id,
+       storage_backend = EXCLUDED.storage_backend,
        metadata = COALESCE(EXCLUDED.metadata, generated_images.metadata)
      RETURNING *`,
     [id, projectId, characterId, prompt, cloudinaryUrl, cloudinaryPublicId, 
-     aspectRatio, resolution, model, sceneIndex, metadata ? JSON.stringify(metadata) : null]
+     aspectRatio, resolution, model, sceneIndex, metadata ? JSON.stringify(metadata) : null, storageBackend, createdBy,
+     experimentAssignmentId, sceneId]
   );
   return result.rows[0];
 }
@@ -368,7 +1772,7 @@ export async function getGeneratedImage(id) {
  * List generated images with optional filters
  */
 export async function listGeneratedImages(filters = {}) {
-  const { projectId, characterId, favoritesOnly, limit = 50, offset = 0 } = filters;
+  const { projectId, characterId, favoritesOnly, flaggedOnly, limit = 50, offset = 0 } = filters;
   
   let query = 'SELECT * FROM generated_images';
   const params = [];
@@ -387,6 +1791,10 @@ export async function listGeneratedImages(filters = {}) {
   if (favoritesOnly) {
     conditions.push('is_favorite = TRUE');
   }
+
+  if (flaggedOnly) {
+    conditions.push('consistency_flagged = TRUE');
+  }
   
   if (conditions.length > 0) {
     query += ' WHERE ' + conditions.join(' AND ');
@@ -399,6 +1807,20 @@ export async function listGeneratedImages(filters = {}) {
   return result.rows;
 }
 
+/**
+ * Store the character consistency check of an image
+ * @param {string} id - Image ID
+ * @param {object} consistency - { score, flagged, ... } from the consistency check
+ */
+export async function updateImageConsistency(id, consistency) {
+  const result = await pool.query(
+    `UPDATE generated_images SET consistency_score = $1, consistency = $2, consistency_flagged = $3
+     WHERE id = $4 RETURNING *`,
+    [consistency.score, JSON.stringify(consistency), !!consistency.flagged, id]
+  );
+  return result.rows[0];
+}
+
 /**
  * Toggle favorite status for an image
  */
@@ -538,6 +1960,409 @@ export async function searchPromptLibrary(searchTerm) {
   return result.rows;
 }
 
+// ==========================================
+// PROMPT TEMPLATE OPERATIONS
+// ==========================================
+
+/**
+ * Store the built-in templates as version 1 (templates that already exist are left alone)
+ * @param {object} templates - { name: { description, system, user, model, maxTokens } }
+ */
+export async function seedPromptTemplates(templates) {
+  for (const [name, template] of Object.entries(templates)) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const inserted = await client.query(
+        `INSERT INTO prompt_templates (name, description, active_version)
+         VALUES ($1, $2, 1)
+         ON CONFLICT (name) DO NOTHING
+         RETURNING name`,
+        [name, template.description]
+      );
+      if (inserted.rows.length) {
+        await client.query(
+          `INSERT INTO prompt_template_versions (template_name, version, system_template, user_template, model, max_tokens, note)
+           VALUES ($1, 1, $2, $3, $4, $5, 'Built-in template')`,
+          [name, template.system, template.user, template.model, template.maxTokens]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export async function listPromptTemplates() {
+  const result = await pool.query(
+    `SELECT t.*, v.model, v.max_tokens, v.created_at AS active_since,
+       (SELECT COUNT(*) FROM prompt_template_versions WHERE template_name = t.name)::int AS version_count
+     FROM prompt_templates t
+     LEFT JOIN prompt_template_versions v ON v.template_name = t.name AND v.version = t.active_version
+     ORDER BY t.name`
+  );
+  return result.rows;
+}
+
+/**
+ * Get the version of a template that generation should use
+ * @returns {Promise<object|null>} - prompt_template_versions row plus description
+ */
+export async function getActivePromptTemplate(name) {
+  const result = await pool.query(
+    `SELECT v.*, t.description
+     FROM prompt_templates t
+     JOIN prompt_template_versions v ON v.template_name = t.name AND v.version = t.active_version
+     WHERE t.name = $1`,
+    [name]
+  );
+  return result.rows[0] || null;
+}
+
+export async function listPromptTemplateVersions(name) {
+  const result = await pool.query(
+    'SELECT * FROM prompt_template_versions WHERE template_name = $1 ORDER BY version DESC',
+    [name]
+  );
+  return result.rows;
+}
+
+export async function getPromptTemplateVersion(name, version) {
+  const result = await pool.query(
+    'SELECT * FROM prompt_template_versions WHERE template_name = $1 AND version = $2',
+    [name, version]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Add a new version of a template
+ * @param {string} name - Template name
+ * @param {object} data - { systemTemplate, userTemplate, model, maxTokens, note, createdBy, activate }
+ * @returns {Promise<object|null>} - The new version, or null if the template doesn't exist
+ */
+export async function createPromptTemplateVersion(name, data) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Lock the template so two editors can't take the same version number
+    const template = await client.query('SELECT name FROM prompt_templates WHERE name = $1 FOR UPDATE', [name]);
+    if (!template.rows.length) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const result = await client.query(
+      `INSERT INTO prompt_template_versions (template_name, version, system_template, user_template, model, max_tokens, note, created_by)
+       SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7
+       FROM prompt_template_versions WHERE template_name = $1
+       RETURNING *`,
+      [name, data.systemTemplate, data.userTemplate || null, data.model || null, data.maxTokens || null, data.note || null, data.createdBy || null]
+    );
+    const version = result.rows[0];
+
+    if (data.activate) {
+      await client.query(
+        'UPDATE prompt_templates SET active_version = $1, updated_at = NOW() WHERE name = $2',
+        [version.version, name]
+      );
+    }
+
+    await client.query('COMMIT');
+    return version;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function activatePromptTemplateVersion(name, version) {
+  const result = await pool.query(
+    `UPDATE prompt_templates SET active_version = $1, updated_at = NOW()
+     WHERE name = $2 AND EXISTS (
+       SELECT 1 FROM prompt_template_versions WHERE template_name = $2 AND version = $1
+     )
+     RETURNING *`,
+    [version, name]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Compare the videos made with each version of a template
+ * @returns {Promise<object[]>} - Per version: videos, rated, avg_rating, favorites, avg_consistency
+ */
+export async function getPromptTemplateStats(name) {
+  const result = await pool.query(
+    `SELECT v.version, v.model, v.created_at,
+       COUNT(vid.id)::int AS videos,
+       -- rating 0 means "not rated yet"
+       COUNT(*) FILTER (WHERE vid.rating > 0)::int AS rated,
+       ROUND(AVG(NULLIF(vid.rating, 0))::numeric, 2)::float AS avg_rating,
+       COUNT(*) FILTER (WHERE vid.is_favorite)::int AS favorites,
+       ROUND(AVG(vid.consistency_score)::numeric, 3)::float AS avg_consistency
+     FROM prompt_template_versions v
+     LEFT JOIN videos vid ON vid.prompt_template_version_id = v.id
+     WHERE v.template_name = $1
+     GROUP BY v.id
+     ORDER BY v.version DESC`,
+    [name]
+  );
+  return result.rows;
+}
+
+// ==========================================
+// EXPERIMENT OPERATIONS
+// ==========================================
+
+export async function createExperiment(experiment) {
+  const result = await pool.query(
+    `INSERT INTO experiments (id, name, description, target, status, variants, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING *`,
+    [
+      experiment.id,
+      experiment.name,
+      experiment.description || null,
+      experiment.target,
+      experiment.status || 'active',
+      JSON.stringify(experiment.variants),
+      experiment.createdBy || null
+    ]
+  );
+  return result.rows[0];
+}
+
+export async function listExperiments() {
+  const result = await pool.query(
+    `SELECT e.*, (SELECT COUNT(*) FROM experiment_assignments WHERE experiment_id = e.id)::int AS assignments
+     FROM experiments e
+     ORDER BY e.created_at DESC`
+  );
+  return result.rows;
+}
+
+export async function getExperiment(id) {
+  const result = await pool.query('SELECT * FROM experiments WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * The running experiment for a route (at most one per target)
+ */
+export async function getActiveExperiment(target) {
+  const result = await pool.query(
+    `SELECT * FROM experiments WHERE target = $1 AND status = 'active' LIMIT 1`,
+    [target]
+  );
+  return result.rows[0] || null;
+}
+
+export async function updateExperimentStatus(id, status) {
+  const result = await pool.query(
+    'UPDATE experiments SET status = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+    [status, id]
+  );
+  return result.rows[0] || null;
+}
+
+export async function createExperimentAssignment({ id, experimentId, variantKey, userId = null }) {
+  const result = await pool.query(
+    `INSERT INTO experiment_assignments (id, experiment_id, variant_key, user_id)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [id, experimentId, variantKey, userId]
+  );
+  return result.rows[0];
+}
+
+export async function getExperimentAssignment(id) {
+  const result = await pool.query('SELECT * FROM experiment_assignments WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Count retries of the same generation (re-requests, automatic regenerations, remixes)
+ */
+export async function addExperimentRegenerations(assignmentId, count = 1) {
+  await pool.query(
+    'UPDATE experiment_assignments SET regenerations = regenerations + $1 WHERE id = $2',
+    [count, assignmentId]
+  );
+}
+
+export async function linkVideoToExperiment(videoId, assignmentId) {
+  await pool.query(
+    'UPDATE videos SET experiment_assignment_id = $1 WHERE id = $2',
+    [assignmentId, videoId]
+  );
+}
+
+/**
+ * Aggregate an experiment per variant
+ * @returns {Promise<object[]>} - Per variant: assignments, regenerations, videos, rated_videos,
+ *   avg_rating, favorite_videos, images, favorite_images, avg_image_consistency
+ */
+export async function getExperimentResults(experimentId) {
+  const result = await pool.query(
+    `WITH assignments AS (
+       SELECT variant_key, COUNT(*)::int AS assignments, COALESCE(SUM(regenerations), 0)::int AS regenerations
+       FROM experiment_assignments
+       WHERE experiment_id = $1
+       GROUP BY variant_key
+     ),
+     video_stats AS (
+       SELECT a.variant_key,
+         COUNT(v.id)::int AS videos,
+         -- rating 0 means "not rated yet"
+         COUNT(*) FILTER (WHERE v.rating > 0)::int AS rated_videos,
+         ROUND(AVG(NULLIF(v.rating, 0))::numeric, 2)::float AS avg_rating,
+         COUNT(*) FILTER (WHERE v.is_favorite)::int AS favorite_videos
+       FROM experiment_assignments a
+       JOIN videos v ON v.experiment_assignment_id = a.id
+       WHERE a.experiment_id = $1
+       GROUP BY a.variant_key
+     ),
+     image_stats AS (
+       SELECT a.variant_key,
+         COUNT(gi.id)::int AS images,
+         COUNT(*) FILTER (WHERE gi.is_favorite)::int AS favorite_images,
+         ROUND(AVG(gi.consistency_score)::numeric, 3)::float AS avg_image_consistency
+       FROM experiment_assignments a
+       JOIN generated_images gi ON gi.experiment_assignment_id = a.id
+       WHERE a.experiment_id = $1
+       GROUP BY a.variant_key
+     )
+     SELECT a.variant_key, a.assignments, a.regenerations,
+       COALESCE(v.videos, 0) AS videos, COALESCE(v.rated_videos, 0) AS rated_videos, v.avg_rating,
+       COALESCE(v.favorite_videos, 0) AS favorite_videos,
+       COALESCE(i.images, 0) AS images, COALESCE(i.favorite_images, 0) AS favorite_images, i.avg_image_consistency
+     FROM assignments a
+     LEFT JOIN video_stats v ON v.variant_key = a.variant_key
+     LEFT JOIN image_stats i ON i.variant_key = a.variant_key`,
+    [experimentId]
+  );
+  return result.rows;
+}
+
+// ==========================================
+// USAGE LEDGER
+// ==========================================
+
+/**
+ * Record one paid AI call
+ * @param {object} event - { userId, provider, operation, model, inputTokens, outputTokens, seconds,
+ *   resolution, units, estimatedCostUsd, route, characterId, projectId, videoId, externalId, metadata }
+ */
+export async function recordUsageEvent(event) {
+  const result = await pool.query(
+    `INSERT INTO usage_events (user_id, provider, operation, model, input_tokens, output_tokens, seconds,
+       resolution, units, estimated_cost_usd, route, character_id, project_id, video_id, external_id, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+     RETURNING *`,
+    [
+      event.userId || null,
+      event.provider,
+      event.operation,
+      event.model || null,
+      event.inputTokens ?? null,
+      event.outputTokens ?? null,
+      event.seconds ?? null,
+      event.resolution || null,
+      event.units ?? 1,
+      event.estimatedCostUsd || 0,
+      event.route || null,
+      event.characterId || null,
+      event.projectId || null,
+      event.videoId || null,
+      event.externalId || null,
+      event.metadata ? JSON.stringify(event.metadata) : null
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Total estimated spend since a point in time
+ * @param {Date} since - Start of the period
+ * @param {string|null} userId - Only count this user's calls (null = everyone)
+ * @returns {Promise<number>} - Spend in USD
+ */
+export async function getUsageTotal(since, userId = null) {
+  const params = [since];
+  let query = 'SELECT COALESCE(SUM(estimated_cost_usd), 0) AS total FROM usage_events WHERE created_at >= $1';
+  if (userId) {
+    query += ' AND user_id = $2';
+    params.push(userId);
+  }
+  const result = await pool.query(query, params);
+  return parseFloat(result.rows[0].total);
+}
+
+/**
+ * Spend report broken down by model, character, project and user
+ * Calls without a character are attributed to their project's character
+ * @param {object} filters - { since, until, userId }
+ */
+export async function getUsageReport(filters = {}) {
+  const { since, until = new Date(), userId = null } = filters;
+  const params = [since, until];
+  let where = 'u.created_at >= $1 AND u.created_at < $2';
+  if (userId) {
+    where += ' AND u.user_id = $3';
+    params.push(userId);
+  }
+
+  const from = `FROM usage_events u
+     LEFT JOIN projects p ON p.id = u.project_id
+     LEFT JOIN characters c ON c.id = COALESCE(u.character_id, p.character_id)
+     LEFT JOIN users us ON us.id = u.user_id
+     WHERE ${where}`;
+  const totals = 'COUNT(*)::int AS calls, COALESCE(SUM(u.estimated_cost_usd), 0)::float AS cost_usd';
+
+  const [total, byModel, byCharacter, byProject, byUser] = await Promise.all([
+    pool.query(`SELECT ${totals} ${from}`, params),
+    pool.query(
+      `SELECT u.provider, u.model, ${totals},
+         COALESCE(SUM(u.input_tokens), 0)::int AS input_tokens,
+         COALESCE(SUM(u.output_tokens), 0)::int AS output_tokens,
+         COALESCE(SUM(u.seconds), 0)::float AS seconds,
+         COALESCE(SUM(u.units), 0)::int AS units
+       ${from} GROUP BY u.provider, u.model ORDER BY cost_usd DESC`,
+      params
+    ),
+    pool.query(
+      `SELECT c.id AS character_id, c.name AS character_name, ${totals}
+       ${from} GROUP BY c.id, c.name ORDER BY cost_usd DESC`,
+      params
+    ),
+    pool.query(
+      `SELECT p.id AS project_id, p.topic, ${totals}
+       ${from} GROUP BY p.id, p.topic ORDER BY cost_usd DESC`,
+      params
+    ),
+    pool.query(
+      `SELECT us.id AS user_id, us.username, ${totals}
+       ${from} GROUP BY us.id, us.username ORDER BY cost_usd DESC`,
+      params
+    )
+  ]);
+
+  return {
+    totals: total.rows[0],
+    byModel: byModel.rows,
+    byCharacter: byCharacter.rows,
+    byProject: byProject.rows,
+    byUser: byUser.rows
+  };
+}
+
 // ==========================================
 // UTILITY
 // ==========================================
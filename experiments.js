@@ -0,0 +1,74 @@
+// What a variant can change, per experiment target (the route it runs on)
+// model: chat model for the LLM routes, image model for images
+// promptTemplateVersion: a version of the route's prompt template (see /api/prompt-templates)
+export const EXPERIMENT_TARGETS = {
+  scenarios: ['model', 'promptTemplateVersion', 'personalityPreset'],
+  structured: ['model', 'promptTemplateVersion', 'personalityPreset'],
+  storyboard: ['model', 'promptTemplateVersion', 'personalityPreset'],
+  captions: ['model', 'promptTemplateVersion', 'personalityPreset'],
+  images: ['model', 'enhancePrompt']
+};
+
+export const EXPERIMENT_STATUSES = ['active', 'paused', 'completed'];
+
+const VARIANT_KEY = /^[a-z0-9][a-z0-9_-]{0,49}$/i;
+
+/**
+ * Validate and normalize the variants of an experiment
+ * @param {string} target - One of EXPERIMENT_TARGETS
+ * @param {object[]} variants - [{ key, weight, model, promptTemplateVersion, personalityPreset, enhancePrompt }]
+ * @returns {object[]} - Variants with only the fields the target supports
+ * @throws {Error} - When the variants are invalid
+ */
+export function normalizeVariants(target, variants) {
+  const fields = EXPERIMENT_TARGETS[target];
+  if (!fields) {
+    throw new Error(`Invalid target: ${target} (valid: ${Object.keys(EXPERIMENT_TARGETS).join(', ')})`);
+  }
+  if (!Array.isArray(variants) || variants.length < 2) {
+    throw new Error('An experiment needs at least two variants');
+  }
+
+  const keys = new Set();
+  return variants.map((variant, index) => {
+    if (!variant || !VARIANT_KEY.test(variant.key || '')) {
+      throw new Error(`variants[${index}].key must be a short name (letters, numbers, - and _)`);
+    }
+    if (keys.has(variant.key)) {
+      throw new Error(`Variant ${variant.key} is listed twice`);
+    }
+    keys.add(variant.key);
+
+    const weight = variant.weight ?? 1;
+    if (typeof weight !== 'number' || weight <= 0) {
+      throw new Error(`variants[${index}].weight must be a positive number`);
+    }
+
+    const unsupported = Object.keys(variant).filter(field => !['key', 'weight', ...fields].includes(field));
+    if (unsupported.length) {
+      throw new Error(`${target} variants cannot change: ${unsupported.join(', ')}`);
+    }
+
+    const normalized = { key: variant.key, weight };
+    for (const field of fields) {
+      if (variant[field] !== undefined) normalized[field] = variant[field];
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Pick a variant at random, in proportion to the weights
+ * @param {object[]} variants - Normalized variants
+ * @param {number} random - Number in [0, 1) (Math.random by default)
+ * @returns {object}
+ */
+export function pickVariant(variants, random = Math.random()) {
+  const total = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let threshold = random * total;
+  for (const variant of variants) {
+    threshold -= variant.weight;
+    if (threshold < 0) return variant;
+  }
+  return variants[variants.length - 1];
+}
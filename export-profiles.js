@@ -0,0 +1,106 @@
+// How a video is fitted into a frame with another aspect ratio
+// crop: fill the frame and cut off the overflow (centered)
+// blur: fit the whole video over a blurred, zoomed copy of itself
+// letterbox: fit the whole video on black bars
+export const REFRAME_MODES = ['crop', 'blur', 'letterbox'];
+
+// Loudness most platforms normalize to (EBU R128 style: integrated LUFS, true peak dBTP, loudness range LU)
+const STREAMING_LOUDNESS = { integrated: -14, truePeak: -1, range: 11 };
+
+/**
+ * Export targets per platform
+ * maxDuration is in seconds (null for no cap); bitrates are ffmpeg values
+ */
+export const EXPORT_PROFILES = {
+  'instagram-reels': {
+    label: 'Instagram Reels (9:16)',
+    width: 1080,
+    height: 1920,
+    fps: 30,
+    videoBitrate: '8M',
+    audioBitrate: '192k',
+    maxDuration: 180,
+    loudness: STREAMING_LOUDNESS,
+    reframe: 'blur'
+  },
+  'instagram-feed-portrait': {
+    label: 'Instagram Feed (4:5)',
+    width: 1080,
+    height: 1350,
+    fps: 30,
+    videoBitrate: '6M',
+    audioBitrate: '192k',
+    maxDuration: 60,
+    loudness: STREAMING_LOUDNESS,
+    reframe: 'crop'
+  },
+  'instagram-feed-square': {
+    label: 'Instagram Feed (1:1)',
+    width: 1080,
+    height: 1080,
+    fps: 30,
+    videoBitrate: '5M',
+    audioBitrate: '192k',
+    maxDuration: 60,
+    loudness: STREAMING_LOUDNESS,
+    reframe: 'crop'
+  },
+  'tiktok': {
+    label: 'TikTok (9:16)',
+    width: 1080,
+    height: 1920,
+    fps: 30,
+    videoBitrate: '8M',
+    audioBitrate: '192k',
+    maxDuration: 600,
+    loudness: STREAMING_LOUDNESS,
+    reframe: 'blur'
+  },
+  'youtube-shorts': {
+    label: 'YouTube Shorts (9:16)',
+    width: 1080,
+    height: 1920,
+    fps: 30,
+    videoBitrate: '10M',
+    audioBitrate: '192k',
+    maxDuration: 180,
+    loudness: STREAMING_LOUDNESS,
+    reframe: 'blur'
+  },
+  'youtube': {
+    label: 'YouTube (16:9)',
+    width: 1920,
+    height: 1080,
+    fps: 30,
+    videoBitrate: '12M',
+    audioBitrate: '384k',
+    maxDuration: null,
+    loudness: STREAMING_LOUDNESS,
+    reframe: 'blur'
+  }
+};
+
+/**
+ * Resolve an export request to a profile
+ * @param {string} name - Key of EXPORT_PROFILES
+ * @param {object} overrides - { reframe, maxDuration } (maxDuration can only shorten the platform cap)
+ * @returns {object} - Profile with its name and the reframe mode to use
+ * @throws {Error} - When the profile or an override is invalid
+ */
+export function resolveExportProfile(name, { reframe, maxDuration } = {}) {
+  if (typeof name !== 'string' || !Object.hasOwn(EXPORT_PROFILES, name)) {
+    throw new Error(`Invalid export profile: ${name} (valid: ${Object.keys(EXPORT_PROFILES).join(', ')})`);
+  }
+  const profile = EXPORT_PROFILES[name];
+  if (reframe !== undefined && !REFRAME_MODES.includes(reframe)) {
+    throw new Error(`Invalid reframe mode: ${reframe} (valid: ${REFRAME_MODES.join(', ')})`);
+  }
+  if (maxDuration !== undefined && !(Number(maxDuration) > 0)) {
+    throw new Error('maxDuration must be a positive number of seconds');
+  }
+
+  const cap = maxDuration !== undefined
+    ? Math.min(Number(maxDuration), profile.maxDuration ?? Infinity)
+    : profile.maxDuration;
+  return { name, ...profile, reframe: reframe || profile.reframe, maxDuration: cap };
+}
@@ -0,0 +1,217 @@
+// Where a caption can sit on the frame
+export const OVERLAY_POSITIONS = ['top', 'center', 'bottom', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Caption look when neither the overlay nor the character sets one
+export const DEFAULT_CAPTION_STYLE = {
+  font: 'Sans',
+  fontScale: 0.045, // Font size as a fraction of the video height
+  color: '0xFFFFFF',
+  outlineColor: '0x000000',
+  outlineWidth: 3,
+  boxColor: null, // Background box behind the text (null for none)
+  boxOpacity: 0.5,
+  uppercase: false
+};
+
+/**
+ * Turn a colour into ffmpeg's 0xRRGGBB form
+ * Accepts #RRGGBB, 0xRRGGBB, RRGGBB or a plain colour name (white, yellow, ...)
+ */
+function normalizeColor(value, field) {
+  const text = String(value).trim();
+  const hex = text.match(/^(?:#|0x)?([0-9a-f]{6})$/i);
+  if (hex) return `0x${hex[1].toUpperCase()}`;
+  if (/^[a-z]{3,20}$/i.test(text)) return text.toLowerCase();
+  throw new Error(`${field} must be a colour name or #RRGGBB`);
+}
+
+/**
+ * Validate caption style settings (for a character or a single overlay)
+ * @param {object} input - { font, fontScale, color, outlineColor, outlineWidth, boxColor, boxOpacity, uppercase }
+ * @returns {object} - Only the settings that were given, normalized
+ * @throws {Error} - When a setting is invalid
+ */
+export function normalizeCaptionStyle(input = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('style must be an object');
+  }
+
+  const style = {};
+  if (input.font !== undefined) {
+    // Font family for fontconfig; no paths, no filter syntax
+    if (typeof input.font !== 'string' || !/^[\w ]{1,60}$/.test(input.font.trim())) {
+      throw new Error('font must be a font family name (letters, digits and spaces)');
+    }
+    style.font = input.font.trim();
+  }
+  if (input.fontScale !== undefined) {
+    const fontScale = Number(input.fontScale);
+    if (!(fontScale >= 0.01 && fontScale <= 0.2)) {
+      throw new Error('fontScale must be between 0.01 and 0.2 (fraction of the video height)');
+    }
+    style.fontScale = fontScale;
+  }
+  for (const field of ['color', 'outlineColor']) {
+    if (input[field] !== undefined) style[field] = normalizeColor(input[field], field);
+  }
+  if (input.boxColor !== undefined) {
+    style.boxColor = input.boxColor === null ? null : normalizeColor(input.boxColor, 'boxColor');
+  }
+  if (input.outlineWidth !== undefined) {
+    const outlineWidth = Number(input.outlineWidth);
+    if (!(outlineWidth >= 0 && outlineWidth <= 20)) {
+      throw new Error('outlineWidth must be between 0 and 20');
+    }
+    style.outlineWidth = Math.round(outlineWidth);
+  }
+  if (input.boxOpacity !== undefined) {
+    const boxOpacity = Number(input.boxOpacity);
+    if (!(boxOpacity >= 0 && boxOpacity <= 1)) {
+      throw new Error('boxOpacity must be between 0 and 1');
+    }
+    style.boxOpacity = boxOpacity;
+  }
+  if (input.uppercase !== undefined) {
+    style.uppercase = !!input.uppercase;
+  }
+  return style;
+}
+
+/**
+ * Map a free-text position ("bottom center", "upper left", "middle") to an OVERLAY_POSITIONS value
+ * @param {string} text - Position as written in a prompt or request
+ * @param {string} fallback - Used when nothing matches
+ * @returns {string}
+ */
+export function overlayPosition(text, fallback = 'bottom') {
+  const words = String(text || '').toLowerCase();
+  const vertical = /\b(top|upper)\b/.test(words) ? 'top'
+    : /\b(bottom|lower)\b/.test(words) ? 'bottom'
+    : /\b(center|centre|middle)\b/.test(words) ? 'center'
+    : null;
+  const horizontal = /\bleft\b/.test(words) ? 'left' : /\bright\b/.test(words) ? 'right' : null;
+
+  if (!vertical && !horizontal) return fallback;
+  if (!horizontal || vertical === 'center') return vertical || fallback;
+  return `${vertical || 'bottom'}-${horizontal}`;
+}
+
+/**
+ * Validate the overlays of a render request
+ * @param {Array<object>} overlays - [{ text, start, end, position, speaker, characterId, style }]
+ *   (start/end in seconds; end null means until the end of the video)
+ * @returns {Array<object>} - Normalized overlays
+ * @throws {Error} - When an overlay is invalid
+ */
+export function normalizeOverlays(overlays) {
+  if (!Array.isArray(overlays) || !overlays.length) {
+    throw new Error('overlays must be a non-empty array');
+  }
+
+  return overlays.map((overlay, i) => {
+    if (!overlay || typeof overlay !== 'object') {
+      throw new Error(`overlays[${i}] must be an object`);
+    }
+    const text = typeof overlay.text === 'string' ? overlay.text.trim() : '';
+    if (!text) {
+      throw new Error(`overlays[${i}].text is required`);
+    }
+    const start = overlay.start === undefined || overlay.start === null ? 0 : Number(overlay.start);
+    const end = overlay.end === undefined || overlay.end === null ? null : Number(overlay.end);
+    if (!(start >= 0) || (end !== null && !(end > start))) {
+      throw new Error(`overlays[${i}] needs start >= 0 and end > start (seconds)`);
+    }
+    const position = overlay.position || 'bottom';
+    if (!OVERLAY_POSITIONS.includes(position)) {
+      throw new Error(`overlays[${i}].position must be one of: ${OVERLAY_POSITIONS.join(', ')}`);
+    }
+
+    let style;
+    try {
+      style = normalizeCaptionStyle(overlay.style || {});
+    } catch (err) {
+      throw new Error(`overlays[${i}].${err.message}`);
+    }
+
+    return {
+      text,
+      start,
+      end,
+      position,
+      speaker: overlay.speaker || null,
+      characterId: overlay.characterId || null,
+      style
+    };
+  });
+}
+
+/**
+ * Captions for a scene: the text overlay for the whole clip, and the dialogue
+ * ("Name: line", one per line) spread over the clip at the bottom
+ * Without a duration the lines can't be timed, so they are stacked in one caption instead
+ * @param {object} scene - { textOverlay, textPosition, dialogue, duration }
+ * @returns {Array<object>} - Overlays for normalizeOverlays (empty when the scene has no text)
+ */
+export function sceneOverlays({ textOverlay, textPosition, dialogue, duration = null }) {
+  const overlays = [];
+  if (textOverlay) {
+    overlays.push({ text: textOverlay, start: 0, end: null, position: overlayPosition(textPosition, 'top') });
+  }
+
+  const lines = String(dialogue || '').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const attributed = line.match(/^([^:]{1,40}):\s*(.+)$/);
+    return {
+      text: attributed ? attributed[2].replace(/^["“]|["”]$/g, '') : line,
+      speaker: attributed ? attributed[1].trim() : null
+    };
+  });
+  if (!lines.length) return overlays;
+
+  if (!(duration > 0)) {
+    // One speaker keeps their caption style; a mixed stack names each speaker instead
+    const speakers = new Set(lines.map(line => line.speaker));
+    const speaker = speakers.size === 1 ? lines[0].speaker : null;
+    overlays.push({
+      text: lines.map(line => (speaker || !line.speaker ? line.text : `${line.speaker}: ${line.text}`)).join('\n'),
+      speaker,
+      start: 0,
+      end: null,
+      position: 'bottom'
+    });
+    return overlays;
+  }
+
+  const slot = duration / lines.length;
+  lines.forEach((line, i) => {
+    overlays.push({
+      ...line,
+      start: Number((i * slot).toFixed(2)),
+      end: Number(((i + 1) * slot).toFixed(2)),
+      position: 'bottom'
+    });
+  });
+  return overlays;
+}
+
+/**
+ * Break text into lines of at most maxChars (words longer than that get a line of their own)
+ * @param {string} text - Caption text (existing line breaks are kept)
+ * @param {number} maxChars - Characters per line
+ * @returns {string}
+ */
+export function wrapText(text, maxChars) {
+  return text.split('\n').map(paragraph => {
+    const lines = [];
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && line.length + 1 + word.length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    if (line) lines.push(line);
+    return lines.join('\n');
+  }).join('\n');
+}
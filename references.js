@@ -0,0 +1,83 @@
+// Tags understood when picking reference images for a scene
+// Views describe the camera angle, the rest are free-form (expressions, outfits...)
+export const REFERENCE_VIEWS = ['front', 'three-quarter', 'side', 'back'];
+
+// Scene wording that implies a camera angle
+const VIEW_KEYWORDS = {
+  'front': ['front', 'facing camera', 'facing the camera', 'looks at camera', 'looking at camera', 'close-up', 'closeup', 'selfie', 'head-on'],
+  'three-quarter': ['three-quarter', 'three quarter', '3/4', 'angled', 'over-the-shoulder', 'over the shoulder'],
+  'side': ['side view', 'side-view', 'profile', 'from the side', 'side angle', 'side shot', 'sideways', 'side-on'],
+  'back': ['from behind', 'back view', 'back to camera', 'back to the camera', 'walking away', 'rear view']
+};
+
+// Sora only accepts one input image, Nano Banana up to 5
+export const MAX_REFERENCE_IMAGES = 5;
+
+/**
+ * Normalize tags from a request (array or comma separated string)
+ * @param {string[]|string} tags - Raw tags
+ * @returns {string[]} - Lowercase, trimmed, unique tags
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Work out which camera angle a scene asks for
+ * @param {string} sceneText - Prompt plus any scene/camera fields
+ * @returns {string|null} - One of REFERENCE_VIEWS, or null when the scene doesn't say
+ */
+export function detectSceneView(sceneText) {
+  const text = (sceneText || '').toLowerCase();
+  // Check the less common angles first so "close-up profile" counts as side
+  for (const view of ['back', 'side', 'three-quarter', 'front']) {
+    if (VIEW_KEYWORDS[view].some(keyword => text.includes(keyword))) {
+      return view;
+    }
+  }
+  return null;
+}
+
+/**
+ * Rank a character's reference images for a scene and keep the best ones
+ *
+ * References tagged with the scene's camera angle come first, then ones whose
+ * other tags (expression, outfit...) appear in the scene text. A front view is
+ * always kept as an anchor for the character's face.
+ *
+ * @param {object[]} references - character_references rows ({ image_url, tags, is_primary })
+ * @param {string} sceneText - Prompt plus any scene/camera fields
+ * @param {number} limit - Maximum number of references to return
+ * @returns {object[]} - Selected references, best first
+ */
+export function selectReferences(references, sceneText, limit = MAX_REFERENCE_IMAGES) {
+  if (!references.length || limit <= 0) return [];
+
+  const text = (sceneText || '').toLowerCase();
+  const view = detectSceneView(text);
+
+  const scored = references.map(reference => {
+    const tags = reference.tags || [];
+    let score = 0;
+    if (view && tags.includes(view)) score += 10;
+    for (const tag of tags) {
+      if (!REFERENCE_VIEWS.includes(tag) && text.includes(tag)) score += 4;
+    }
+    if (!view && tags.includes('front')) score += 2;
+    if (reference.is_primary) score += 1;
+    return { reference, score };
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+  const selected = scored.slice(0, limit).map(entry => entry.reference);
+
+  // Keep a front/primary anchor when there's room for more than one image
+  const isAnchor = r => r.is_primary || (r.tags || []).includes('front');
+  const anchor = references.find(r => r.is_primary) || references.find(isAnchor);
+  if (limit > 1 && anchor && !selected.some(isAnchor)) {
+    selected[selected.length - 1] = anchor;
+  }
+
+  return selected;
+}
@@ -0,0 +1,135 @@
+// Where a scene is in its lifecycle, worked out from what it is linked to:
+// draft -> previewed (has a preview image) -> rendering (a take is being generated)
+// -> review (finished takes, none chosen) -> final (a take is chosen)
+export const SCENE_STATUSES = ['draft', 'previewed', 'rendering', 'review', 'final'];
+
+// Request field -> expected type
+const SCENE_FIELDS = {
+  description: 'string',
+  duration: 'number',
+  dialogue: 'string',
+  textOverlay: 'string',
+  prompt: 'string',
+  structuredPrompt: 'object',
+  characters: 'array'
+};
+
+function hasType(value, type) {
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+/**
+ * Validate scene fields from a request or a storyboard scene
+ * @param {object} input - { description, duration, dialogue, textOverlay, prompt, structuredPrompt, characters }
+ * @param {object} options - { partial: only check the fields that are present (updates) }
+ * @returns {object} - The given fields, normalized (null clears a field)
+ * @throws {Error} - When a field has the wrong type or a new scene has no content
+ */
+export function normalizeScene(input, { partial = false } = {}) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('A scene must be an object');
+  }
+
+  const scene = {};
+  for (const [field, type] of Object.entries(SCENE_FIELDS)) {
+    const value = input[field];
+    if (value === undefined) continue;
+    if (value !== null && !hasType(value, type)) {
+      throw new Error(`${field} must be ${type === 'object' ? 'an object' : `a ${type}`}`);
+    }
+    scene[field] = value;
+  }
+
+  if (scene.duration !== undefined && scene.duration !== null && scene.duration <= 0) {
+    throw new Error('duration must be a positive number of seconds');
+  }
+  if (scene.characters) {
+    scene.characters = scene.characters.map(name => String(name).trim()).filter(Boolean);
+  }
+  if (!partial && !scene.description && !scene.prompt) {
+    throw new Error('A scene needs a description or a prompt');
+  }
+
+  return scene;
+}
+
+// { a: { b: 1 } } -> { 'a.b': 1 }
+function flattenFields(value, prefix, out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenFields(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Word-level diff of two prompts (longest common subsequence)
+ * @param {string} from - Older prompt
+ * @param {string} to - Newer prompt
+ * @returns {Array<{op: 'same'|'removed'|'added', text: string}>} - Runs of words in reading order
+ */
+export function diffWords(from, to) {
+  const a = (from || '').split(/\s+/).filter(Boolean);
+  const b = (to || '').split(/\s+/).filter(Boolean);
+
+  // common[i][j] = length of the LCS of a[i..] and b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (op, word) => {
+    const last = runs[runs.length - 1];
+    if (last?.op === op) last.text += ` ${word}`;
+    else runs.push({ op, text: word });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || common[i + 1][j] >= common[i][j + 1])) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  return runs;
+}
+
+/**
+ * What changed between two takes: the prompt word by word, and every
+ * structured prompt field, duration and character version that differs
+ * @param {object} base - videos row to compare against
+ * @param {object} take - videos row
+ * @returns {{against: string, prompt: object[], changes: Array<{field: string, from: *, to: *}>}}
+ */
+export function diffTakes(base, take) {
+  const fields = video => ({
+    durationSeconds: video.duration_seconds,
+    characterVersion: video.character_version,
+    promptTemplateVersionId: video.prompt_template_version_id,
+    ...flattenFields(video.structured_prompt || {}, 'structuredPrompt')
+  });
+  const before = fields(base);
+  const after = fields(take);
+
+  const changes = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null)) {
+      changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+    }
+  }
+
+  return { against: base.id, prompt: diffWords(base.prompt, take.prompt), changes };
+}
@@ -0,0 +1,305 @@
+import fs from 'fs';
+
+// JSON schemas for the LLM routes' output (see schemas/)
+export const OUTPUT_SCHEMAS = {
+  scenarios: loadSchema('scenario-schema.json'),
+  structured: loadSchema('prompt-schema.json'),
+  storyboard: loadSchema('storyboard-schema.json'),
+  captions: loadSchema('caption-schema.json')
+};
+
+function loadSchema(file) {
+  return JSON.parse(fs.readFileSync(new URL(`./schemas/${file}`, import.meta.url), 'utf8'));
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function allowedTypes(schema) {
+  if (!schema.type) return null;
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+}
+
+/**
+ * Validate a value against a JSON schema
+ * Supports the draft-07 keywords our schemas use: type, enum, required, properties,
+ * additionalProperties, items, minItems/maxItems, minLength/maxLength, minimum/maximum
+ * @param {object} schema - JSON schema
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the value, for error messages
+ * @returns {Array<{path: string, message: string}>} - Empty when valid
+ */
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+
+  const types = allowedTypes(schema);
+  if (types && !matchesType(value, types)) {
+    errors.push({ path: at, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push({ path: at, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, childPath(path, index))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: childPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(propertySchema, item, childPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, childPath(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// "Push-in from medium" -> "push_in_from_medium"
+function enumKey(value) {
+  return value.trim().toLowerCase().replace(/[\s-]+/g, '_');
+}
+
+/**
+ * Fix the mistakes models commonly make without asking them again:
+ * numbers as strings ("8 seconds"), single values where a list is expected,
+ * nulls in optional fields, enum values with other casing or extra words,
+ * and numbers outside their range
+ * @param {object} schema - JSON schema
+ * @param {*} value - Parsed model output
+ * @param {Array<{path: string, fix: string}>} fixes - Collects what was changed
+ * @param {string} path - Path of the value
+ * @returns {*} - Repaired value (the input is not modified)
+ */
+export function coerceToSchema(schema, value, fixes = [], path = '') {
+  const at = path || '(root)';
+  const types = allowedTypes(schema);
+  let result = value;
+
+  if (types && !matchesType(result, types)) {
+    if ((types.includes('number') || types.includes('integer')) && typeof result === 'string' && !isNaN(parseFloat(result))) {
+      const number = parseFloat(result);
+      result = types.includes('number') ? number : Math.round(number);
+      fixes.push({ path: at, fix: `converted "${value}" to a number` });
+    } else if (types.includes('integer') && typeof result === 'number') {
+      result = Math.round(result);
+      fixes.push({ path: at, fix: `rounded ${value} to an integer` });
+    } else if (types.includes('string') && (typeof result === 'number' || typeof result === 'boolean')) {
+      result = String(result);
+      fixes.push({ path: at, fix: 'converted to a string' });
+    } else if (types.includes('string') && Array.isArray(result) && result.every(item => typeof item === 'string')) {
+      result = result.join(', ');
+      fixes.push({ path: at, fix: 'joined list into a string' });
+    } else if (types.includes('array') && result !== null && result !== undefined && !Array.isArray(result)) {
+      result = [result];
+      fixes.push({ path: at, fix: 'wrapped single value in a list' });
+    }
+  }
+
+  if (schema.enum && typeof result === 'string' && !schema.enum.includes(result)) {
+    const key = enumKey(result);
+    const match = schema.enum.find(option => enumKey(String(option)) === key)
+      || schema.enum.find(option => key.startsWith(enumKey(String(option))))
+      || schema.enum.find(option => key.includes(enumKey(String(option))));
+    if (match !== undefined) {
+      result = match;
+      fixes.push({ path: at, fix: `mapped "${value}" to "${match}"` });
+    }
+  }
+
+  if (typeof result === 'number') {
+    if (schema.minimum !== undefined && result < schema.minimum) {
+      fixes.push({ path: at, fix: `raised ${result} to the minimum ${schema.minimum}` });
+      result = schema.minimum;
+    } else if (schema.maximum !== undefined && result > schema.maximum) {
+      fixes.push({ path: at, fix: `lowered ${result} to the maximum ${schema.maximum}` });
+      result = schema.maximum;
+    }
+  }
+
+  if (Array.isArray(result) && schema.items) {
+    result = result.map((item, index) => coerceToSchema(schema.items, item, fixes, childPath(path, index)));
+  }
+
+  if (typeOf(result) === 'object' && schema.properties) {
+    const required = schema.required || [];
+    result = { ...result };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (result[key] === undefined) continue;
+      const propertyTypes = allowedTypes(propertySchema);
+      // An optional field the model left as null is the same as leaving it out
+      if (result[key] === null && propertyTypes && !propertyTypes.includes('null') && !required.includes(key)) {
+        delete result[key];
+        fixes.push({ path: childPath(path, key), fix: 'removed null value' });
+        continue;
+      }
+      result[key] = coerceToSchema(propertySchema, result[key], fixes, childPath(path, key));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse JSON from a model, closing it off when the response was cut short
+ *
+ * Truncated output is cut back to the last complete value and the open
+ * strings, arrays and objects are closed, so the complete part survives.
+ *
+ * @param {string} text - Model output
+ * @returns {{value: *, repaired: boolean}}
+ * @throws {Error} - When nothing parseable is left
+ */
+export function parseModelJson(text) {
+  const source = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { value: JSON.parse(source), repaired: false };
+  } catch (parseErr) {
+    const start = source.indexOf('{');
+    if (start === -1) {
+      throw new Error(`Response is not JSON: ${parseErr.message}`);
+    }
+
+    // Places the text can be cut while the JSON is still well formed, with what is open at that point
+    const cuts = [];
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < source.length; i++) {
+      const char = source[i];
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        stack.push(char === '{' ? '}' : ']');
+        cuts.push({ end: i + 1, closers: [...stack].reverse().join('') });
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+        if (!stack.length) break;
+      } else if (char === ',') {
+        cuts.push({ end: i, closers: [...stack].reverse().join('') });
+      }
+    }
+
+    const candidates = [
+      `${source.slice(start)}${inString ? '"' : ''}${[...stack].reverse().join('')}`,
+      ...cuts.reverse().map(cut => `${source.slice(start, cut.end)}${cut.closers}`)
+    ];
+    for (const candidate of candidates.slice(0, 50)) {
+      try {
+        return { value: JSON.parse(candidate), repaired: true };
+      } catch {
+        // try cutting further back
+      }
+    }
+    throw new Error(`Response is not valid JSON: ${parseErr.message}`);
+  }
+}
+
+/**
+ * Parse, repair and validate one model response
+ * @param {string} name - Key of OUTPUT_SCHEMAS
+ * @param {string} text - Model output
+ * @param {object} options - { truncated: the model stopped at max_tokens }
+ * @returns {{valid: boolean, value: *, errors: object[], fixes: object[], truncated: boolean}}
+ */
+export function checkModelJson(name, text, { truncated = false } = {}) {
+  const schema = OUTPUT_SCHEMAS[name];
+  let parsed;
+  try {
+    parsed = parseModelJson(text);
+  } catch (err) {
+    return { valid: false, value: null, errors: [{ path: '(root)', message: err.message }], fixes: [], truncated };
+  }
+
+  const fixes = parsed.repaired ? [{ path: '(root)', fix: 'closed truncated JSON' }] : [];
+  const value = coerceToSchema(schema, parsed.value, fixes);
+  const errors = validateSchema(schema, value);
+  return { valid: errors.length === 0, value, errors, fixes, truncated: truncated || parsed.repaired };
+}
+
+/**
+ * Items of a list that are already complete in a partial (streamed) response
+ * The last item may still be cut off, so it is left out; items are repaired
+ * and returned in order up to the first one that is invalid
+ * @param {string} name - Key of OUTPUT_SCHEMAS
+ * @param {string} field - Top-level list field (scenarios, scenes)
+ * @param {string} text - Model output so far
+ * @returns {object[]}
+ */
+export function completedListItems(name, field, text) {
+  let parsed;
+  try {
+    parsed = parseModelJson(text);
+  } catch {
+    return [];
+  }
+
+  const list = parsed.value?.[field];
+  const itemSchema = OUTPUT_SCHEMAS[name].properties[field]?.items;
+  if (!Array.isArray(list) || !itemSchema) return [];
+
+  const items = [];
+  for (const item of list.slice(0, -1)) {
+    const repaired = coerceToSchema(itemSchema, item);
+    if (validateSchema(itemSchema, repaired).length) break;
+    items.push(repaired);
+  }
+  return items;
+}
@@ -4,13 +4,28 @@ import multer from 'multer';
 import dotenv from 'dotenv';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import fetch from 'node-fetch';
 import FormData from 'form-data';
 import sharp from 'sharp';
 import OpenAI from 'openai';
-import { v2 as cloudinary } from 'cloudinary';
 import { GoogleGenAI } from '@google/genai';
 import * as db from './db.js';
+import { composeClips, compositionTimeline, burnTextOverlays, exportVideo, detectSceneChanges, isFfmpegAvailable, probeVideo, extractFrame, COMPOSITION_TRANSITIONS } from './video-tools.js';
+import { createStorage, fetchAsset, assertImageUrl } from './storage.js';
+import { estimateCost, readBudgets, periodStart, BUDGET_PERIODS } from './usage.js';
+import { selectReferences, normalizeTags, MAX_REFERENCE_IMAGES } from './references.js';
+import { dominantColors, paletteMatchScore, perceptualSimilarity, combineConsistencyScores, CONSISTENCY_THRESHOLD } from './consistency.js';
+import { normalizeCast, castInScene, describeCast } from './cast.js';
+import { normalizeScene, diffTakes } from './scenes.js';
+import { normalizeCaptionStyle, normalizeOverlays, sceneOverlays } from './overlays.js';
+import { subtitleCues, sequentialSegments, formatSubtitles, SUBTITLE_FORMATS } from './subtitles.js';
+import { EXPORT_PROFILES, REFRAME_MODES, resolveExportProfile } from './export-profiles.js';
+import { frameSharpness, coverFrameTimes, compositeCoverTitle, COVER_TITLE_POSITIONS } from './covers.js';
+import { renderTemplate, templateVariables, DEFAULT_PROMPT_TEMPLATES } from './prompt-templates.js';
+import { EXPERIMENT_STATUSES, normalizeVariants, pickVariant } from './experiments.js';
+import { checkModelJson, completedListItems } from './schema-validation.js';
+import { runAdaptivePool } from './concurrency.js';
 
 dotenv.config();
 
@@ -18,110 +33,15 @@ const app = express();
 const port = process.env.PORT || 3000;
 
 // ==========================================
-// CLOUDINARY CONFIGURATION
+// STORAGE CONFIGURATION
 // ==========================================
-const hasCloudinary = !!(
-  process.env.CLOUDINARY_CLOUD_NAME && 
-  process.env.CLOUDINARY_API_KEY && 
-  process.env.CLOUDINARY_API_SECRET
-);
-
-if (hasCloudinary) {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-  });
-  console.log('☁️ Cloudinary configured - image storage enabled');
-} else {
-  console.log('⚠️ Cloudinary not configured - images will not be stored permanently');
-}
-
-/**
- * Upload image to Cloudinary
- * @param {string} filePath - Path to the image file
- * @param {string} folder - Cloudinary folder name
- * @returns {Promise<string|null>} - Image URL or null if failed
- */
-async function uploadToCloudinary(filePath, folder = 'goblina-characters') {
-  if (!hasCloudinary) return null;
-  
-  try {
-    const result = await cloudinary.uploader.upload(filePath, {
-      folder: folder,
-      resource_type: 'image',
-      transformation: [
-        { width: 800, height: 800, crop: 'limit' },
-        { quality: 'auto' }
-      ]
-    });
-    return result.secure_url;
-  } catch (err) {
-    console.error('Cloudinary upload error:', err);
-    return null;
-  }
-}
-
-/**
- * Upload video to Cloudinary from URL
- * @param {string} videoUrl - URL of the video to upload
- * @param {string} folder - Cloudinary folder name
- * @returns {Promise<{url: string, publicId: string}|null>} - Video URL and ID or null if failed
- */
-async function uploadVideoToCloudinary(videoUrl, folder = 'goblina-videos') {
-  if (!hasCloudinary) {
-    console.log('⚠️ Cloudinary not configured - video will not be permanently stored');
-    return null;
-  }
-  
-  try {
-    console.log('☁️ Uploading video to Cloudinary...');
-    const result = await cloudinary.uploader.upload(videoUrl, {
-      folder: folder,
-      resource_type: 'video',
-      eager: [
-        { format: 'mp4', video_codec: 'h264' }
-      ],
-      eager_async: true
-    });
-    console.log('☁️ Video uploaded successfully:', result.secure_url);
-    return {
-      url: result.secure_url,
-      publicId: result.public_id,
-      duration: result.duration,
-      format: result.format,
-      bytes: result.bytes
-    };
-  } catch (err) {
-    console.error('Cloudinary video upload error:', err);
-    return null;
-  }
-}
+// Cloudinary, local disk or S3-compatible (see storage.js / STORAGE_BACKEND)
+const storage = await createStorage();
 
-/**
- * Upload video to Cloudinary from local file
- * @param {string} filePath - Path to the video file
- * @param {string} folder - Cloudinary folder name
- * @returns {Promise<{url: string, publicId: string}|null>}
- */
-async function uploadVideoFileToCloudinary(filePath, folder = 'goblina-videos') {
-  if (!hasCloudinary) return null;
-  
-  try {
-    console.log('☁️ Uploading video file to Cloudinary...');
-    const result = await cloudinary.uploader.upload(filePath, {
-      folder: folder,
-      resource_type: 'video'
-    });
-    return {
-      url: result.secure_url,
-      publicId: result.public_id,
-      duration: result.duration
-    };
-  } catch (err) {
-    console.error('Cloudinary video file upload error:', err);
-    return null;
-  }
+if (storage.name === 'local') {
+  console.log(`🗄️ Local storage enabled - files kept in ./${storage.staticDir} and served from ${storage.publicPath}`);
+} else {
+  console.log(`☁️ ${storage.name} storage configured - image and video storage enabled`);
 }
 
 // Basic checks
@@ -165,73 +85,226 @@ if (hasGoogleAI) {
 const NANO_BANANA_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
 const NANO_BANANA_RESOLUTIONS = ['1K', '2K', '4K'];
 
+// Scenes /api/images/generate-batch works on at the same time
+const IMAGE_BATCH_CONCURRENCY = parseInt(process.env.IMAGE_BATCH_CONCURRENCY, 10) || 3;
+// Retries per scene after a 429 / quota error, backing off from IMAGE_RATE_LIMIT_BACKOFF_MS
+const IMAGE_RATE_LIMIT_RETRIES = parseInt(process.env.IMAGE_RATE_LIMIT_RETRIES, 10) || 3;
+const IMAGE_RATE_LIMIT_BACKOFF_MS = parseInt(process.env.IMAGE_RATE_LIMIT_BACKOFF_MS, 10) || 5000;
+
+/**
+ * Validate and normalize a character's traits
+ * {
+ *   mandatory: string[] - Must appear in every image (e.g. "small black horns")
+ *   forbidden: string[] - Must never appear (e.g. "human skin tones", "3D render")
+ *   companions: Array<{ name: string, description: string }> - Recurring side characters
+ * }
+ * @param {object} traits - Raw traits from a request
+ * @returns {object} - Normalized traits
+ * @throws {Error} - When the shape is invalid
+ */
+function normalizeCharacterTraits(traits) {
+  if (!traits || typeof traits !== 'object' || Array.isArray(traits)) {
+    throw new Error('traits must be an object with mandatory, forbidden and companions');
+  }
+
+  const stringList = (value, field) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      throw new Error(`traits.${field} must be an array of strings`);
+    }
+    return value.map(item => item.trim()).filter(Boolean);
+  };
+
+  const companions = traits.companions ?? [];
+  if (!Array.isArray(companions) || companions.some(c => !c || typeof c.name !== 'string' || typeof c.description !== 'string')) {
+    throw new Error('traits.companions must be an array of { name, description }');
+  }
+
+  return {
+    mandatory: stringList(traits.mandatory, 'mandatory'),
+    forbidden: stringList(traits.forbidden, 'forbidden'),
+    companions: companions.map(c => ({ name: c.name.trim(), description: c.description.trim() }))
+  };
+}
+
+/**
+ * The character version a project is pinned to
+ * @param {string} projectId - Project ID
+ * @returns {Promise<object|null>} - character_versions row (null when the project follows the latest version)
+ */
+async function projectCharacterPin(projectId) {
+  if (!hasDatabase || !projectId) return null;
+  const project = await db.getProject(projectId);
+  return project?.character_id && project.character_version
+    ? db.getCharacterVersion(project.character_id, project.character_version)
+    : null;
+}
+
+/**
+ * Load a character the way a generation uses it: in a project pinned to one of
+ * its versions, the name, style guide, traits and image come from that version
+ * @param {string} characterId - Character ID
+ * @param {string} projectId - Project the generation belongs to (optional)
+ * @returns {Promise<object|null>} - characters row, plus `version` (the version used) and `pinnedAt`
+ *   (when the pinned version was saved, null when not pinned)
+ */
+async function loadGenerationCharacter(characterId, projectId = null) {
+  if (!hasDatabase || !characterId) return null;
+
+  const [character, pin] = await Promise.all([db.getCharacter(characterId), projectCharacterPin(projectId)]);
+  if (!character) return null;
+  if (pin?.character_id !== characterId) {
+    return { ...character, version: character.current_version, pinnedAt: null };
+  }
+  return {
+    ...character,
+    name: pin.name || character.name,
+    style_guide: pin.style_guide,
+    traits: pin.traits ?? character.traits,
+    image_url: pin.image_url || character.image_url,
+    version: pin.version,
+    pinnedAt: pin.created_at
+  };
+}
+
+/**
+ * Fill in the character used for a prompt from the request and the database
+ * Explicit request values win; a characterId supplies anything missing
+ * (from the pinned version when projectId is pinned to one)
+ * @param {object} body - Request body ({ characterId, projectId, characterStyleGuide, characterName, characterTraits })
+ * @returns {Promise<{name: string, styleGuide: object|null, traits: object|null, version: number|null}>}
+ */
+async function resolvePromptCharacter(body = {}) {
+  const stored = await loadGenerationCharacter(body.characterId, body.projectId);
+  return {
+    name: body.characterName || stored?.name || 'the character',
+    styleGuide: body.characterStyleGuide || stored?.style_guide || null,
+    traits: body.characterTraits || stored?.traits || null,
+    version: stored?.version ?? null
+  };
+}
+
+/**
+ * Resolve the cast for a generation request
+ * An explicit `cast` in the body wins over the saved cast of `projectId`
+ * @param {object} body - Request body ({ cast, projectId })
+ * @returns {Promise<object[]>} - [{ characterId, name, role, relationship, speaking, styleGuide, traits }]
+ * @throws {Error} - With status 400 for an invalid cast
+ */
+async function resolveCast(body = {}) {
+  if (!hasDatabase || (!body.cast && !body.projectId)) return [];
+
+  // The project's own character follows the project's pinned version
+  const pin = await projectCharacterPin(body.projectId);
+  const pinned = (characterId, member) => (pin?.character_id === characterId
+    ? { ...member, name: pin.name || member.name, styleGuide: pin.style_guide, traits: pin.traits ?? member.traits, version: pin.version }
+    : member);
+
+  if (!body.cast) {
+    const rows = await db.getProjectCast(body.projectId);
+    return rows.map(row => pinned(row.character_id, {
+      characterId: row.character_id,
+      name: row.name,
+      role: row.role,
+      relationship: row.relationship,
+      speaking: row.speaking,
+      styleGuide: row.style_guide,
+      traits: row.traits,
+      version: row.current_version ?? null
+    }));
+  }
+
+  let members;
+  try {
+    members = normalizeCast(body.cast);
+  } catch (err) {
+    err.status = 400;
+    throw err;
+  }
+
+  const characters = await Promise.all(members.map(member => db.getCharacter(member.characterId)));
+  const missing = members.find((member, i) => !characters[i]);
+  if (missing) {
+    const err = new Error(`Character not found: ${missing.characterId}`);
+    err.status = 400;
+    throw err;
+  }
+
+  return members.map((member, i) => pinned(member.characterId, {
+    ...member,
+    name: characters[i].name,
+    styleGuide: characters[i].style_guide,
+    traits: characters[i].traits,
+    version: characters[i].current_version
+  }));
+}
+
 /**
  * Build a detailed character description for high-fidelity preservation
- * This ensures the character's appearance is consistently described in every prompt
- * Uses the ACTUAL style from the character's styleGuide analysis
- * 
+ * Everything comes from the character's style guide analysis and its traits,
+ * so every character gets its own description
+ *
  * @param {object} styleGuide - The character's style guide from analysis
  * @param {string} characterName - The character's name
  * @param {boolean} hasReferenceImage - Whether a reference image is being provided
+ * @param {object} traits - { mandatory, forbidden, companions } (see normalizeCharacterTraits)
  * @returns {string} - Detailed character description block
  */
-function buildDetailedCharacterDescription(styleGuide, characterName = 'Ms. Goblina', hasReferenceImage = false) {
+function buildDetailedCharacterDescription(styleGuide, characterName = 'the character', hasReferenceImage = false, traits = null) {
+  const char = styleGuide?.character || {};
+  const personality = styleGuide?.personality || {};
+  const mandatory = traits?.mandatory || [];
+  const forbidden = traits?.forbidden || [];
+  const companions = traits?.companions || [];
+
+  const lines = [];
+
   // Strong reference image instruction if provided
-  const referenceInstruction = hasReferenceImage ? `
-**REFERENCE IMAGE PROVIDED - CRITICAL:**
+  if (hasReferenceImage) {
+    lines.push(`**REFERENCE IMAGE PROVIDED - CRITICAL:**
 A reference image of this character is attached. You MUST:
-1. Match the EXACT art style from the reference (2D digital cartoon, NOT 3D)
-2. Match the EXACT skin tone and color (vibrant green, hex ~#69a86c)
+1. Match the EXACT art style from the reference${char.visualStyle ? ` (${char.visualStyle})` : ''}
+2. Match the EXACT skin tone and colors${char.colorPalette?.length ? ` (palette: ${char.colorPalette.join(', ')})` : ''}
 3. Preserve the EXACT facial structure, proportions, and features
 4. Keep the SAME line work, shading, and rendering style
-5. Maintain all signature accessories (large dangling earrings, gold bangles)
-6. The generated image MUST look like it's from the SAME series/artist
-7. DO NOT make it 3D or Pixar-style - it is 2D DIGITAL CARTOON
-` : '';
+5. The generated image MUST look like it's from the SAME series/artist`);
+  }
 
-  // Extract character info from styleGuide if available
-  const char = styleGuide?.character || {};
-  const personality = styleGuide?.personality || {};
-  const colorPalette = char.colorPalette || ['#69a86c', '#a03137', '#8a4298', '#3c4f66'];
-  
-  // Use the ACTUAL visual style from analysis, default to 2D digital cartoon
-  const visualStyle = char.visualStyle || '2D digital cartoon, semi-realistic proportions with stylized fantasy features';
-  const artisticStyle = char.artisticStyle || 'Clean lines, soft shading, subtle gradients, and gentle highlights';
-  const appearance = char.appearance || 'Green-skinned female with long red hair, black horns, and pointed ears, wearing a magenta hoodie with "Barlie Rules" text, dark blue jeans, and multiple gold bangles and large earrings';
-  const lighting = char.lighting || 'Warm, soft indoor lighting with subtle glows and gentle shadows';
-  const details = char.details || 'Textural details include ribbed hoodie fabric, jewel-like shine on bangles, visible hair strands, faint sparkles in background';
-
-  return `${referenceInstruction}
-CHARACTER DESCRIPTION (preserve these exact details):
-Name: ${characterName}
-Physical Appearance: ${appearance}
-Visual Style: ${visualStyle}
-Art Style: ${artisticStyle}
-Lighting: ${lighting}
-Details: ${details}
-Color Palette: ${colorPalette.join(', ')}
-
-Personality Vibe: ${personality.vibe || 'Extroverted, friendly, animated, and energetic'}
-Emotional Range: ${personality.emotion || 'Wide emotional range - engaged, expressive, passionate'}
-
-MANDATORY STYLE REQUIREMENTS (DO NOT DEVIATE):
-- 2D DIGITAL CARTOON STYLE (clean lines, soft shading - NOT 3D, NOT Pixar, NOT realistic)
-- GREEN GOBLIN SKIN (vibrant green ~#69a86c - she is NOT human)
-- Semi-realistic proportions with stylized fantasy features
-- Small black horns on forehead
-- Pointed ears with large gold dangling earrings (jhumka style)
-- Multiple gold bangles on both wrists
-- Long wavy red/auburn hair
-- Magenta/purple hoodie with "Barbie Rules" text
-- Warm soft lighting with subtle glows
-- Faint sparkles/magical elements in background
-
-PARTNER CHARACTER (if present):
-- Blue-skinned male with dark navy hair
-- Pointed ears, lean build
-- Grey hoodie with "Rick Morty" text
-- More reserved, serious expression
-- Arms often crossed`;
+  const description = [
+    'CHARACTER DESCRIPTION (preserve these exact details):',
+    `Name: ${characterName}`,
+    char.appearance && `Physical Appearance: ${char.appearance}`,
+    char.visualStyle && `Visual Style: ${char.visualStyle}`,
+    char.artisticStyle && `Art Style: ${char.artisticStyle}`,
+    char.lighting && `Lighting: ${char.lighting}`,
+    char.details && `Details: ${char.details}`,
+    char.colorPalette?.length && `Color Palette: ${char.colorPalette.join(', ')}`
+  ].filter(Boolean);
+  lines.push(description.join('\n'));
+
+  const vibe = [
+    personality.vibe && `Personality Vibe: ${personality.vibe}`,
+    personality.emotion && `Emotional Range: ${personality.emotion}`
+  ].filter(Boolean);
+  if (vibe.length) lines.push(vibe.join('\n'));
+
+  const requirements = [
+    char.visualStyle && `- Art style: ${char.visualStyle} (do not switch rendering style)`,
+    ...mandatory.map(trait => `- ${trait}`)
+  ].filter(Boolean);
+  if (requirements.length) {
+    lines.push(`MANDATORY TRAITS (DO NOT DEVIATE):\n${requirements.join('\n')}`);
+  }
+
+  if (forbidden.length) {
+    lines.push(`FORBIDDEN (never show):\n${forbidden.map(trait => `- ${trait}`).join('\n')}`);
+  }
+
+  if (companions.length) {
+    lines.push(`COMPANION CHARACTERS (only if present in the scene):\n${companions.map(c => `- ${c.name}: ${c.description}`).join('\n')}`);
+  }
+
+  return `\n${lines.join('\n\n')}`;
 }
 
 /**
@@ -244,17 +317,24 @@ PARTNER CHARACTER (if present):
  * 
  * @param {string} basePrompt - The original prompt
  * @param {object} options - Enhancement options
+ * @param {object} options.character - { name, styleGuide, traits } used for style and trait reminders
  * @returns {string} - Enhanced prompt
  */
 function enhancePromptForNanoBanana(basePrompt, options = {}) {
   const {
     characterDescription = '',
+    character = {},
     scene = {},
     aspectRatio = '9:16',
     intent = 'social media content',
     hasReferenceImage = false
   } = options;
 
+  const name = character.name || 'the character';
+  const visualStyle = character.styleGuide?.character?.visualStyle || null;
+  const mandatory = character.traits?.mandatory || [];
+  const forbidden = character.traits?.forbidden || [];
+
   // Determine camera language based on aspect ratio
   const cameraLanguage = {
     '9:16': 'vertical mobile-first composition, portrait orientation optimized for Instagram Reels/TikTok',
@@ -268,19 +348,16 @@ function enhancePromptForNanoBanana(basePrompt, options = {}) {
   // PRIORITY 1: Reference Image Instruction (if provided)
   if (hasReferenceImage) {
     parts.push(`**CRITICAL - REFERENCE IMAGE ATTACHED**
-You have been given a reference image of the character. 
+You have been given a reference image of ${name}. 
 You MUST generate an image where:
-1. The character looks IDENTICAL to the reference - same face, same skin color, same style
-2. The character's GREEN SKIN TONE must match exactly
-3. All accessories (gold earrings, bangles) must be present
-4. The art style/rendering must be consistent with the reference
-5. This should look like a NEW SCENE from the SAME animation/cartoon series`);
+1. The character looks IDENTICAL to the reference - same face, same colors, same style
+2. The art style/rendering must be consistent with the reference
+3. This should look like a NEW SCENE from the SAME animation/cartoon series${mandatory.length ? `
+4. These traits must be present: ${mandatory.join('; ')}` : ''}`);
   }
 
   // Step 1: Context and Intent
-  parts.push(`CONTEXT: Creating ${intent} featuring an animated GOBLIN character with GREEN SKIN. 
-Style: Modern 3D animation (Pixar/DreamWorks quality).
-Character Type: Cartoon goblin woman - NOT a human, has GREEN SKIN.`);
+  parts.push(`CONTEXT: Creating ${intent} featuring ${name}.${visualStyle ? `\nStyle: ${visualStyle}.` : ''}`);
 
   // Step 2: Character (HIGH PRIORITY - preserve details)
   if (characterDescription) {
@@ -290,10 +367,8 @@ Character Type: Cartoon goblin woman - NOT a human, has GREEN SKIN.`);
   // Step 3: Scene Description
   parts.push(`SCENE ACTION: ${basePrompt}
 
-IMPORTANT: The character in this scene is the SAME character from the reference image.
-- Keep her GREEN SKIN
-- Keep her gold jewelry (hoop earrings, bangles)
-- Keep the 3D cartoon art style`);
+IMPORTANT: The character in this scene is the SAME ${name} described above.
+- Keep their exact colors, proportions and outfit details${visualStyle ? `\n- Keep the ${visualStyle} art style` : ''}`);
 
   // Step 4: Camera and Composition
   const cameraDetails = scene.photography || {};
@@ -310,21 +385,59 @@ CAMERA & COMPOSITION:
   parts.push(`
 QUALITY DIRECTIVES:
 - Render with clean, professional quality suitable for social media
-- Character should be the clear focal point with GREEN GOBLIN SKIN
+- ${name} should be the clear focal point
 - Background should complement but not distract from the character
-- CONSISTENT ART STYLE: 3D animated cartoon only (no realistic mixing)
-- Character's skin MUST be green (she is a goblin, not human)
-- All signature accessories must be visible (gold earrings, bangles)
+- CONSISTENT ART STYLE: ${visualStyle || 'match the reference'} only (no style mixing)${mandatory.map(trait => `\n- ${trait}`).join('')}
 
 DO NOT:
-- Change the skin color to human/realistic tones
-- Mix 2D and 3D styles
-- Omit the character's signature jewelry
-- Change the character's facial structure`);
+- Mix different art styles
+- Change the character's facial structure or colors${forbidden.map(trait => `\n- ${trait}`).join('')}`);
 
   return parts.join('\n\n');
 }
 
+/**
+ * Fetch a reference image URL (remote or local storage) as an inline image part
+ * @param {string} url - Image URL
+ * @param {object} options - { publicOnly: the URL came from a request (see fetchAsset) }
+ * @returns {Promise<object|null>} - { inlineData: { mimeType, data } }, or null when it can't be fetched
+ */
+async function fetchReferenceImagePart(url, { publicOnly = false } = {}) {
+  try {
+    const { buffer, contentType } = await fetchAsset(url, { publicOnly });
+    return {
+      inlineData: {
+        mimeType: contentType.startsWith('image/') ? contentType : 'image/png',
+        data: buffer.toString('base64')
+      }
+    };
+  } catch (err) {
+    console.warn('Failed to fetch reference image:', url, err.message);
+    return null;
+  }
+}
+
+/**
+ * Check the reference images of a request before anything stores or fetches them
+ * @param {string[]} urls - Data URLs, local storage URLs or public http(s) URLs
+ * @throws {Error} - With status 400 for anything else
+ */
+async function assertRequestImages(urls) {
+  if (!Array.isArray(urls)) {
+    const err = new Error('referenceImages must be an array');
+    err.status = 400;
+    throw err;
+  }
+  for (const url of urls) {
+    try {
+      await assertImageUrl(url);
+    } catch (err) {
+      err.status = 400;
+      throw err;
+    }
+  }
+}
+
 /**
  * Generate image using Google's Nano Banana (Gemini Image Model)
  * @param {object} options - Generation options
@@ -333,7 +446,9 @@ DO NOT:
  * @param {string} options.resolution - Resolution (1K, 2K, 4K)
  * @param {string[]} options.referenceImages - Array of base64 images or URLs for character consistency
  * @param {string} options.model - Model to use (gemini-2.5-flash-image or gemini-3-pro-image-preview)
- * @returns {Promise<{imageBase64: string, mimeType: string, text?: string}>}
+ * @param {Map} options.referenceCache - Reuse fetched reference URLs across calls (one Map per batch)
+ * @param {string[]} options.requestImages - Reference URLs that came from the request (only fetched from public hosts)
+ * @returns {Promise<{imageBase64: string, mimeType: string, text?: string, usage?: object}>}
  */
 async function generateNanoBananaImage(options) {
   if (!googleAI) {
@@ -345,7 +460,9 @@ async function generateNanoBananaImage(options) {
     aspectRatio = '9:16',
     resolution = '2K',
     referenceImages = [],
-    model = 'gemini-2.5-flash-image' // Fast model by default
+    model = 'gemini-2.5-flash-image', // Fast model by default
+    referenceCache = null,
+    requestImages = []
   } = options;
 
   // Validate aspect ratio
@@ -373,21 +490,16 @@ async function generateNanoBananaImage(options) {
           data: base64Data
         }
       });
-    } else if (refImage.startsWith('http')) {
-      // URL - fetch and convert to base64
-      try {
-        const response = await fetch(refImage);
-        const buffer = Buffer.from(await response.arrayBuffer());
-        const mimeType = response.headers.get('content-type') || 'image/png';
-        contentParts.push({
-          inlineData: {
-            mimeType,
-            data: buffer.toString('base64')
-          }
-        });
-      } catch (err) {
-        console.warn('Failed to fetch reference image:', refImage, err.message);
+    } else if (refImage.startsWith('http') || refImage.startsWith('/')) {
+      // URL (remote or local storage) - fetch and convert to base64
+      // The cache holds the pending fetch, so parallel scenes share one download
+      let part = referenceCache?.get(refImage);
+      if (!part) {
+        part = fetchReferenceImagePart(refImage, { publicOnly: requestImages.includes(refImage) });
+        referenceCache?.set(refImage, part);
       }
+      const inlinePart = await part;
+      if (inlinePart) contentParts.push(inlinePart);
     }
   }
 
@@ -411,7 +523,8 @@ async function generateNanoBananaImage(options) {
   const result = {
     imageBase64: null,
     mimeType: null,
-    text: null
+    text: null,
+    usage: response.usageMetadata || null
   };
 
   for (const part of response.candidates?.[0]?.content?.parts || []) {
@@ -431,30 +544,216 @@ async function generateNanoBananaImage(options) {
   return result;
 }
 
+/**
+ * Load a character's tagged reference images (falls back to its single image_url)
+ * In a project pinned to a version, only the references that existed when that version was saved are used
+ * @param {string} characterId - Character ID
+ * @param {object} options - { projectId }
+ * @returns {Promise<object[]>} - character_references rows
+ */
+async function loadCharacterReferences(characterId, { projectId = null } = {}) {
+  if (!hasDatabase || !characterId) return [];
+
+  const character = await loadGenerationCharacter(characterId, projectId);
+  let references = await db.listCharacterReferences(characterId);
+  if (character?.pinnedAt) {
+    references = references.filter(reference => new Date(reference.created_at) <= new Date(character.pinnedAt));
+  }
+  if (references.length) return references;
+
+  return character?.image_url
+    ? [{ id: 'character-image', image_url: character.image_url, tags: ['front'], is_primary: true }]
+    : [];
+}
+
+/**
+ * Pick the character references that best match a scene
+ * @param {object[]} references - From loadCharacterReferences
+ * @param {string} sceneText - Prompt plus any scene/camera details
+ * @param {number} limit - How many images the model can still take
+ * @returns {string[]} - Image URLs, best first
+ */
+function pickReferenceImages(references, sceneText, limit) {
+  const selected = selectReferences(references, sceneText, limit);
+  if (selected.length) {
+    console.log(`🖼️ Auto-selected references: ${selected.map(r => r.label || (r.tags || []).join('/') || r.id).join(', ')}`);
+  }
+  return selected.map(r => r.image_url);
+}
+
+/**
+ * Pick reference images for every cast member in a scene
+ * The image limit is shared between members, and each member remembers the
+ * numbers of their images so the prompt can say whose reference is whose
+ * @param {object[]} cast - From resolveCast
+ * @param {string} sceneText - Prompt plus any scene/camera details
+ * @param {number} limit - How many images the model can still take
+ * @param {object} options - { sceneCharacters: names listed on the scene, firstNumber: number of the first picked image,
+ *   projectId: for the project's pinned character version }
+ * @returns {Promise<{members: object[], images: string[]}>}
+ */
+async function pickCastReferenceImages(cast, sceneText, limit, { sceneCharacters = [], firstNumber = 1, projectId = null } = {}) {
+  const members = castInScene(cast, sceneText, sceneCharacters);
+  const perMember = Math.max(1, Math.floor(limit / members.length));
+  const images = [];
+
+  const described = [];
+  for (const member of members) {
+    const room = Math.min(perMember, limit - images.length);
+    const picked = room > 0
+      ? pickReferenceImages(await loadCharacterReferences(member.characterId, { projectId }), sceneText, room)
+      : [];
+    described.push({ ...member, referenceNumbers: picked.map((url, i) => firstNumber + images.length + i) });
+    images.push(...picked);
+  }
+
+  return { members: described, images };
+}
+
+// Derived references produced by POST /api/characters/:id/turnaround
+const TURNAROUND_VIEWS = {
+  'three-quarter': 'three-quarter view, body turned about 45 degrees from the camera, face still visible',
+  'side': 'full side profile view, body turned 90 degrees, facing screen left',
+  'back': 'back view, character facing directly away from the camera, back of the head and outfit visible'
+};
+const TURNAROUND_EXPRESSIONS = {
+  'happy': 'big genuine smile, eyes bright and slightly squinted with joy',
+  'sad': 'downturned mouth, drooping eyebrows, eyes glossy and looking down',
+  'angry': 'furrowed brows pulled together, clenched jaw, intense glare',
+  'surprised': 'eyes wide open, eyebrows raised high, mouth open in an O shape',
+  'neutral': 'relaxed neutral expression, mouth closed, calm eyes looking at the camera'
+};
+
+/**
+ * Prompt for one turnaround sheet entry
+ * @param {object} character - Character row (name, style_guide)
+ * @param {string} kind - 'view' or 'expression'
+ * @param {string} description - Pose or expression description
+ */
+function buildTurnaroundPrompt(character, kind, description) {
+  const characterDescription = buildDetailedCharacterDescription(character.style_guide, character.name, true, character.traits);
+  const framing = kind === 'view'
+    ? `Full-body character turnaround reference: ${description}. Neutral standing pose, arms relaxed.`
+    : `Head-and-shoulders expression sheet reference, facing the camera: ${description}.`;
+
+  return `${characterDescription}
+
+${framing}
+Plain light-grey studio background with no props or other characters, even flat lighting, sharp focus.
+This is a model sheet for animators: the character's design, proportions, colors and outfit must match the reference image exactly.`;
+}
+
+/**
+ * Build the prompt for an AI-generated Reel cover
+ * @param {object} options - { hook, description, characterDescription, aspectRatio, titleSpace: COVER_TITLE_POSITIONS key to keep clear }
+ * @returns {string}
+ */
+function buildCoverPrompt({ hook, description, characterDescription, aspectRatio, titleSpace = null }) {
+  const space = titleSpace === 'center'
+    ? ' Keep the subject off-center so the middle of the frame can take a title.'
+    : titleSpace ? ` Leave calm, uncluttered space in the ${titleSpace} third of the frame for a title.` : '';
+
+  return `${characterDescription ? `${characterDescription}\n\n` : ''}Cover image for an Instagram Reel (${aspectRatio}).
+The video's hook: "${hook}"${description && description !== hook ? `\nWhat happens in the video: ${description}` : ''}
+Show the most intriguing moment of the video as one striking still: expressive face clearly visible, bold composition, vivid colors, strong contrast, sharp focus, readable as a small thumbnail.
+Do not render any text, letters, captions or logos in the image.${space}`;
+}
+
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // ==========================================
-// PASSWORD PROTECTION
+// AUTHENTICATION (user accounts + roles)
 // ==========================================
 const APP_PASSWORD = process.env.APP_PASSWORD;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+// admin: everything incl. user management, creator: generate content, viewer: read-only
+const USER_ROLES = ['admin', 'creator', 'viewer'];
+const GENERATION_ROLES = ['admin', 'creator'];
+
+// Shared APP_PASSWORD is only used while no user account exists (e.g. without a database)
 const hasPasswordProtection = !!APP_PASSWORD;
 
-if (hasPasswordProtection) {
+// With a database, login is required as soon as one user exists (checked on startup)
+let hasUserAccounts = false;
+
+// One-time token for creating the first admin when no bootstrap password is set (printed at startup)
+let setupToken = null;
+
+if (hasDatabase) {
+  console.log('🔒 User accounts enabled (login required once a user exists)');
+} else if (hasPasswordProtection) {
   console.log('🔒 Password protection ENABLED');
 } else {
   console.log('⚠️ No APP_PASSWORD set - app is publicly accessible');
 }
 
-// Simple session store (in production, use Redis or database)
+// Session store for APP_PASSWORD mode (user sessions are stored in Postgres)
 const sessions = new Map();
 
 // Generate session token
 function generateSessionToken() {
-  return Array.from({ length: 32 }, () => 
-    Math.random().toString(36).charAt(2)
-  ).join('');
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash a password with scrypt
+ * @param {string} password - Plain text password
+ * @returns {string} - 'scrypt$<salt>$<hash>'
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored scrypt hash
+ */
+function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = (storedHash || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash || !password) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create the first admin from ADMIN_PASSWORD (or the old APP_PASSWORD) when no user exists
+ */
+async function bootstrapUserAccounts() {
+  const bootstrapPassword = process.env.ADMIN_PASSWORD || APP_PASSWORD;
+  if ((await db.countUsers()) === 0 && bootstrapPassword) {
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    await db.saveUser({
+      id: `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      username,
+      name: 'Administrator',
+      passwordHash: hashPassword(bootstrapPassword),
+      role: 'admin'
+    });
+    console.log(`👤 Created admin user "${username}"`);
+  }
+
+  await db.deleteExpiredSessions();
+  hasUserAccounts = (await db.countUsers()) > 0;
+
+  if (!hasUserAccounts) {
+    setupToken = generateSessionToken();
+    console.log('⚠️ No user accounts and no ADMIN_PASSWORD - create the first admin with POST /api/users/save');
+    console.log(`🔑 One-time setup token (send as setupToken): ${setupToken}`);
+  }
+}
+
+/**
+ * Check a one-time setup token (constant time)
+ */
+function isSetupToken(token) {
+  if (!setupToken || typeof token !== 'string' || token.length !== setupToken.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(setupToken));
 }
 
 // Cookie parser middleware
@@ -471,10 +770,12 @@ app.use((req, res, next) => {
   next();
 });
 
-// Auth check middleware
-function requireAuth(req, res, next) {
-  // Skip auth if no password set
-  if (!hasPasswordProtection) {
+// Auth check middleware (sets req.user when user accounts are enabled)
+async function requireAuth(req, res, next) {
+  req.user = null;
+
+  // Skip auth if there is nothing to log in with
+  if (!hasUserAccounts && !hasPasswordProtection) {
     return next();
   }
 
@@ -485,10 +786,21 @@ function requireAuth(req, res, next) {
 
   // Check session
   const sessionToken = req.cookies?.session;
-  if (sessionToken && sessions.has(sessionToken)) {
+  if (sessionToken && hasUserAccounts) {
+    try {
+      const user = await db.getSessionUser(sessionToken);
+      if (user) {
+        req.user = user;
+        return next();
+      }
+    } catch (err) {
+      console.error('Session lookup error:', err);
+      return res.status(500).json({ error: 'Failed to check session', details: err.message });
+    }
+  } else if (sessionToken && sessions.has(sessionToken)) {
     const session = sessions.get(sessionToken);
     // Check if session is still valid (24 hours)
-    if (Date.now() - session.created < 24 * 60 * 60 * 1000) {
+    if (Date.now() - session.created < SESSION_TTL_MS) {
       return next();
     }
     sessions.delete(sessionToken);
@@ -498,14 +810,51 @@ function requireAuth(req, res, next) {
   if (req.path.startsWith('/api/')) {
     return res.status(401).json({ error: 'Unauthorized. Please login.' });
   }
-  
+
   // Redirect to login for HTML pages
   return res.redirect('/login.html');
 }
 
+/**
+ * Restrict a route to some roles (no-op until user accounts exist)
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!hasUserAccounts || (req.user && roles.includes(req.user.role))) {
+      return next();
+    }
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `This action requires one of these roles: ${roles.join(', ')}`
+    });
+  };
+}
+
 // Login endpoint
-app.post('/api/auth/login', (req, res) => {
-  const { password } = req.body;
+app.post('/api/auth/login', async (req, res) => {
+  const { username, password } = req.body;
+
+  if (hasUserAccounts) {
+    try {
+      const user = username ? await db.getUserByUsername(username) : null;
+      if (!user || !verifyPassword(password, user.password_hash)) {
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      const token = generateSessionToken();
+      await db.createSession(token, user.id, SESSION_TTL_MS);
+
+      res.setHeader('Set-Cookie', `session=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL_MS / 1000}`);
+      return res.json({
+        success: true,
+        user: { id: user.id, username: user.username, name: user.name, role: user.role }
+      });
+    } catch (err) {
+      console.error('Login error:', err);
+      return res.status(500).json({ error: 'Failed to login', details: err.message });
+    }
+  }
 
   if (!hasPasswordProtection) {
     return res.json({ success: true, message: 'No password required' });
@@ -514,8 +863,8 @@ app.post('/api/auth/login', (req, res) => {
   if (password === APP_PASSWORD) {
     const token = generateSessionToken();
     sessions.set(token, { created: Date.now() });
-    
-    res.setHeader('Set-Cookie', `session=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=86400`);
+
+    res.setHeader('Set-Cookie', `session=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${SESSION_TTL_MS / 1000}`);
     return res.json({ success: true });
   }
 
@@ -523,27 +872,41 @@ app.post('/api/auth/login', (req, res) => {
 });
 
 // Logout endpoint
-app.post('/api/auth/logout', (req, res) => {
+app.post('/api/auth/logout', async (req, res) => {
   const sessionToken = req.cookies?.session;
   if (sessionToken) {
     sessions.delete(sessionToken);
+    if (hasUserAccounts) {
+      await db.deleteSession(sessionToken).catch(err => console.warn('Failed to delete session:', err.message));
+    }
   }
   res.setHeader('Set-Cookie', 'session=; Path=/; HttpOnly; Max-Age=0');
   res.json({ success: true });
 });
 
 // Check auth status
-app.get('/api/auth/status', (req, res) => {
-  if (!hasPasswordProtection) {
-    return res.json({ authenticated: true, passwordRequired: false });
+app.get('/api/auth/status', async (req, res) => {
+  if (!hasUserAccounts && !hasPasswordProtection) {
+    return res.json({ authenticated: true, passwordRequired: false, accounts: false });
   }
 
   const sessionToken = req.cookies?.session;
+  if (hasUserAccounts) {
+    const user = sessionToken ? await db.getSessionUser(sessionToken).catch(() => null) : null;
+    return res.json({
+      authenticated: !!user,
+      passwordRequired: true,
+      accounts: true,
+      user
+    });
+  }
+
   const isValid = sessionToken && sessions.has(sessionToken);
-  
-  res.json({ 
-    authenticated: isValid, 
-    passwordRequired: true 
+
+  res.json({
+    authenticated: isValid,
+    passwordRequired: true,
+    accounts: false
   });
 });
 
@@ -568,36 +931,438 @@ if (!fs.existsSync(uploadsDir)) {
 // Multer setup for image uploads (stored in tmp folder by default)
 const upload = multer({ dest: uploadsDir });
 
+// Serve files kept by the local storage driver
+if (storage.name === 'local') {
+  app.use(storage.publicPath, express.static(storage.staticDir));
+}
+
 // ==========================================
-// CHARACTER STYLE GUIDE - Vision API
+// USAGE TRACKING & BUDGETS
 // ==========================================
+// Every paid AI call is written to the usage ledger (requires database)
+const BUDGETS = readBudgets();
+
+if (BUDGETS.length && hasDatabase) {
+  console.log(`💰 Budgets enabled: ${BUDGETS.map(b => `${b.scope} ${b.period} $${b.limitUsd}`).join(', ')}`);
+} else if (BUDGETS.length) {
+  console.log('⚠️ Budgets are configured but need DATABASE_URL to track spend');
+}
 
 /**
- * Analyzes character image using Vision API to extract style guide
+ * Write one paid AI call to the usage ledger (never throws)
+ * User, route, character and project are taken from the request unless given in entry
+ * @param {object|null} req - Express request that triggered the call (null for background work)
+ * @param {object} entry - { provider, operation, model, inputTokens, outputTokens, seconds, resolution, units, ... }
  */
-app.post('/api/characters/analyze', upload.single('image'), async (req, res) => {
+async function recordUsage(req, entry) {
+  if (!hasDatabase) return;
+
+  const estimatedCostUsd = estimateCost(entry);
   try {
-    // Check if OpenAI is configured
-    if (!openai) {
-      return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
+    await db.recordUsageEvent({
+      userId: req?.user?.id || null,
+      route: req ? `${req.method} ${req.path}` : 'background',
+      characterId: req?.body?.characterId || null,
+      projectId: req?.body?.projectId || null,
+      ...entry,
+      estimatedCostUsd
+    });
+  } catch (err) {
+    console.warn('Failed to record usage:', err.message);
+  }
+  console.log(`💰 ${entry.operation} (${entry.model}): ~$${estimatedCostUsd.toFixed(4)}`);
+}
+
+/**
+ * Call the chat completions API and record its token usage
+ * @param {object|null} req - Express request that triggered the call
+ * @param {object} params - openai.chat.completions.create parameters
+ * @param {object} usage - Extra ledger fields (operation, userId, videoId...)
+ */
+async function createChatCompletion(req, params, usage = {}) {
+  const response = await openai.chat.completions.create(params);
+  await recordUsage(req, {
+    provider: 'openai',
+    operation: 'chat',
+    model: params.model,
+    inputTokens: response.usage?.prompt_tokens,
+    outputTokens: response.usage?.completion_tokens,
+    externalId: response.id,
+    ...usage
+  });
+  return response;
+}
+
+/**
+ * Streaming version of createChatCompletion
+ * Calls onContent with the text so far after every chunk and resolves to the
+ * same shape as a normal completion (choices[0].message.content, finish_reason)
+ * @param {object|null} req - Express request that triggered the call
+ * @param {object} params - openai.chat.completions.create parameters (without stream)
+ * @param {object} usage - Extra ledger fields
+ * @param {object} options - { onContent(text), signal: AbortSignal to stop generating }
+ */
+async function createStreamingChatCompletion(req, params, usage = {}, { onContent, signal } = {}) {
+  const stream = await openai.chat.completions.create(
+    { ...params, stream: true, stream_options: { include_usage: true } },
+    { signal }
+  );
+
+  let id = null;
+  let content = '';
+  let finishReason = null;
+  let tokens = null;
+  for await (const chunk of stream) {
+    id = id || chunk.id;
+    if (chunk.usage) tokens = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+    if (choice.delta?.content) {
+      content += choice.delta.content;
+      onContent?.(content);
     }
+  }
 
-    const file = req.file;
-    const { characterName } = req.body;
+  await recordUsage(req, {
+    provider: 'openai',
+    operation: 'chat',
+    model: params.model,
+    inputTokens: tokens?.prompt_tokens,
+    outputTokens: tokens?.completion_tokens,
+    externalId: id,
+    ...usage
+  });
+  return { id, choices: [{ message: { content }, finish_reason: finishReason }], usage: tokens };
+}
 
-    if (!file) {
-      return res.status(400).json({ error: 'Character image is required.' });
+/**
+ * Find the first budget a user (or the whole team) has used up
+ * @param {string|null} userId - Current user
+ * @returns {Promise<object|null>} - { scope, period, limitUsd, spentUsd, resetsAt } or null
+ */
+async function findExceededBudget(userId) {
+  if (!hasDatabase) return null;
+
+  for (const budget of BUDGETS) {
+    if (budget.scope === 'user' && !userId) continue;
+
+    const since = periodStart(budget.period);
+    const spentUsd = await db.getUsageTotal(since, budget.scope === 'user' ? userId : null);
+    if (spentUsd >= budget.limitUsd) {
+      const resetsAt = budget.period === 'monthly'
+        ? new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth() + 1, 1))
+        : new Date(since.getTime() + 24 * 60 * 60 * 1000);
+      return { ...budget, spentUsd, resetsAt: resetsAt.toISOString() };
     }
+  }
+  return null;
+}
 
-    // Read image and convert to base64
-    const imageBuffer = fs.readFileSync(file.path);
-    const base64Image = imageBuffer.toString('base64');
-    const imageMimeType = file.mimetype || 'image/jpeg';
+function budgetExceededResponse(budget) {
+  return {
+    error: 'Budget exceeded',
+    message: `The ${budget.period} ${budget.scope} budget of $${budget.limitUsd} has been used ($${budget.spentUsd.toFixed(2)} spent). Try again after ${budget.resetsAt}.`,
+    budget
+  };
+}
 
-    // Call Vision API to analyze character
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4.1',
-      messages: [
+// Block paid AI routes with 402 once a budget is used up
+async function enforceBudget(req, res, next) {
+  if (!BUDGETS.length) return next();
+
+  try {
+    const exceeded = await findExceededBudget(req.user?.id || null);
+    if (exceeded) {
+      return res.status(402).json(budgetExceededResponse(exceeded));
+    }
+    next();
+  } catch (err) {
+    console.error('Budget check error:', err);
+    res.status(500).json({ error: 'Failed to check budget', details: err.message });
+  }
+}
+
+// ==========================================
+// CHARACTER CONSISTENCY CHECKS
+// ==========================================
+// Outputs are compared with the character's reference image and style guide:
+// palette colours, signature accessories (vision model) and perceptual similarity
+const CONSISTENCY_VISION_MODEL = process.env.CONSISTENCY_VISION_MODEL || 'gpt-4.1-mini';
+const CONSISTENCY_AUTO_REGENERATE = process.env.CONSISTENCY_AUTO_REGENERATE === 'true';
+const CONSISTENCY_MAX_REGENERATIONS = parseInt(process.env.CONSISTENCY_MAX_REGENERATIONS, 10) || 1;
+
+/**
+ * Work out what an output should be compared with
+ * @param {object} options - { characterId, characterVersion, styleGuide, characterName, referenceImages }
+ *   (referenceImages come from the request, so they are only fetched from public hosts)
+ * @returns {Promise<object|null>} - { characterName, styleGuide, traits, referenceImage, publicOnly } or null if there is nothing to compare with
+ */
+async function resolveConsistencyTarget({ characterId = null, characterVersion = null, styleGuide = null, characterName = null, referenceImages = [] }) {
+  let referenceImage = referenceImages[0] || null;
+  let publicOnly = !!referenceImage;
+  let traits = null;
+
+  if (hasDatabase && characterId) {
+    const character = await db.getCharacter(characterId);
+    const version = characterVersion ? await db.getCharacterVersion(characterId, characterVersion) : null;
+    const source = version || character;
+    if (source) {
+      const references = await db.listCharacterReferences(characterId);
+      const primary = references.find(r => r.is_primary) || references.find(r => (r.tags || []).includes('front'));
+      styleGuide = styleGuide || source.style_guide;
+      characterName = characterName || source.name;
+      traits = source.traits || null;
+      const stored = version?.image_url || primary?.image_url || character?.image_url;
+      if (stored) {
+        referenceImage = stored;
+        publicOnly = false;
+      }
+    }
+  }
+
+  if (!styleGuide && !referenceImage) return null;
+  return { characterName: characterName || 'the character', styleGuide, traits, referenceImage, publicOnly };
+}
+
+/**
+ * Ask a vision model which signature accessories from the style guide are visible
+ * @returns {Promise<{score: number, items: Array<{name: string, present: boolean}>, notes: string}|null>}
+ */
+async function checkSignatureAccessories(req, imageBuffer, target, usage = {}) {
+  if (!openai || !target.styleGuide) return null;
+
+  const response = await createChatCompletion(req, {
+    model: CONSISTENCY_VISION_MODEL,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          {
+            type: 'text',
+            text: `You check generated images for character consistency. Character: ${target.characterName}.
+Style guide:
+${JSON.stringify(target.styleGuide.character || target.styleGuide, null, 2)}
+${target.traits?.mandatory?.length ? `Mandatory traits (always check these): ${target.traits.mandatory.join('; ')}\n` : ''}
+List the character's signature accessories and distinctive features from the style guide (e.g. earrings, bangles, horns, hoodie text) and say whether each one is visible in the image.
+Respond with JSON only: { "items": [{ "name": "gold bangles", "present": true }], "notes": "short explanation of any mismatch" }`
+          },
+          {
+            type: 'image_url',
+            image_url: { url: `data:image/png;base64,${imageBuffer.toString('base64')}` }
+          }
+        ]
+      }
+    ],
+    max_tokens: 500,
+    response_format: { type: 'json_object' }
+  }, { operation: 'consistency-check', ...usage });
+
+  const result = JSON.parse(response.choices[0].message.content);
+  const items = Array.isArray(result.items) ? result.items : [];
+  if (!items.length) return null;
+
+  return {
+    score: items.filter(item => item.present).length / items.length,
+    items,
+    notes: result.notes || ''
+  };
+}
+
+/**
+ * Score how well an image matches its character
+ * @param {object|null} req - Request that produced the image (for usage tracking)
+ * @param {Buffer} imageBuffer - Generated image or video frame
+ * @param {object} target - From resolveConsistencyTarget
+ * @param {object} options - { vision: run the accessory check, usage: extra ledger fields }
+ * @returns {Promise<object>} - { score, flagged, threshold, scores, dominantColors, accessories, notes, checkedAt }
+ */
+async function scoreConsistency(req, imageBuffer, target, { vision = true, usage = {} } = {}) {
+  const scores = {};
+  const colors = await dominantColors(imageBuffer);
+
+  const palette = target.styleGuide?.character?.colorPalette || [];
+  scores.palette = paletteMatchScore(colors, palette);
+
+  if (target.referenceImage) {
+    try {
+      const { buffer: referenceBuffer } = await fetchAsset(target.referenceImage, { publicOnly: !!target.publicOnly });
+      scores.similarity = await perceptualSimilarity(imageBuffer, referenceBuffer);
+    } catch (err) {
+      console.warn('Consistency check: failed to load reference image:', err.message);
+    }
+  }
+
+  let accessories = null;
+  if (vision) {
+    try {
+      accessories = await checkSignatureAccessories(req, imageBuffer, target, usage);
+      scores.accessories = accessories?.score ?? null;
+    } catch (err) {
+      console.warn('Consistency check: accessory check failed:', err.message);
+    }
+  }
+
+  const score = combineConsistencyScores(scores);
+  return {
+    score,
+    flagged: score !== null && score < CONSISTENCY_THRESHOLD,
+    threshold: CONSISTENCY_THRESHOLD,
+    scores,
+    dominantColors: colors.map(c => c.hex),
+    accessories: accessories?.items || null,
+    notes: accessories?.notes || null,
+    checkedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Score a completed video on a few frames and store the result
+ * Runs in the background after a Sora job completes (never throws)
+ * @param {object} video - Row from the videos table
+ */
+async function checkVideoConsistency(video) {
+  if (!hasDatabase || !video.character_id) return;
+
+  const tempVideo = path.join(uploadsDir, `consistency_${video.id}.mp4`);
+  const framePaths = [];
+  try {
+    const target = await resolveConsistencyTarget({
+      characterId: video.character_id,
+      characterVersion: video.character_version
+    });
+    if (!target) return;
+
+    // Three frames across the clip, or Sora's thumbnail when ffmpeg isn't installed
+    const frames = [];
+    if (await isFfmpegAvailable()) {
+      await downloadVideoToFile(video, tempVideo);
+      const { duration } = await probeVideo(tempVideo);
+      for (const position of [0.25, 0.5, 0.75]) {
+        const framePath = path.join(uploadsDir, `consistency_${video.id}_${Math.round(position * 100)}.png`);
+        framePaths.push(framePath);
+        await extractFrame(tempVideo, framePath, duration * position);
+        frames.push({ position, buffer: fs.readFileSync(framePath) });
+      }
+    } else if (video.sora_job_id) {
+      const response = await fetchSoraVideoContent(video.sora_job_id, 'thumbnail');
+      frames.push({ position: 0, buffer: Buffer.from(await response.arrayBuffer()) });
+    }
+    if (!frames.length) return;
+
+    // Vision check on the middle frame only, colours and similarity on all of them
+    const frameResults = [];
+    for (let i = 0; i < frames.length; i++) {
+      const result = await scoreConsistency(null, frames[i].buffer, target, {
+        vision: i === Math.floor(frames.length / 2),
+        usage: { userId: video.created_by, projectId: video.project_id, characterId: video.character_id, videoId: video.id }
+      });
+      frameResults.push({ position: frames[i].position, ...result });
+    }
+
+    const scored = frameResults.filter(r => r.score !== null);
+    const score = scored.length
+      ? Math.round((scored.reduce((sum, r) => sum + r.score, 0) / scored.length) * 1000) / 1000
+      : null;
+    const consistency = {
+      score,
+      flagged: score !== null && score < CONSISTENCY_THRESHOLD,
+      threshold: CONSISTENCY_THRESHOLD,
+      frames: frameResults,
+      checkedAt: new Date().toISOString()
+    };
+
+    await db.updateVideoConsistency(video.id, consistency);
+    console.log(`🎯 Video ${video.id} consistency: ${score}${consistency.flagged ? ' ⚠️ flagged' : ''}`);
+  } catch (err) {
+    console.error(`Consistency check failed for video ${video.id}:`, err.message);
+  } finally {
+    fs.unlink(tempVideo, () => {});
+    for (const framePath of framePaths) fs.unlink(framePath, () => {});
+  }
+}
+
+// ==========================================
+// CHARACTER STYLE GUIDE - Vision API
+// ==========================================
+
+/**
+ * Flatten a style guide into dotted paths ({ character: { lighting } } -> 'character.lighting')
+ */
+function flattenStyleGuide(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, child] of Object.entries(value)) {
+      flattenStyleGuide(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * List the fields that differ between two character versions
+ * @param {object} from - Older character_versions row
+ * @param {object} to - Newer character_versions row
+ * @returns {{from: number, to: number, changes: Array<{field: string, from: *, to: *}>}}
+ */
+function diffCharacterVersions(from, to) {
+  const before = {
+    name: from.name,
+    imageUrl: from.image_url,
+    ...flattenStyleGuide(from.style_guide || {}, 'styleGuide'),
+    ...flattenStyleGuide(from.traits || {}, 'traits')
+  };
+  const after = {
+    name: to.name,
+    imageUrl: to.image_url,
+    ...flattenStyleGuide(to.style_guide || {}, 'styleGuide'),
+    ...flattenStyleGuide(to.traits || {}, 'traits')
+  };
+
+  const changes = [];
+  for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, from: before[field] ?? null, to: after[field] ?? null });
+    }
+  }
+
+  return { from: from.version, to: to.version, changes };
+}
+
+/**
+ * Analyzes character image using Vision API to extract style guide
+ */
+app.post('/api/characters/analyze', requireRole(...GENERATION_ROLES), enforceBudget, upload.single('image'), async (req, res) => {
+  try {
+    // Check if OpenAI is configured
+    if (!openai) {
+      return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
+    }
+
+    const file = req.file;
+    const { characterName, characterId } = req.body;
+
+    if (!file) {
+      return res.status(400).json({ error: 'Character image is required.' });
+    }
+
+    // Re-analysing an existing character adds a version instead of replacing it
+    const existingCharacter = characterId && hasDatabase ? await db.getCharacter(characterId) : null;
+    if (characterId && hasDatabase && !existingCharacter) {
+      fs.unlink(file.path, () => {});
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    // Read image and convert to base64
+    const imageBuffer = fs.readFileSync(file.path);
+    const base64Image = imageBuffer.toString('base64');
+    const imageMimeType = file.mimetype || 'image/jpeg';
+
+    // Call Vision API to analyze character
+    const response = await createChatCompletion(req, {
+      model: 'gpt-4.1',
+      messages: [
         {
           role: 'user',
           content: [
@@ -637,11 +1402,14 @@ Be specific and detailed. Extract actual hex color codes from dominant colors in
 
     const styleGuide = JSON.parse(response.choices[0].message.content);
 
-    // Upload to Cloudinary if configured (before cleaning up local file)
+    // Upload to storage (before cleaning up local file)
     let imageUrl = null;
-    if (hasCloudinary) {
-      imageUrl = await uploadToCloudinary(file.path);
-      console.log('☁️ Character image uploaded:', imageUrl ? 'success' : 'failed');
+    try {
+      const stored = await storage.uploadImage(file.path, { folder: 'goblina-characters', maxDimension: 800 });
+      imageUrl = stored.url;
+      console.log(`🗄️ Character image uploaded (${storage.name}):`, imageUrl);
+    } catch (uploadErr) {
+      console.error('Character image upload error:', uploadErr);
     }
 
     // Clean up uploaded file
@@ -649,13 +1417,26 @@ Be specific and detailed. Extract actual hex color codes from dominant colors in
 
     // Return character profile with cloud image URL
     const characterProfile = {
-      id: Date.now().toString(),
-      name: characterName || 'Unnamed Character',
+      id: existingCharacter?.id || Date.now().toString(),
+      name: characterName || existingCharacter?.name || 'Unnamed Character',
       imageUrl: imageUrl,
       styleGuide,
       createdAt: new Date().toISOString()
     };
 
+    if (existingCharacter) {
+      const saved = await db.saveCharacter(
+        existingCharacter.id,
+        characterProfile.name,
+        styleGuide,
+        imageUrl,
+        req.user?.id || null,
+        { source: 'analysis' }
+      );
+      characterProfile.version = saved.current_version;
+      console.log(`🧬 Character ${saved.id} re-analysed -> version ${saved.current_version}`);
+    }
+
     res.json(characterProfile);
   } catch (err) {
     console.error('Character analysis error:', err);
@@ -833,253 +1614,640 @@ app.get('/api/personalities/presets', (req, res) => {
 });
 
 // ==========================================
-// SCENARIO GENERATION
+// PROGRESS STREAMS (SERVER-SENT EVENTS)
 // ==========================================
+// Long generations can stream their results as they finish instead of one
+// JSON response at the end. Closing the connection cancels the rest.
+
+// Comment lines keep proxies from closing an idle stream
+const EVENT_STREAM_HEARTBEAT_MS = 15000;
 
 /**
- * Generates scenario ideas and prompts from a topic/struggle
- * Enhanced with detailed structured prompts matching Example JSON prompt.json format
+ * Whether the client asked for a progress stream ({ stream: true }, ?stream=true or Accept: text/event-stream)
  */
-app.post('/api/scenarios/generate', async (req, res) => {
-  try {
-    // Check if OpenAI is configured
-    if (!openai) {
-      return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
-    }
+function wantsEventStream(req) {
+  return req.body?.stream === true
+    || req.query.stream === 'true'
+    || (req.headers.accept || '').includes('text/event-stream');
+}
 
-    const { 
-      topic, 
-      characterStyleGuide, 
-      personalityPreset = 'genz-meme', 
-      sceneCount = 1,
-      useStructuredPrompts = true // New: enable detailed structured prompts
-    } = req.body;
+/**
+ * Switch a response to Server-Sent Events
+ * @param {object} res - Express response
+ * @returns {{send: Function, end: Function, signal: AbortSignal, closed: boolean}}
+ *   send(event, data) writes one event, end() finishes the stream, signal aborts
+ *   when the client disconnects and closed says whether it has
+ */
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-    if (!topic) {
-      return res.status(400).json({ error: 'Topic is required' });
+  const controller = new AbortController();
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_STREAM_HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    get closed() {
+      return controller.signal.aborted;
+    },
+    send(event, data) {
+      if (!res.writableEnded && !controller.signal.aborted) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
     }
+  };
+}
 
-    const personality = PERSONALITY_PRESETS[personalityPreset] || PERSONALITY_PRESETS['genz-meme'];
+/**
+ * Finish a progress stream after the route failed, or log that the client cancelled
+ * @param {object} stream - From openEventStream
+ * @param {string} error - Error message for the client
+ * @param {Error} err - What went wrong
+ */
+function failEventStream(stream, error, err) {
+  if (stream.closed) {
+    console.log(`🛑 Client closed the progress stream (${error.toLowerCase()}: cancelled)`);
+  } else {
+    console.error(`${error}:`, err);
+    stream.send('error', err.validationErrors
+      ? { error: err.message, validationErrors: err.validationErrors }
+      : { error, details: err.message });
+  }
+  stream.end();
+}
 
-    // Build prompt for scenario generation with DETAILED structure
-    const systemPrompt = `You are a Gen Z meme content creator expert specializing in creating DETAILED, production-ready video prompts for AI video generation (Sora 2).
+// ==========================================
+// PROMPT TEMPLATES
+// ==========================================
 
-CHARACTER DETAILS:
-- Name: Ms. Goblina (or custom character)
-- Appearance: ${characterStyleGuide?.character?.appearance || 'Green-skinned goblin woman, petite build'}
-- Visual Style: ${characterStyleGuide?.character?.visualStyle || '3D cartoon, Pixar-like animation'}
-- Signature look: ${characterStyleGuide?.character?.details || 'Casual hoodie, gold bangles and jewelry, expressive face'}
-- Color Palette: ${characterStyleGuide?.character?.colorPalette?.join(', ') || '#8BC34A (green), #FF5722 (orange accent), #FFC107 (gold)'}
+/**
+ * Template variables for the character of a generation without a cast
+ * Everything comes from the resolved character (characterId, pinned version or
+ * request overrides); fields its style guide doesn't have are left empty
+ * @param {object} character - From resolvePromptCharacter
+ * @returns {object} - { name, appearance, visualStyle, details, colorPalette, mandatoryTraits, forbiddenTraits, description }
+ */
+function characterTemplateVariables(character) {
+  const char = character.styleGuide?.character || {};
+  return {
+    name: character.name,
+    appearance: char.appearance || null,
+    visualStyle: char.visualStyle || null,
+    details: char.details || null,
+    colorPalette: char.colorPalette || [],
+    mandatoryTraits: character.traits?.mandatory || [],
+    forbiddenTraits: character.traits?.forbidden || [],
+    description: buildDetailedCharacterDescription(character.styleGuide, character.name, false, character.traits).trim()
+  };
+}
 
-CONTENT PERSONALITY:
-- Tone: ${personality.tone}
-- Pacing: ${personality.pacing}  
-- Emotion: ${personality.emotion}
-- Vibe: ${personality.vibe}
-- Camera Style: ${personality.cameraStyle}
-- Shot Preference: ${personality.shotPreference}
-- Content Type: ${personality.contentType}
+/**
+ * Variables each prompt template gets, built from the generation request body
+ * (the same body is used by the admin preview)
+ */
+const PROMPT_TEMPLATE_VARIABLES = {
+  scenarios: async (body) => {
+    const cast = await resolveCast(body);
+    const character = await resolvePromptCharacter(body);
+    return {
+      topic: body.topic,
+      sceneCount: body.sceneCount ?? 1,
+      personality: PERSONALITY_PRESETS[body.personalityPreset] || PERSONALITY_PRESETS['genz-meme'],
+      hasCast: cast.length > 0,
+      castSection: describeCast(cast),
+      character: characterTemplateVariables(character)
+    };
+  },
+  structured: async (body) => {
+    const cast = await resolveCast(body);
+    const character = await resolvePromptCharacter(body);
+    // A cast replaces the free-text second character
+    const includeSecondCharacter = !cast.length && !!body.includeSecondCharacter;
+    return {
+      topic: body.topic,
+      personality: PERSONALITY_PRESETS[body.personalityPreset] || PERSONALITY_PRESETS['genz-meme'],
+      hasCast: cast.length > 0,
+      castSection: describeCast(cast),
+      character: characterTemplateVariables(character),
+      characterStyleGuide: character.styleGuide
+        ? JSON.stringify(character.styleGuide, null, 2)
+        : `Not provided - describe ${character.name} the same way in every scene`,
+      includeSecondCharacter,
+      secondCharacterDescription: includeSecondCharacter ? body.secondCharacterDescription || null : null
+    };
+  },
+  storyboard: async (body) => {
+    const cast = await resolveCast(body);
+    const character = await resolvePromptCharacter(body);
+    return {
+      story: body.story,
+      targetDuration: body.targetDuration ?? 15,
+      personality: PERSONALITY_PRESETS[body.personalityPreset] || PERSONALITY_PRESETS['genz-meme'],
+      hasCast: cast.length > 0,
+      castSection: describeCast(cast),
+      character: characterTemplateVariables(character),
+      characterStyle: JSON.stringify(character.styleGuide?.character || {})
+    };
+  },
+  captions: async (body) => {
+    const video = hasDatabase && body.videoId ? await db.getVideo(body.videoId) : null;
+    const project = video?.project_id ? await db.getProject(video.project_id) : null;
+    const scene = video?.scene_id ? await db.getScene(video.scene_id) : null;
+    const character = video?.character_id ? await loadGenerationCharacter(video.character_id, video.project_id) : null;
+    const cast = await resolveCast({ ...body, projectId: body.projectId || video?.project_id });
+    const text = video ? await videoText(video) : {};
+    const persona = character?.style_guide?.personality || {};
+    return {
+      captionCount: body.captionCount ?? 3,
+      hashtagSetCount: body.hashtagSetCount ?? 3,
+      topic: project?.topic || body.topic || null,
+      scenario: scene?.description || body.scenario || null,
+      dialogue: text.dialogue || body.dialogue || null,
+      textOverlay: text.textOverlay || body.textOverlay || null,
+      prompt: video?.prompt || body.prompt || '',
+      hasCast: cast.length > 0,
+      castSection: describeCast(cast),
+      character: {
+        name: character?.name || body.characterName || 'the character',
+        persona: [persona.vibe, persona.emotion, persona.context].filter(Boolean).join('; ') || 'Playful, relatable, self-aware'
+      },
+      preset: await resolveCaptionPreset(body.personalityPreset || project?.personality_preset)
+    };
+  }
+};
 
-Generate ${sceneCount} scenario(s) for the topic: "${topic}"
+/**
+ * Voice for post copy: a custom preset (personality_presets) or a built-in one
+ * Built-in presets have no caption or emoji settings, so those get defaults
+ * @param {string} key - Preset ID or built-in preset name
+ * @returns {Promise<{key, name, description, tone, humorStyle, captionStyle, emojiUsage}>}
+ */
+async function resolveCaptionPreset(key) {
+  const custom = hasDatabase && key && !PERSONALITY_PRESETS[key] ? await db.getPersonalityPreset(key) : null;
+  if (custom) {
+    return {
+      key: custom.id,
+      name: custom.name,
+      description: custom.description || custom.name,
+      tone: custom.tone || 'witty',
+      humorStyle: custom.humor_style || 'relatable',
+      captionStyle: custom.caption_style || 'Short and punchy',
+      emojiUsage: custom.emoji_usage || 'moderate'
+    };
+  }
 
-For EACH scenario, provide this DETAILED structure:
+  const builtInKey = PERSONALITY_PRESETS[key] ? key : 'genz-meme';
+  const preset = PERSONALITY_PRESETS[builtInKey];
+  return {
+    key: builtInKey,
+    name: builtInKey,
+    description: preset.description,
+    tone: preset.tone,
+    humorStyle: preset.emotion,
+    captionStyle: 'Short and punchy',
+    emojiUsage: 'moderate'
+  };
+}
 
-{
-  "scenarios": [
-    {
-      "hook": "One punchy sentence describing the concept",
-      "description": "Detailed scene description",
-      "duration": 8,
-      "dialogue": "Short, punchy dialogue (under 10 words)",
-      "textOverlay": "The on-screen caption/punchline",
-      
-      "subject": {
-        "description": "Full character description with action",
-        "expression": "Specific facial expression (e.g., 'eyes widening dramatically, jaw dropping')",
-        "pose": "Body position",
-        "action": "Specific action",
-        "clothing": {
-          "top": {"type": "hoodie/tank/etc", "color": "specific", "details": "specifics"},
-          "bottom": {"type": "jeans/sweats/etc", "color": "specific", "details": "specifics"}
-        }
-      },
-      
-      "accessories": {
-        "jewelry": {"earrings": "gold hoops", "wrist": "gold bangles"},
-        "device": {"type": "laptop/phone", "screen_content": "what's on screen if visible"},
-        "prop": {"type": "coffee/food/etc", "details": "specifics"}
-      },
-      
-      "second_character": null OR {
-        "description": "Second character full description",
-        "role": "manager/boyfriend/friend",
-        "action": "what they're doing",
-        "speaks": false,
-        "reaction": "their silent reaction"
-      },
-      
-      "photography": {
-        "camera_style": "${personality.cameraStyle}",
-        "shot_type": "${personality.shotPreference}",
-        "camera_movement": "push_in/static/tracking (match the emotion)",
-        "angle": "eye-level/low/high",
-        "composition": "framing details"
-      },
-      
-      "background": {
-        "setting": "specific location (dim office/cozy bedroom/bathroom)",
-        "elements": ["laptop on desk", "fluorescent lights", "etc"],
-        "lighting": "specific lighting (fluorescent office/warm bedroom/harsh bathroom)",
-        "atmosphere": "mood description"
-      },
-      
-      "negative_prompt": ["no extra characters", "no blurry text", "etc"],
-      
-      "prompt": "COMPLETE Sora-ready prompt combining ALL details above using STEP-BY-STEP structure. This should be COPY-PASTE ready for Sora/Nano Banana."
-    }
-  ]
-}
-
-CRITICAL RULES FOR HIGH-FIDELITY CHARACTER PRESERVATION:
-1. The "prompt" field must use STEP-BY-STEP structure for best results:
-   - Step 1: Describe the background/setting first
-   - Step 2: Describe the character in FULL DETAIL (preserve exact appearance)
-   - Step 3: Describe the action/expression
-   - Step 4: Specify camera work and composition
-
-2. CHARACTER DESCRIPTION (include EVERY time for consistency):
-   - "A green-skinned goblin woman with vibrant emerald-green skin"
-   - "Petite feminine build with stylized Pixar/DreamWorks 3D animation proportions"  
-   - "Large expressive eyes, small pointed nose, wide expressive mouth, pointed ears"
-   - "Wearing [specific clothing] with gold hoop earrings and gold bangles on wrists"
-   - "3D animated character with smooth surfaces and soft lighting"
-
-3. USE SEMANTIC NEGATIVE PROMPTS (positive descriptions instead of "no X"):
-   - Instead of "no other people" say "character is alone in the scene"
-   - Instead of "no blurry" say "crisp, clear, high-quality render"
-   - Instead of "no realistic style" say "consistent 3D animated cartoon style"
-
-4. CAMERA LANGUAGE (use cinematic terms):
-   - "Medium shot at eye-level, subject centered"
-   - "Close-up with shallow depth of field"
-   - "Push-in camera movement matching emotional beat"
-   - "Portrait orientation (9:16) optimized for mobile viewing"
-
-5. CONTEXT AND INTENT:
-   - Always mention "for Instagram Reels/TikTok social media content"
-   - Include the mood/emotion the scene should evoke
-
-6. SCENE-SPECIFIC LIGHTING:
-   - Office: "Harsh fluorescent overhead lighting casting slight shadows"
-   - Bedroom: "Warm ambient lighting from bedside lamp, cozy atmosphere"
-   - Bathroom: "Bright harsh bathroom lighting, mirror reflections"
-   - Outdoor: "Natural daylight with soft shadows"
-
-7. Dialogue must be SHORT and PUNCHY - Gen Z style
-8. If second character present and shouldn't speak, include "Character X is visible but silent, only showing reactions"`;
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4.1',
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: `Topic: ${topic}
+/**
+ * Convert a prompt_template_versions row to the shape renderPromptTemplate uses
+ */
+function toPromptTemplate(row) {
+  return {
+    name: row.template_name,
+    version: row.version,
+    versionId: row.id,
+    system: row.system_template,
+    user: row.user_template,
+    model: row.model,
+    maxTokens: row.max_tokens
+  };
+}
 
-Generate ${sceneCount} detailed scenario(s) that are relatable, funny, and perfect for Instagram Reels.
+/**
+ * Get the template version generation should use (the built-in one without a database)
+ * @param {string} name - Template name (scenarios, structured, storyboard)
+ * @returns {Promise<{name, version, versionId, system, user, model, maxTokens}>}
+ */
+async function loadPromptTemplate(name) {
+  const stored = hasDatabase ? await db.getActivePromptTemplate(name) : null;
+  if (stored) {
+    return toPromptTemplate(stored);
+  }
 
-PROMPT STRUCTURE (follow this exact format for the "prompt" field):
+  const builtIn = DEFAULT_PROMPT_TEMPLATES[name];
+  return { name, version: null, versionId: null, ...builtIn };
+}
 
-STEP 1 - BACKGROUND: "In a [detailed setting description with specific lighting]..."
+/**
+ * Render a prompt template for a request
+ * @param {string} name - Template name
+ * @param {object} body - Request body the variables are built from
+ * @param {object} template - Template to render (defaults to the active version)
+ * @returns {Promise<{template: object, system: string, user: string, missing: string[]}>}
+ */
+async function renderPromptTemplate(name, body, template = null) {
+  template = template || await loadPromptTemplate(name);
+  const variables = await PROMPT_TEMPLATE_VARIABLES[name](body);
+
+  const system = renderTemplate(template.system, variables);
+  const user = renderTemplate(template.user, variables);
+  const missing = [...new Set([...system.missing, ...user.missing])];
+  if (missing.length) {
+    console.warn(`⚠️ Prompt template ${name} v${template.version ?? 'built-in'} has no value for: ${missing.join(', ')}`);
+  }
 
-STEP 2 - CHARACTER (FULL DETAIL FOR PRESERVATION): "A green-skinned goblin woman with vibrant emerald-green skin, petite feminine build in 3D Pixar-style animation. She has large expressive eyes, small pointed nose, wide expressive mouth, and pointed ears. She wears [specific clothing], gold hoop earrings, and gold bangles on her wrists..."
+  return { template, system: system.text, user: user.text, missing };
+}
 
-STEP 3 - ACTION & EXPRESSION: "She is [specific action] with [specific expression - e.g., 'eyes widening dramatically, eyebrows raised, jaw dropping slightly']..."
+/**
+ * Which template version produced a response (returned to the client and stored with videos)
+ */
+function promptTemplateInfo(template) {
+  return { name: template.name, version: template.version, versionId: template.versionId };
+}
 
-STEP 4 - CAMERA & COMPOSITION: "Shot as a [shot type] at [angle], [camera movement], portrait orientation (9:16) for mobile viewing. [Lighting description]. 3D animated style with smooth surfaces."
+/**
+ * The experiment assignment a request sent back (experimentAssignmentId), if it was made for the same user
+ * Anyone else's assignment is ignored so it can't be replayed to skew the results
+ * @param {object} req - Express request
+ * @returns {Promise<object|null>} - Row from experiment_assignments
+ */
+async function requestExperimentAssignment(req) {
+  if (!req.body.experimentAssignmentId) return null;
+  const assignment = await db.getExperimentAssignment(req.body.experimentAssignmentId);
+  return assignment && assignment.user_id === (req.user?.id || null) ? assignment : null;
+}
 
-STEP 5 - CONTEXT: "Created for Instagram Reels/TikTok social media content, evoking [emotion/mood]."
+/**
+ * Put a request into the running experiment for its route
+ * Sending back an earlier experimentAssignmentId (of the same user) repeats that variant
+ * and counts as a regeneration; `experiment: false` opts out
+ * @param {object} req - Express request
+ * @param {string} target - Experiment target (see EXPERIMENT_TARGETS)
+ * @returns {Promise<{experimentId: string, assignmentId: string, variant: object}|null>}
+ */
+async function assignExperiment(req, target) {
+  if (!hasDatabase || req.body.experiment === false) return null;
 
-REMEMBER:
-- Be HYPER-SPECIFIC about character appearance (preserve every detail)
-- Use SEMANTIC NEGATIVE PROMPTS (describe what IS there, not what isn't)
-- Include CAMERA LANGUAGE (shot type, angle, movement)
-- State CONTEXT AND INTENT (social media content, target emotion)
+  try {
+    const previous = await requestExperimentAssignment(req);
+    if (previous) {
+      const experiment = await db.getExperiment(previous.experiment_id);
+      const variant = experiment?.target === target
+        ? experiment.variants.find(v => v.key === previous.variant_key)
+        : null;
+      if (variant) {
+        await db.addExperimentRegenerations(previous.id);
+        return { experimentId: experiment.id, assignmentId: previous.id, variant };
+      }
+    }
 
-This is for a Gen Z audience so make it relatable and punchy!
+    const experiment = await db.getActiveExperiment(target);
+    if (!experiment) return null;
 
-IMPORTANT: Respond with valid JSON only.`
-        }
-      ],
-      max_tokens: 3500,
-      response_format: { type: 'json_object' }
+    const variant = pickVariant(experiment.variants);
+    const assignment = await db.createExperimentAssignment({
+      id: `asg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      experimentId: experiment.id,
+      variantKey: variant.key,
+      userId: req.user?.id || null
     });
+    console.log(`🧪 Experiment "${experiment.name}": ${target} request -> variant ${variant.key}`);
+    return { experimentId: experiment.id, assignmentId: assignment.id, variant };
+  } catch (err) {
+    // Never fail a generation because of experiment bookkeeping
+    console.warn('Failed to assign experiment:', err.message);
+    return null;
+  }
+}
 
-    const result = JSON.parse(response.choices[0].message.content);
+/**
+ * Which experiment variant served a response (send assignmentId back when generating from it)
+ */
+function experimentInfo(experiment) {
+  return experiment
+    ? { id: experiment.experimentId, variant: experiment.variant.key, assignmentId: experiment.assignmentId }
+    : null;
+}
 
-    res.json(result);
-  } catch (err) {
-    console.error('Scenario generation error:', err);
-    res.status(500).json({ error: 'Failed to generate scenarios', details: err.message });
+/**
+ * Render the prompt for an LLM route with the route's experiment variant applied
+ * Variants can swap the chat model, the template version or the personality preset
+ * @param {string} name - Template name, also the experiment target
+ * @param {object} req - Express request
+ * @param {object} options - What the template variables are built from (defaults to the request body)
+ * @returns {Promise<{template, system, user, missing, experiment}>}
+ */
+async function prepareTemplatedPrompt(name, req, options = req.body) {
+  const experiment = await assignExperiment(req, name);
+  const variant = experiment?.variant || {};
+
+  const body = variant.personalityPreset ? { ...options, personalityPreset: variant.personalityPreset } : options;
+  const stored = variant.promptTemplateVersion
+    ? await db.getPromptTemplateVersion(name, variant.promptTemplateVersion)
+    : null;
+
+  const prompt = await renderPromptTemplate(name, body, stored ? toPromptTemplate(stored) : null);
+  if (variant.model) {
+    prompt.template = { ...prompt.template, model: variant.model };
   }
-});
+  return { ...prompt, experiment };
+}
 
-// ==========================================
-// NANO BANANA IMAGE GENERATION
-// ==========================================
+// How many times an LLM route asks the model again for JSON that fails its schema
+const LLM_JSON_MAX_ATTEMPTS = parseInt(process.env.LLM_JSON_MAX_ATTEMPTS, 10) || 3;
 
 /**
- * Generate still images using Nano Banana (Google Gemini Image)
- * This creates preview images for scenes before video generation
- * 
- * POST /api/images/generate
- * Body: {
- *   prompt: string - The image prompt
- *   aspectRatio: string - '9:16', '16:9', '1:1', etc.
- *   resolution: string - '1K', '2K', '4K'
- *   referenceImages: string[] - Base64 or URLs of reference images for character consistency
- *   model: string - 'gemini-2.5-flash-image' (fast) or 'gemini-3-pro-image-preview' (advanced)
- *   saveToCloudinary: boolean - Whether to upload result to Cloudinary
- * }
+ * Ask the model for JSON that matches one of the output schemas (schemas/)
+ *
+ * Small mistakes (numbers as strings, enum spelling, truncated endings) are
+ * repaired locally. Anything else goes back to the model with the list of
+ * failed fields; a truncated response is retried with more room.
+ *
+ * With a progress stream the completion is streamed and every item of
+ * stream.listField (e.g. each storyboard scene) is handed to onItem as soon as
+ * it is complete and valid. onRetry tells the client to drop the items of a
+ * failed attempt.
+ *
+ * @param {object} req - Express request
+ * @param {string} schemaName - Key of OUTPUT_SCHEMAS (scenarios, structured, storyboard)
+ * @param {object} params - openai.chat.completions.create parameters
+ * @param {object} usage - Extra ledger fields
+ * @param {object|null} stream - { listField, onItem(item, index), onRetry({ attempt, errors }), signal }
+ * @returns {Promise<{value: object, attempts: number, fixes: object[]}>}
+ * @throws {Error} - status 502 with validationErrors when every attempt fails
  */
-app.post('/api/images/generate', async (req, res) => {
-  try {
-    if (!googleAI) {
-      return res.status(503).json({ 
-        error: 'Nano Banana not configured',
-        message: 'Set GOOGLE_AI_API_KEY environment variable to enable image generation.'
-      });
+async function createValidatedJsonCompletion(req, schemaName, params, usage = {}, stream = null) {
+  const messages = [...params.messages];
+  let maxTokens = params.max_tokens;
+  let check;
+
+  for (let attempt = 1; attempt <= LLM_JSON_MAX_ATTEMPTS; attempt++) {
+    const attemptParams = { ...params, messages, max_tokens: maxTokens };
+    const attemptUsage = attempt > 1
+      ? { ...usage, metadata: { ...usage.metadata, repairAttempt: attempt - 1 } }
+      : usage;
+
+    let sent = 0;
+    let parsedUpTo = -1;
+    const response = stream
+      ? await createStreamingChatCompletion(req, attemptParams, attemptUsage, {
+        signal: stream.signal,
+        onContent: text => {
+          // Only re-parse once another object may have been closed
+          const lastBrace = text.lastIndexOf('}');
+          if (lastBrace <= parsedUpTo) return;
+          parsedUpTo = lastBrace;
+          const items = completedListItems(schemaName, stream.listField, text);
+          for (; sent < items.length; sent++) stream.onItem(items[sent], sent);
+        }
+      })
+      : await createChatCompletion(req, attemptParams, attemptUsage);
+    const choice = response.choices[0];
+    const content = choice.message.content || '';
+    check = checkModelJson(schemaName, content, { truncated: choice.finish_reason === 'length' });
+
+    // A truncated response that still validates is only used when there are no attempts left
+    if (check.valid && (!check.truncated || attempt === LLM_JSON_MAX_ATTEMPTS)) {
+      if (check.fixes.length) {
+        console.log(`🧩 Repaired ${check.fixes.length} field(s) in ${schemaName} output`);
+      }
+      if (stream) {
+        const items = check.value[stream.listField] || [];
+        for (; sent < items.length; sent++) stream.onItem(items[sent], sent);
+      }
+      return { value: check.value, attempts: attempt, fixes: check.fixes };
     }
 
-    const {
-      prompt,
-      aspectRatio = '9:16',
-      resolution = '2K',
-      referenceImages = [],
-      model = 'gemini-2.5-flash-image',
-      saveToCloudinary: shouldSave = true,
-      // NEW: Character and scene context for high-fidelity preservation
+    console.warn(`🧩 ${schemaName} output failed validation (attempt ${attempt}/${LLM_JSON_MAX_ATTEMPTS}):`,
+      check.truncated ? 'response was truncated' : check.errors.map(e => `${e.path} ${e.message}`).join('; '));
+    if (stream && attempt < LLM_JSON_MAX_ATTEMPTS) {
+      stream.onRetry({ attempt: attempt + 1, errors: check.errors, truncated: check.truncated });
+    }
+
+    if (check.truncated) {
+      maxTokens = Math.round(maxTokens * 1.5);
+      messages.push({
+        role: 'user',
+        content: 'Your previous response was cut off before the JSON was complete. Respond again with the COMPLETE JSON, keeping text fields concise.'
+      });
+    } else {
+      messages.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your JSON does not match the required format:\n${check.errors.map(e => `- ${e.path} ${e.message}`).join('\n')}\n\nRespond with the complete corrected JSON only.`
+        }
+      );
+    }
+  }
+
+  const err = new Error(`The model did not return valid ${schemaName} JSON after ${LLM_JSON_MAX_ATTEMPTS} attempts`);
+  err.status = 502;
+  err.validationErrors = check.errors;
+  throw err;
+}
+
+// ==========================================
+// SCENARIO GENERATION
+// ==========================================
+
+/**
+ * Generates scenario ideas and prompts from a topic/struggle
+ * Enhanced with detailed structured prompts matching Example JSON prompt.json format
+ * With stream: true each scenario is sent as soon as the model has written it
+ * (Server-Sent Events: start, scenario, retry, done, error)
+ */
+app.post('/api/scenarios/generate', requireRole(...GENERATION_ROLES), enforceBudget, async (req, res) => {
+  let stream = null;
+  try {
+    // Check if OpenAI is configured
+    if (!openai) {
+      return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
+    }
+
+    // characterStyleGuide, personalityPreset, sceneCount and cast/projectId feed the template
+    const { topic } = req.body;
+
+    if (!topic) {
+      return res.status(400).json({ error: 'Topic is required' });
+    }
+
+    const prompt = await prepareTemplatedPrompt('scenarios', req);
+
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+      stream.send('start', { promptTemplate: promptTemplateInfo(prompt.template), experiment: experimentInfo(prompt.experiment) });
+    }
+
+    const { value: result, attempts, fixes } = await createValidatedJsonCompletion(req, 'scenarios', {
+      model: prompt.template.model || 'gpt-4.1',
+      messages: [
+        {
+          role: 'system',
+          content: prompt.system
+        },
+        {
+          role: 'user',
+          content: prompt.user
+        }
+      ],
+      max_tokens: prompt.template.maxTokens || 3500,
+      response_format: { type: 'json_object' }
+    }, {
+      metadata: {
+        promptTemplate: 'scenarios',
+        promptTemplateVersion: prompt.template.version,
+        ...(prompt.experiment && { experimentId: prompt.experiment.experimentId, variant: prompt.experiment.variant.key })
+      }
+    }, stream && {
+      listField: 'scenarios',
+      signal: stream.signal,
+      onItem: (scenario, index) => stream.send('scenario', { index, scenario }),
+      onRetry: retry => stream.send('retry', retry)
+    });
+
+    const response = {
+      ...result,
+      promptTemplate: promptTemplateInfo(prompt.template),
+      experiment: experimentInfo(prompt.experiment),
+      validation: { attempts, repairs: fixes }
+    };
+
+    if (stream) {
+      stream.send('done', response);
+      return stream.end();
+    }
+    res.json(response);
+  } catch (err) {
+    if (stream) {
+      return failEventStream(stream, 'Failed to generate scenarios', err);
+    }
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.validationErrors) {
+      return res.status(502).json({ error: err.message, validationErrors: err.validationErrors });
+    }
+    console.error('Scenario generation error:', err);
+    res.status(500).json({ error: 'Failed to generate scenarios', details: err.message });
+  }
+});
+
+// ==========================================
+// NANO BANANA IMAGE GENERATION
+// ==========================================
+
+/**
+ * Generate still images using Nano Banana (Google Gemini Image)
+ * This creates preview images for scenes before video generation
+ * 
+ * POST /api/images/generate
+ * Body: {
+ *   prompt: string - The image prompt
+ *   aspectRatio: string - '9:16', '16:9', '1:1', etc.
+ *   resolution: string - '1K', '2K', '4K'
+ *   referenceImages: string[] - Base64 or URLs of reference images for character consistency
+ *   characterId: string - Adds the character's best matching reference sheets for this scene
+ *   cast: object[] - [{ characterId, role, relationship, speaking }] (defaults to the projectId's saved cast)
+ *   autoReferences: boolean - Set to false to skip automatic reference selection
+ *   checkConsistency: boolean - Score the result against the character (default true)
+ *   autoRegenerate: boolean - Try again when the score is below the threshold (default CONSISTENCY_AUTO_REGENERATE)
+ *   model: string - 'gemini-2.5-flash-image' (fast) or 'gemini-3-pro-image-preview' (advanced)
+ *   saveToCloudinary: boolean - Whether to keep the result in storage (any backend)
+ *   sceneId: string - Storyboard scene the image is for (becomes its preview if it has none)
+ *   experimentAssignmentId: string - Repeat an earlier experiment variant (counts as a regeneration)
+ *   experiment: boolean - Set to false to stay out of running experiments
+ * }
+ */
+app.post('/api/images/generate', requireRole(...GENERATION_ROLES), enforceBudget, async (req, res) => {
+  try {
+    if (!googleAI) {
+      return res.status(503).json({ 
+        error: 'Nano Banana not configured',
+        message: 'Set GOOGLE_AI_API_KEY environment variable to enable image generation.'
+      });
+    }
+
+    const {
+      prompt,
+      aspectRatio = '9:16',
+      resolution = '2K',
+      referenceImages = [],
+      model: requestedModel = 'gemini-2.5-flash-image',
+      saveToCloudinary: shouldSave = true,
+      // NEW: Character and scene context for high-fidelity preservation
       characterStyleGuide = null,
-      characterName = 'Ms. Goblina',
+      characterName = null,
       scene = {},
-      enhancePrompt = true // Auto-enhance prompts with best practices
+      enhancePrompt: requestedEnhancePrompt = true, // Auto-enhance prompts with best practices
+      autoReferences = true,
+      checkConsistency = true,
+      autoRegenerate = CONSISTENCY_AUTO_REGENERATE
     } = req.body;
 
     if (!prompt) {
       return res.status(400).json({ error: 'Prompt is required' });
     }
+    await assertRequestImages(referenceImages);
+
+    // A running experiment can swap the model or turn prompt enhancement off
+    const experiment = await assignExperiment(req, 'images');
+    const model = experiment?.variant.model || requestedModel;
+    const enhancePrompt = experiment?.variant.enhancePrompt ?? requestedEnhancePrompt;
+
+    // Add the character's reference sheets that fit this scene (e.g. profile for a side shot)
+    // With a cast, every member in the scene gets their own share of the reference images
+    const cast = await resolveCast(req.body);
+    const allReferenceImages = [...referenceImages];
+    let sceneCast = [];
+    if (cast.length) {
+      const picked = await pickCastReferenceImages(
+        cast,
+        `${prompt} ${JSON.stringify(scene)}`,
+        autoReferences ? MAX_REFERENCE_IMAGES - referenceImages.length : 0,
+        { sceneCharacters: scene.characters, firstNumber: referenceImages.length + 1, projectId: req.body.projectId }
+      );
+      sceneCast = picked.members;
+      allReferenceImages.push(...picked.images);
+    } else if (autoReferences && req.body.characterId) {
+      const characterReferences = await loadCharacterReferences(req.body.characterId, { projectId: req.body.projectId });
+      allReferenceImages.push(...pickReferenceImages(
+        characterReferences,
+        `${prompt} ${JSON.stringify(scene)}`,
+        MAX_REFERENCE_IMAGES - referenceImages.length
+      ));
+    }
 
     // Build enhanced prompt with character details and best practices
     let finalPrompt = prompt;
-    const hasReferenceImages = referenceImages.length > 0;
+    const hasReferenceImages = allReferenceImages.length > 0;
     
     if (enhancePrompt) {
-      const characterDescription = buildDetailedCharacterDescription(characterStyleGuide, characterName, hasReferenceImages);
+      const character = sceneCast.length
+        ? { name: sceneCast.map(member => member.name).join(' and '), styleGuide: sceneCast[0].styleGuide, traits: null }
+        : await resolvePromptCharacter(req.body);
+      const characterDescription = sceneCast.length
+        ? describeCast(sceneCast)
+        : buildDetailedCharacterDescription(character.styleGuide, character.name, hasReferenceImages, character.traits);
       finalPrompt = enhancePromptForNanoBanana(prompt, {
         characterDescription,
+        character,
         scene,
         aspectRatio,
         intent: 'Instagram Reels / TikTok social media content',
@@ -1092,32 +2260,75 @@ app.post('/api/images/generate', async (req, res) => {
     }
 
     // Generate the image
-    const result = await generateNanoBananaImage({
-      prompt: finalPrompt,
-      aspectRatio,
-      resolution,
-      referenceImages,
-      model
-    });
+    const generate = async (attempt = 0) => {
+      const generated = await generateNanoBananaImage({
+        prompt: finalPrompt,
+        aspectRatio,
+        resolution,
+        referenceImages: allReferenceImages,
+        model,
+        requestImages: referenceImages
+      });
+      await recordUsage(req, {
+        provider: 'google',
+        operation: 'image',
+        model,
+        resolution,
+        inputTokens: generated.usage?.promptTokenCount,
+        outputTokens: generated.usage?.candidatesTokenCount,
+        ...(attempt > 0 && { metadata: { regeneration: attempt } })
+      });
+      if (attempt > 0 && experiment) {
+        await db.addExperimentRegenerations(experiment.assignmentId)
+          .catch(err => console.warn('Failed to count regeneration for experiment:', err.message));
+      }
+      return generated;
+    };
+    let result = await generate();
+
+    // Compare with the character and optionally regenerate when it drifted
+    let consistency = null;
+    const consistencyTarget = checkConsistency
+      ? await resolveConsistencyTarget({
+        characterId: req.body.characterId,
+        styleGuide: characterStyleGuide,
+        characterName,
+        referenceImages: allReferenceImages
+      })
+      : null;
+    if (consistencyTarget) {
+      consistency = await scoreConsistency(req, Buffer.from(result.imageBase64, 'base64'), consistencyTarget);
+      let regenerations = 0;
+      while (consistency.flagged && autoRegenerate && regenerations < CONSISTENCY_MAX_REGENERATIONS) {
+        if (BUDGETS.length && await findExceededBudget(req.user?.id || null)) break;
+
+        regenerations++;
+        console.log(`🎯 Consistency ${consistency.score} below ${CONSISTENCY_THRESHOLD} - regenerating (${regenerations}/${CONSISTENCY_MAX_REGENERATIONS})`);
+        const retry = await generate(regenerations);
+        const retryConsistency = await scoreConsistency(req, Buffer.from(retry.imageBase64, 'base64'), consistencyTarget);
+        if (retryConsistency.score > consistency.score) {
+          result = retry;
+          consistency = retryConsistency;
+        }
+      }
+      consistency.regenerations = regenerations;
+      console.log(`🎯 Image consistency: ${consistency.score}${consistency.flagged ? ' ⚠️ flagged' : ''}`);
+    }
 
     let cloudinaryUrl = null;
     let cloudinaryPublicId = null;
     let savedImageId = null;
 
-    // Optionally save to Cloudinary
-    if (shouldSave && hasCloudinary && result.imageBase64) {
+    // Optionally keep the image in storage
+    if (shouldSave && result.imageBase64) {
       try {
-        // Upload base64 directly to Cloudinary
-        const uploadResult = await cloudinary.uploader.upload(
-          `data:${result.mimeType};base64,${result.imageBase64}`,
-          {
-            folder: 'goblina-scene-images',
-            resource_type: 'image'
-          }
-        );
-        cloudinaryUrl = uploadResult.secure_url;
-        cloudinaryPublicId = uploadResult.public_id;
-        console.log('☁️ Scene image saved to Cloudinary:', cloudinaryUrl);
+        const uploadResult = await storage.uploadImage(Buffer.from(result.imageBase64, 'base64'), {
+          folder: 'goblina-scene-images',
+          contentType: result.mimeType
+        });
+        cloudinaryUrl = uploadResult.url;
+        cloudinaryPublicId = uploadResult.publicId;
+        console.log(`🗄️ Scene image saved (${storage.name}):`, cloudinaryUrl);
 
         // Auto-save to database if configured
         if (hasDatabase) {
@@ -1130,22 +2341,33 @@ app.post('/api/images/generate', async (req, res) => {
               prompt: prompt,
               cloudinaryUrl: cloudinaryUrl,
               cloudinaryPublicId: cloudinaryPublicId,
+              storageBackend: storage.name,
               aspectRatio: aspectRatio,
               resolution: resolution,
               model: model,
               sceneIndex: req.body.sceneIndex || null,
+              sceneId: req.body.sceneId || null,
+              createdBy: req.user?.id || null,
+              experimentAssignmentId: experiment?.assignmentId || null,
               metadata: {
                 characterName: characterName,
-                enhanced: enhancePrompt
+                enhanced: enhancePrompt,
+                referenceImages: allReferenceImages.filter(url => !url.startsWith('data:'))
               }
             });
+            if (consistency) {
+              await db.updateImageConsistency(savedImageId, consistency);
+            }
+            if (req.body.sceneId) {
+              await db.setDefaultScenePreview(req.body.sceneId, savedImageId);
+            }
             console.log('💾 Image saved to database:', savedImageId);
           } catch (dbErr) {
             console.warn('Failed to save image to database:', dbErr.message);
           }
         }
       } catch (uploadErr) {
-        console.warn('Failed to save image to Cloudinary:', uploadErr.message);
+        console.warn('Failed to save image to storage:', uploadErr.message);
       }
     }
 
@@ -1156,12 +2378,17 @@ app.post('/api/images/generate', async (req, res) => {
       imageUrl: cloudinaryUrl,
       imageId: savedImageId,
       text: result.text,
+      consistency,
+      experiment: experimentInfo(experiment),
       model,
       aspectRatio,
       resolution
     });
 
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
     console.error('Image generation error:', err);
     res.status(500).json({ 
       error: 'Failed to generate image', 
@@ -1178,16 +2405,25 @@ app.post('/api/images/generate', async (req, res) => {
  *   scenes: Array<{
  *     prompt: string,
  *     aspectRatio?: string,
- *     resolution?: string
+ *     resolution?: string,
+ *     characters?: string[] - Cast members in the scene (from the storyboard)
+ *     sceneId?: string - Saved storyboard scene the image is for
  *   }>,
  *   referenceImages: string[] - Shared reference images for all scenes
+ *   characterId: string - Adds the character's best matching reference sheets per scene
+ *   cast: object[] - [{ characterId, role, relationship, speaking }] (defaults to the projectId's saved cast)
  *   model: string
  *   characterStyleGuide: object - Character style guide for high-fidelity preservation
  *   characterName: string - Character name
  *   enhancePrompt: boolean - Whether to auto-enhance prompts
+ *   experiment: boolean - Set to false to stay out of running experiments
+ *   concurrency: number - Scenes generated at the same time (1 to IMAGE_BATCH_CONCURRENCY)
+ *   stream: boolean - Send each scene as it finishes (Server-Sent Events: start, scene, throttled, done, error);
+ *     closing the stream cancels the remaining scenes
  * }
  */
-app.post('/api/images/generate-batch', async (req, res) => {
+app.post('/api/images/generate-batch', requireRole(...GENERATION_ROLES), enforceBudget, async (req, res) => {
+  let stream = null;
   try {
     if (!googleAI) {
       return res.status(503).json({ 
@@ -1199,23 +2435,35 @@ app.post('/api/images/generate-batch', async (req, res) => {
     const {
       scenes = [],
       referenceImages = [],
-      model = 'gemini-2.5-flash-image',
+      model: requestedModel = 'gemini-2.5-flash-image',
       aspectRatio = '9:16',
       resolution = '2K',
       // Character context for consistency
       characterStyleGuide = null,
-      characterName = 'Ms. Goblina',
-      enhancePrompt = true
+      characterName = null,
+      enhancePrompt: requestedEnhancePrompt = true,
+      autoReferences = true
     } = req.body;
 
     if (!scenes.length) {
       return res.status(400).json({ error: 'At least one scene is required' });
     }
+    await assertRequestImages(referenceImages);
+
+    // The whole batch runs under one experiment assignment
+    const experiment = await assignExperiment(req, 'images');
+    const model = experiment?.variant.model || requestedModel;
+    const enhancePrompt = experiment?.variant.enhancePrompt ?? requestedEnhancePrompt;
 
-    // Pre-build character description once for all scenes
-    const hasReferenceImages = referenceImages.length > 0;
+    // Character reference sheets are picked per scene below
+    const cast = await resolveCast(req.body);
+    const characterReferences = autoReferences && !cast.length ? await loadCharacterReferences(req.body.characterId, { projectId: req.body.projectId }) : [];
+
+    // Pre-build character description once for all scenes (a cast is described per scene)
+    const hasReferenceImages = referenceImages.length > 0 || characterReferences.length > 0;
+    const character = await resolvePromptCharacter(req.body);
     const characterDescription = enhancePrompt 
-      ? buildDetailedCharacterDescription(characterStyleGuide, characterName, hasReferenceImages)
+      ? buildDetailedCharacterDescription(character.styleGuide, character.name, hasReferenceImages, character.traits)
       : '';
 
     console.log(`🍌 Generating ${scenes.length} scene images...`);
@@ -1226,120 +2474,210 @@ app.post('/api/images/generate-batch', async (req, res) => {
       console.log('🍌 Reference image(s) attached for character consistency');
     }
 
-    const results = [];
-    
-    for (let i = 0; i < scenes.length; i++) {
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+      stream.send('start', { totalScenes: scenes.length, model, aspectRatio, resolution, experiment: experimentInfo(experiment) });
+    }
+
+    // Fetched reference URLs are shared by every scene in the batch
+    const referenceCache = new Map();
+    const results = new Array(scenes.length);
+    let exceededBudget = null;
+    let started = 0;
+
+    const generateScene = async (i) => {
       const scene = scenes[i];
+
+      // Stop the batch once a budget runs out mid-way
+      if (started++ > 0 && BUDGETS.length) {
+        const exceeded = await findExceededBudget(req.user?.id || null);
+        if (exceeded) {
+          exceededBudget = exceeded;
+          throw new Error(budgetExceededResponse(exceeded).message);
+        }
+      }
+
       console.log(`🍌 Generating scene ${i + 1}/${scenes.length}...`);
+
+      // Only the cast members in this scene are described and referenced
+      let sceneCharacter = character;
+      let sceneDescription = characterDescription;
+      let sceneReferenceImages;
+      if (cast.length) {
+        const picked = await pickCastReferenceImages(
+          cast,
+          `${scene.prompt} ${JSON.stringify(scene)}`,
+          autoReferences ? MAX_REFERENCE_IMAGES - referenceImages.length : 0,
+          { sceneCharacters: scene.characters, firstNumber: referenceImages.length + 1, projectId: req.body.projectId }
+        );
+        sceneCharacter = { name: picked.members.map(member => member.name).join(' and '), styleGuide: picked.members[0].styleGuide, traits: null };
+        sceneDescription = enhancePrompt ? describeCast(picked.members) : '';
+        sceneReferenceImages = [...referenceImages, ...picked.images];
+      } else {
+        sceneReferenceImages = [
+          ...referenceImages,
+          ...pickReferenceImages(characterReferences, `${scene.prompt} ${JSON.stringify(scene)}`, MAX_REFERENCE_IMAGES - referenceImages.length)
+        ];
+      }
       
       // Enhance prompt with character details and best practices
       let finalPrompt = scene.prompt;
       if (enhancePrompt) {
         finalPrompt = enhancePromptForNanoBanana(scene.prompt, {
-          characterDescription,
+          characterDescription: sceneDescription,
+          character: sceneCharacter,
           scene,
           aspectRatio: scene.aspectRatio || aspectRatio,
           intent: 'Instagram Reels / TikTok social media content',
-          hasReferenceImage: hasReferenceImages
+          hasReferenceImage: sceneReferenceImages.length > 0
         });
       }
-      
-      try {
-        const result = await generateNanoBananaImage({
-          prompt: finalPrompt,
-          aspectRatio: scene.aspectRatio || aspectRatio,
-          resolution: scene.resolution || resolution,
-          referenceImages,
-          model
-        });
 
-        // Save to Cloudinary
-        let cloudinaryUrl = null;
-        let cloudinaryPublicId = null;
-        let savedImageId = null;
-        
-        if (hasCloudinary && result.imageBase64) {
-          try {
-            const uploadResult = await cloudinary.uploader.upload(
-              `data:${result.mimeType};base64,${result.imageBase64}`,
-              {
-                folder: 'goblina-scene-images',
-                resource_type: 'image'
-              }
-            );
-            cloudinaryUrl = uploadResult.secure_url;
-            cloudinaryPublicId = uploadResult.public_id;
-
-            // Auto-save to database if configured
-            if (hasDatabase) {
-              try {
-                savedImageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                await db.saveGeneratedImage({
-                  id: savedImageId,
-                  projectId: req.body.projectId || null,
-                  characterId: req.body.characterId || null,
-                  prompt: scene.prompt,
-                  cloudinaryUrl: cloudinaryUrl,
-                  cloudinaryPublicId: cloudinaryPublicId,
-                  aspectRatio: scene.aspectRatio || aspectRatio,
-                  resolution: scene.resolution || resolution,
-                  model: model,
-                  sceneIndex: i,
-                  metadata: {
-                    characterName: characterName,
-                    enhanced: enhancePrompt,
-                    batchIndex: i
-                  }
-                });
-                console.log(`💾 Scene ${i + 1} image saved to database:`, savedImageId);
-              } catch (dbErr) {
-                console.warn(`Failed to save scene ${i + 1} to database:`, dbErr.message);
+      const result = await generateNanoBananaImage({
+        prompt: finalPrompt,
+        aspectRatio: scene.aspectRatio || aspectRatio,
+        resolution: scene.resolution || resolution,
+        referenceImages: sceneReferenceImages,
+        model,
+        referenceCache,
+        requestImages: referenceImages
+      });
+      await recordUsage(req, {
+        provider: 'google',
+        operation: 'image',
+        model,
+        resolution: scene.resolution || resolution,
+        inputTokens: result.usage?.promptTokenCount,
+        outputTokens: result.usage?.candidatesTokenCount,
+        metadata: { batchIndex: i }
+      });
+
+      // Keep the image in storage
+      let cloudinaryUrl = null;
+      let cloudinaryPublicId = null;
+      let savedImageId = null;
+      
+      if (result.imageBase64) {
+        try {
+          const uploadResult = await storage.uploadImage(Buffer.from(result.imageBase64, 'base64'), {
+            folder: 'goblina-scene-images',
+            contentType: result.mimeType
+          });
+          cloudinaryUrl = uploadResult.url;
+          cloudinaryPublicId = uploadResult.publicId;
+
+          // Auto-save to database if configured
+          if (hasDatabase) {
+            try {
+              savedImageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+              await db.saveGeneratedImage({
+                id: savedImageId,
+                projectId: req.body.projectId || null,
+                characterId: req.body.characterId || null,
+                prompt: scene.prompt,
+                cloudinaryUrl: cloudinaryUrl,
+                cloudinaryPublicId: cloudinaryPublicId,
+                storageBackend: storage.name,
+                aspectRatio: scene.aspectRatio || aspectRatio,
+                resolution: scene.resolution || resolution,
+                model: model,
+                sceneIndex: i,
+                sceneId: scene.sceneId || null,
+                createdBy: req.user?.id || null,
+                experimentAssignmentId: experiment?.assignmentId || null,
+                metadata: {
+                  characterName: characterName,
+                  enhanced: enhancePrompt,
+                  batchIndex: i
+                }
+              });
+              if (scene.sceneId) {
+                await db.setDefaultScenePreview(scene.sceneId, savedImageId);
               }
+              console.log(`💾 Scene ${i + 1} image saved to database:`, savedImageId);
+            } catch (dbErr) {
+              console.warn(`Failed to save scene ${i + 1} to database:`, dbErr.message);
             }
-          } catch (uploadErr) {
-            console.warn(`Failed to save scene ${i + 1} to Cloudinary:`, uploadErr.message);
           }
+        } catch (uploadErr) {
+          console.warn(`Failed to save scene ${i + 1} to storage:`, uploadErr.message);
         }
-
-        results.push({
-          index: i,
-          success: true,
-          imageBase64: result.imageBase64,
-          mimeType: result.mimeType,
-          imageUrl: cloudinaryUrl,
-          imageId: savedImageId,
-          text: result.text
-        });
-      } catch (sceneErr) {
-        console.error(`Scene ${i + 1} generation failed:`, sceneErr.message);
-        results.push({
-          index: i,
-          success: false,
-          error: sceneErr.message
-        });
       }
 
-      // Small delay between generations to avoid rate limiting
-      if (i < scenes.length - 1) {
-        await new Promise(resolve => setTimeout(resolve, 500));
+      return {
+        index: i,
+        success: true,
+        imageBase64: result.imageBase64,
+        mimeType: result.mimeType,
+        imageUrl: cloudinaryUrl,
+        imageId: savedImageId,
+        text: result.text
+      };
+    };
+
+    // Scenes run in parallel; a 429 slows the whole batch down and retries the scene
+    const outcomes = await runAdaptivePool(scenes.length, generateScene, {
+      concurrency: Math.min(Math.max(parseInt(req.body.concurrency, 10) || IMAGE_BATCH_CONCURRENCY, 1), IMAGE_BATCH_CONCURRENCY),
+      maxRetries: IMAGE_RATE_LIMIT_RETRIES,
+      backoffMs: IMAGE_RATE_LIMIT_BACKOFF_MS,
+      // Closing the progress stream cancels the scenes that haven't started
+      shouldStop: () => !!exceededBudget || !!stream?.closed,
+      onResult: (i, outcome) => {
+        if (!outcome.ok) {
+          console.error(`Scene ${i + 1} generation failed:`, outcome.error.message);
+        }
+        results[i] = outcome.ok ? outcome.value : { index: i, success: false, error: outcome.error.message };
+        stream?.send('scene', results[i]);
+      },
+      onRateLimit: ({ index, attempt, delayMs, concurrency }) => {
+        console.warn(`⏳ Rate limited on scene ${index + 1} - retry ${attempt} in ${Math.round(delayMs / 1000)}s, ${concurrency} scene(s) at a time`);
+        stream?.send('throttled', { index, attempt, delayMs, concurrency });
       }
+    });
+
+    const notStarted = outcomes.filter(outcome => !outcome).length;
+    if (notStarted && exceededBudget) {
+      console.warn(`💰 Budget exceeded - skipping remaining ${notStarted} scene(s)`);
+      outcomes.forEach((outcome, i) => {
+        if (outcome) return;
+        results[i] = { index: i, success: false, error: budgetExceededResponse(exceededBudget).message };
+        stream?.send('scene', results[i]);
+      });
+    } else if (notStarted) {
+      console.log(`🛑 Batch cancelled by the client with ${notStarted}/${scenes.length} scenes not started`);
     }
+    const cancelled = !exceededBudget && notStarted > 0;
+    const finished = results.filter(Boolean);
 
-    const successCount = results.filter(r => r.success).length;
+    const successCount = finished.filter(r => r.success).length;
     console.log(`🍌 Batch complete: ${successCount}/${scenes.length} images generated`);
 
-    res.json({
+    const summary = {
       success: successCount > 0,
       totalScenes: scenes.length,
       successCount,
-      failedCount: scenes.length - successCount,
-      results,
+      failedCount: finished.length - successCount,
+      cancelled,
+      experiment: experimentInfo(experiment),
       model,
       aspectRatio,
       resolution
-    });
+    };
+
+    // Streamed scenes were already sent one by one
+    if (stream) {
+      stream.send('done', summary);
+      return stream.end();
+    }
+    res.json({ ...summary, results: finished });
 
   } catch (err) {
+    if (stream) {
+      return failEventStream(stream, 'Failed to generate images', err);
+    }
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
     console.error('Batch image generation error:', err);
     res.status(500).json({ 
       error: 'Failed to generate images', 
@@ -1355,7 +2693,8 @@ app.post('/api/images/generate-batch', async (req, res) => {
 app.get('/api/images/status', (req, res) => {
   res.json({
     available: hasGoogleAI,
-    cloudinaryEnabled: hasCloudinary,
+    cloudinaryEnabled: storage.name === 'cloudinary',
+    storageBackend: storage.name,
     models: {
       fast: 'gemini-2.5-flash-image',
       advanced: 'gemini-3-pro-image-preview'
@@ -1437,182 +2776,61 @@ const STRUCTURED_PROMPT_SCHEMA = {
  * Generates a detailed structured JSON prompt from a topic/idea
  * This matches the level of detail in Example JSON prompt.json
  */
-app.post('/api/prompts/structured', async (req, res) => {
+app.post('/api/prompts/structured', requireRole(...GENERATION_ROLES), enforceBudget, async (req, res) => {
   try {
     // Check if OpenAI is configured
     if (!openai) {
       return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
     }
 
-    const { 
-      topic, 
-      characterStyleGuide, 
-      personalityPreset = 'genz-meme',
-      includeSecondCharacter = false,
-      secondCharacterDescription = null
-    } = req.body;
+    // characterStyleGuide, personalityPreset, includeSecondCharacter/secondCharacterDescription
+    // and cast/projectId feed the template
+    const { topic } = req.body;
 
     if (!topic) {
       return res.status(400).json({ error: 'Topic is required' });
     }
 
-    const personality = PERSONALITY_PRESETS[personalityPreset] || PERSONALITY_PRESETS['genz-meme'];
-
-    // Build detailed system prompt for structured JSON generation
-    const systemPrompt = `You are an expert video prompt engineer for AI video generation (Sora 2). 
-Your task is to create EXTREMELY DETAILED structured JSON prompts.
-
-CHARACTER STYLE GUIDE (if provided):
-${characterStyleGuide ? JSON.stringify(characterStyleGuide, null, 2) : 'Default: Ms. Goblina - green-skinned goblin woman, 3D Pixar-like cartoon style, casual hoodie, gold bangles'}
-
-PERSONALITY CONFIG:
-- Tone: ${personality.tone}
-- Pacing: ${personality.pacing}
-- Emotion: ${personality.emotion}
-- Vibe: ${personality.vibe}
-- Camera Style: ${personality.cameraStyle}
-- Shot Preference: ${personality.shotPreference}
-
-${includeSecondCharacter && secondCharacterDescription ? `SECOND CHARACTER: ${secondCharacterDescription}` : ''}
-
-Generate a DETAILED structured JSON prompt following this EXACT schema:
+    const prompt = await prepareTemplatedPrompt('structured', req);
 
-{
-  "subject": {
-    "description": "Full description of the main character and what they're doing in the scene",
-    "character_name": "Ms. Goblina",
-    "character_type": "3d_animated",
-    "age": "young adult (20s-30s)",
-    "expression": "Specific facial expression (e.g., 'eyes widening dramatically, jaw dropping, scrunched nose')",
-    "pose": "Body positioning and gesture",
-    "action": "Specific action being performed",
-    "dialogue": "Exact spoken words if any (keep short and punchy for memes)",
-    "body": {
-      "skin_tone": "green-skinned",
-      "build": "petite/average"
-    },
-    "hair": {
-      "color": "specific color",
-      "style": "specific style (e.g., 'messy bun with loose strands')"
-    },
-    "clothing": {
-      "top": {
-        "type": "specific garment type (e.g., 'oversized hoodie', 'cropped tank')",
-        "color": "specific color",
-        "details": "specific details (e.g., 'hood up, sleeves pulled over hands')"
-      },
-      "bottom": {
-        "type": "specific garment",
-        "color": "specific color",
-        "details": "specific details"
-      }
-    },
-    "face": {
-      "preserve_original": true,
-      "features": "Any notable facial features to emphasize"
-    }
-  },
-  "accessories": {
-    "jewelry": {
-      "earrings": "specific jewelry (e.g., 'large gold hoop earrings')",
-      "necklace": "specific necklace",
-      "wrist": "specific wrist items (e.g., 'gold bangles and bracelets mixed')",
-      "rings": "ring details"
-    },
-    "device": {
-      "type": "device type if relevant (e.g., 'laptop', 'smartphone')",
-      "details": "device specifics",
-      "screen_content": "what's on screen if visible (e.g., 'Slack message saying Quick question')"
-    },
-    "prop": {
-      "type": "any prop character interacts with",
-      "details": "prop specifics"
-    }
-  },
-  "second_character": ${includeSecondCharacter ? `{
-    "description": "Full description of second character",
-    "role": "their role (e.g., 'manager', 'boyfriend')",
-    "action": "what they're doing",
-    "speaks": false,
-    "reaction": "their reaction (e.g., 'startled expression, brief blink, silent eye-roll')"
-  }` : 'null'},
-  "photography": {
-    "camera_style": "specific style (e.g., 'smartphone_selfie', 'cinematic', 'documentary')",
-    "angle": "specific angle (e.g., 'eye-level', 'low angle looking up', 'over-the-shoulder')",
-    "shot_type": "specific shot (e.g., 'medium_close', 'close_up', 'two_shot')",
-    "shot_composition": "framing details (e.g., 'subject positioned right of frame, negative space left')",
-    "camera_movement": "specific movement (e.g., 'push_in from medium to close-up during dialogue', 'static', 'slight handheld shake')",
-    "aspect_ratio": "9:16",
-    "texture": "visual quality (e.g., 'sharp focus, clean details, social media aesthetic')",
-    "visual_style": "3D cartoon, Pixar-like, vibrant colors, clean lines"
-  },
-  "background": {
-    "setting": "specific location (e.g., 'dim open-plan office', 'cozy bedroom', 'office bathroom')",
-    "setting_details": "more specifics about the location",
-    "elements": [
-      "list of specific background elements",
-      "e.g., 'laptop on desk'",
-      "e.g., 'fluorescent lights overhead'",
-      "e.g., 'coworkers blurred in background'"
-    ],
-    "atmosphere": "mood (e.g., 'corporate casual', 'cozy intimate', 'chaotic')",
-    "lighting": "specific lighting (e.g., 'fluorescent office lighting, soft shadows', 'warm golden hour through window')"
-  },
-  "video_specific": {
-    "duration_seconds": 6-15,
-    "pacing": "fast/moderate/slow",
-    "motion_intensity": "minimal/moderate/dynamic",
-    "text_overlay": "on-screen text/caption if any (the punchline)",
-    "text_position": "where text appears"
-  },
-  "negative_prompt": [
-    "things to explicitly avoid",
-    "e.g., 'no extra characters'",
-    "e.g., 'no blurry faces'",
-    "e.g., 'no second voice if second character present'"
-  ],
-  "sora_prompt_text": "The FULL text prompt to send to Sora, combining ALL the above details into a coherent paragraph. Include character description, action, dialogue, camera work, lighting, and style."
-}
-
-IMPORTANT RULES:
-1. Be EXTREMELY specific - vague prompts produce poor results
-2. For Ms. Goblina, ALWAYS include: green skin, 3D cartoon/Pixar style, gold bangles
-3. For office scenes: include fluorescent lighting, desk, laptop
-4. For meme content: keep dialogue SHORT and PUNCHY (under 10 words ideal)
-5. Camera work should match the ${personality.cameraStyle} style
-6. Pacing should be ${personality.pacing}
-7. Include negative prompts to avoid common AI mistakes
-8. The sora_prompt_text should be a COMPLETE, ready-to-use prompt`;
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4.1',
+    const { value: structuredPrompt, attempts, fixes } = await createValidatedJsonCompletion(req, 'structured', {
+      model: prompt.template.model || 'gpt-4.1',
       messages: [
         {
           role: 'system',
-          content: systemPrompt
+          content: prompt.system
         },
         {
           role: 'user',
-          content: `Create a detailed structured prompt for this meme/content idea: "${topic}"
-          
-Make sure the prompt captures the Gen Z relatable vibe and includes specific visual details that will make this content engaging for Instagram Reels.
-
-IMPORTANT: Respond with valid JSON only.`
+          content: prompt.user
         }
       ],
-      max_tokens: 3000,
+      max_tokens: prompt.template.maxTokens || 3000,
       response_format: { type: 'json_object' }
+    }, {
+      metadata: {
+        promptTemplate: 'structured',
+        promptTemplateVersion: prompt.template.version,
+        ...(prompt.experiment && { experimentId: prompt.experiment.experimentId, variant: prompt.experiment.variant.key })
+      }
     });
 
-    const structuredPrompt = JSON.parse(response.choices[0].message.content);
-
     res.json({
       success: true,
       structuredPrompt,
       // Also provide a flattened text version for direct Sora use
-      soraPrompt: structuredPrompt.sora_prompt_text || flattenPromptToText(structuredPrompt)
+      soraPrompt: structuredPrompt.sora_prompt_text || flattenPromptToText(structuredPrompt),
+      promptTemplate: promptTemplateInfo(prompt.template),
+      experiment: experimentInfo(prompt.experiment),
+      validation: { attempts, repairs: fixes }
     });
   } catch (err) {
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.validationErrors) {
+      return res.status(502).json({ error: err.message, validationErrors: err.validationErrors });
+    }
     console.error('Structured prompt generation error:', err);
     res.status(500).json({ error: 'Failed to generate structured prompt', details: err.message });
   }
@@ -1643,6 +2861,16 @@ function flattenPromptToText(prompt) {
     }
   }
   
+  // Cast members besides the subject
+  for (const member of prompt.cast || []) {
+    parts.push(`${member.name}${member.position ? ` (${member.position})` : ''}: ${member.action || ''} ${member.expression || ''}`.trim());
+    if (member.speaks && member.dialogue) {
+      parts.push(`${member.name} says: "${member.dialogue}"`);
+    } else if (member.reaction) {
+      parts.push(`${member.name} does not speak and reacts: ${member.reaction}`);
+    }
+  }
+  
   // Photography
   if (prompt.photography) {
     const p = prompt.photography;
@@ -1671,73 +2899,98 @@ function flattenPromptToText(prompt) {
 
 /**
  * Takes a story/narrative and breaks it into scenes with prompts
+ * With projectId and saveScenes: true the scenes replace the project's storyboard
+ * (each scene in the response gets its sceneId)
+ * With stream: true each scene is sent as soon as the model has written it
+ * (Server-Sent Events: start, scene, retry, done, error)
  */
-app.post('/api/storyboard', async (req, res) => {
+app.post('/api/storyboard', requireRole(...GENERATION_ROLES), enforceBudget, async (req, res) => {
+  let stream = null;
   try {
     // Check if OpenAI is configured
     if (!openai) {
       return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
     }
 
-    const { story, characterStyleGuide, personalityPreset = 'genz-meme', targetDuration = 15 } = req.body;
+    // characterStyleGuide, personalityPreset, targetDuration and cast/projectId feed the template
+    const { story } = req.body;
 
     if (!story) {
       return res.status(400).json({ error: 'Story is required' });
     }
 
-    const personality = PERSONALITY_PRESETS[personalityPreset] || PERSONALITY_PRESETS['genz-meme'];
-
-    const systemPrompt = `You are an AI video director. Break down stories into scenes for video generation.
+    const saveScenes = hasDatabase && req.body.saveScenes && req.body.projectId;
+    if (saveScenes && !(await db.getProject(req.body.projectId))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
 
-Character Style: ${JSON.stringify(characterStyleGuide?.character || {})}
-Personality: ${personality.description}
-Target Duration: ${targetDuration} seconds
-Camera Style: ${personality.cameraStyle}
-Shot Preference: ${personality.shotPreference}
+    const prompt = await prepareTemplatedPrompt('storyboard', req);
 
-Break the story into scenes. Each scene should:
-- Be 3-8 seconds long
-- Have clear visual action
-- Maintain character consistency
-- Include detailed Sora prompt with character description, action, camera movement, lighting
+    if (wantsEventStream(req)) {
+      stream = openEventStream(res);
+      stream.send('start', { promptTemplate: promptTemplateInfo(prompt.template), experiment: experimentInfo(prompt.experiment) });
+    }
 
-Return JSON:
-{
-  "scenes": [
-    {
-      "order": 1,
-      "description": "What happens",
-      "duration": 5,
-      "prompt": "Detailed Sora prompt with character style, action, camera, lighting",
-      "dialogue": "Optional spoken words",
-      "textOverlay": "Optional text to display"
-    }
-  ],
-  "totalDuration": 15
-}`;
-
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4.1',
+    const { value: storyboard, attempts, fixes } = await createValidatedJsonCompletion(req, 'storyboard', {
+      model: prompt.template.model || 'gpt-4.1',
       messages: [
         {
           role: 'system',
-          content: systemPrompt
+          content: prompt.system
         },
         {
           role: 'user',
-          content: `${story}
-
-IMPORTANT: Respond with valid JSON only.`
+          content: prompt.user
         }
       ],
-      max_tokens: 2500,
+      max_tokens: prompt.template.maxTokens || 2500,
       response_format: { type: 'json_object' }
+    }, {
+      metadata: {
+        promptTemplate: 'storyboard',
+        promptTemplateVersion: prompt.template.version,
+        ...(prompt.experiment && { experimentId: prompt.experiment.experimentId, variant: prompt.experiment.variant.key })
+      }
+    }, stream && {
+      listField: 'scenes',
+      signal: stream.signal,
+      onItem: (scene, index) => stream.send('scene', { index, scene }),
+      onRetry: retry => stream.send('retry', retry)
     });
 
-    const storyboard = JSON.parse(response.choices[0].message.content);
+    // Save the scenes on the project (replacing its storyboard) so images and takes can point at them
+    if (saveScenes) {
+      const saved = await db.addScenes(
+        req.body.projectId,
+        storyboard.scenes.map(scene => ({ id: `scn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, ...normalizeScene(scene) })),
+        { replace: true, createdBy: req.user?.id || null }
+      );
+      storyboard.scenes = storyboard.scenes.map((scene, i) => ({ ...scene, sceneId: saved[i].id }));
+      console.log(`🎬 Saved ${saved.length} scene(s) to project ${req.body.projectId}`);
+    }
+
+    const response = {
+      ...storyboard,
+      promptTemplate: promptTemplateInfo(prompt.template),
+      experiment: experimentInfo(prompt.experiment),
+      validation: { attempts, repairs: fixes }
+    };
 
-    res.json(storyboard);
+    if (stream) {
+      stream.send('done', response);
+      return stream.end();
+    }
+    res.json(response);
   } catch (err) {
+    if (stream) {
+      return failEventStream(stream, 'Failed to generate storyboard', err);
+    }
+    if (err.status === 400) {
+      return res.status(400).json({ error: err.message });
+    }
+    if (err.validationErrors) {
+      return res.status(502).json({ error: err.message, validationErrors: err.validationErrors });
+    }
     console.error('Storyboard generation error:', err);
     res.status(500).json({ error: 'Failed to generate storyboard', details: err.message });
   }
@@ -1825,7 +3078,7 @@ async function callOpenAIVideoCreate({ prompt, model, seconds, size, imagePath,
 }
 
 // Image upload + generate route (supports file upload OR image URL)
-app.post('/api/generate', upload.single('image'), async (req, res) => {
+app.post('/api/generate', requireRole(...GENERATION_ROLES), enforceBudget, upload.single('image'), async (req, res) => {
   let processedImagePath = null;
   let tempImagePath = null; // For URL-fetched images
   try {
@@ -1834,12 +3087,30 @@ app.post('/api/generate', upload.single('image'), async (req, res) => {
       return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
     }
 
-    const { prompt, model, seconds, size, imageUrl } = req.body;
+    const { prompt, model, seconds, size } = req.body;
     const file = req.file;
+    let { imageUrl } = req.body;
+
+    // The character version this job uses (the project's pinned one, or the latest)
+    const character = await loadGenerationCharacter(req.body.characterId, req.body.projectId);
 
-    // Either file upload or imageUrl is required
+    // Without an explicit image, use the character reference that best fits the scene
+    if (!file && !imageUrl && req.body.characterId) {
+      const characterReferences = await loadCharacterReferences(req.body.characterId, { projectId: req.body.projectId });
+      const sceneText = `${prompt || ''} ${typeof req.body.structuredPrompt === 'string' ? req.body.structuredPrompt : JSON.stringify(req.body.structuredPrompt || {})}`;
+      [imageUrl] = pickReferenceImages(characterReferences, sceneText, 1);
+    }
+
+    // Either file upload, imageUrl or a character with reference images is required
     if (!file && !imageUrl) {
-      return res.status(400).json({ error: 'Image file or image URL is required.' });
+      return res.status(400).json({ error: 'Image file, image URL or a characterId with reference images is required.' });
+    }
+    if (!file && req.body.imageUrl) {
+      try {
+        await assertImageUrl(req.body.imageUrl);
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
     }
 
     let imagePath, imageMimeType, imageOriginalName;
@@ -1850,17 +3121,11 @@ app.post('/api/generate', upload.single('image'), async (req, res) => {
       imageMimeType = file.mimetype;
       imageOriginalName = file.originalname;
     } else if (imageUrl) {
-      // Fetch image from URL (e.g., Cloudinary)
+      // Fetch image from URL (e.g., Cloudinary or local storage)
       try {
-        const imageResponse = await fetch(imageUrl);
-        if (!imageResponse.ok) {
-          throw new Error(`Failed to fetch image: ${imageResponse.status}`);
-        }
-        
-        const imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
+        const { buffer: imageBuffer, contentType } = await fetchAsset(imageUrl, { publicOnly: imageUrl === req.body.imageUrl });
         
         // Determine mime type from URL or response
-        const contentType = imageResponse.headers.get('content-type') || 'image/jpeg';
         const extension = contentType.includes('png') ? 'png' : contentType.includes('webp') ? 'webp' : 'jpg';
         
         tempImagePath = path.join('uploads', `fetched_${Date.now()}.${extension}`);
@@ -1929,14 +3194,34 @@ app.post('/api/generate', upload.single('image'), async (req, res) => {
           req.body.projectId || null,
           videoJob.id,
           prompt,
-          req.body.structuredPrompt || null
+          req.body.structuredPrompt || null,
+          req.user?.id || null,
+          req.body.promptTemplateVersionId || null,
+          character ? { characterId: character.id, characterVersion: character.version } : {}
         );
+        const assignment = await requestExperimentAssignment(req);
+        if (assignment) {
+          await db.linkVideoToExperiment(savedVideoId, assignment.id);
+        }
+        if (req.body.sceneId) {
+          await db.linkVideoToScene(savedVideoId, req.body.sceneId);
+        }
         console.log('💾 Video job saved to database:', savedVideoId, '-> Sora:', videoJob.id);
       } catch (dbErr) {
         console.warn('Failed to save video to database:', dbErr.message);
       }
     }
 
+    await recordUsage(req, {
+      provider: 'openai',
+      operation: 'video',
+      model: videoJob.model || model || 'sora-2',
+      seconds: Number(videoJob.seconds || seconds || 8),
+      resolution: videoJob.size || targetSize,
+      videoId: savedVideoId,
+      externalId: videoJob.id
+    });
+
     // Clean up uploaded files asynchronously
     if (file?.path) fs.unlink(file.path, () => {});
     if (tempImagePath) fs.unlink(tempImagePath, () => {});
@@ -1960,116 +3245,340 @@ app.post('/api/generate', upload.single('image'), async (req, res) => {
   }
 });
 
-// Poll status for a given video id with retry logic
-app.get('/api/status/:id', async (req, res) => {
-  // Check if OpenAI is configured
-  if (!hasOpenAI) {
-    return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
-  }
+// ==========================================
+// BACKGROUND JOB RUNNER (Sora polling)
+// ==========================================
 
-  const { id } = req.params;
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 10000;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 8;
+const JOB_MAX_BACKOFF_MS = 5 * 60 * 1000;
+const JOB_BATCH_SIZE = 10;
+
+let jobRunnerTimer = null;
+let jobRunnerBusy = false;
+let jobRunnerLastTick = null;
+
+/**
+ * Retrieve a Sora video job, retrying server and network errors
+ * Errors worth retrying later are flagged with err.retryable = true
+ * @param {string} soraJobId - Sora video job ID
+ * @returns {Promise<object>} - Sora job JSON (status, progress, ...)
+ */
+async function retrieveSoraVideo(soraJobId) {
   const maxRetries = 3;
   let lastError = null;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
-  try {
-    const response = await fetch(`https://api.openai.com/v1/videos/${id}`, {
-      headers: {
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+    try {
+      const response = await fetch(`https://api.openai.com/v1/videos/${soraJobId}`, {
+        headers: {
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+        }
+      });
+
+      if (response.ok) {
+        return await response.json();
       }
-    });
 
-    if (!response.ok) {
       const errorText = await response.text();
-        const errorData = JSON.parse(errorText);
-        
-        // If it's a 500 error, retry
-        if (response.status === 500 || response.status === 502 || response.status === 503) {
-          lastError = new Error(`OpenAI server error (${response.status}), attempt ${attempt}/${maxRetries}`);
-          console.warn(`Attempt ${attempt}/${maxRetries} failed:`, errorData.error?.message || errorText);
-          
-          if (attempt < maxRetries) {
-            // Wait before retrying (exponential backoff)
-            await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-            continue;
-          }
-        }
-        
-      throw new Error(`OpenAI video retrieve failed (${response.status}): ${errorText}`);
-    }
+      const err = new Error(`OpenAI video retrieve failed (${response.status}): ${errorText}`);
+      err.status = response.status;
 
-    const json = await response.json();
-      
-      // Auto-update video status in database when completed
-      if (hasDatabase && json.status === 'completed' && json.url) {
-        try {
-          await db.updateVideoStatus(id, 'completed', json.url);
-          console.log('💾 Video status updated in database:', id, '-> completed with URL');
-        } catch (dbErr) {
-          console.warn('Failed to update video status in database:', dbErr.message);
-        }
-      } else if (hasDatabase && json.status === 'failed') {
-        try {
-          await db.updateVideoStatus(id, 'failed');
-          console.log('💾 Video status updated in database:', id, '-> failed');
-        } catch (dbErr) {
-          console.warn('Failed to update video status in database:', dbErr.message);
-        }
+      // Server errors and rate limits are temporary
+      err.retryable = [429, 500, 502, 503, 504].includes(response.status);
+      if (!err.retryable) {
+        throw err;
       }
-      
-      return res.json(json);
-  } catch (err) {
       lastError = err;
-      
-      // If network error or temporary issue, retry
-      if (attempt < maxRetries && (err.code === 'ECONNRESET' || err.code === 'ETIMEDOUT')) {
-        console.warn(`Network error on attempt ${attempt}/${maxRetries}, retrying...`);
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-        continue;
-      }
-      
-      // If it's the last attempt or a non-retryable error, fail
-      if (attempt === maxRetries) {
-        console.error('All retry attempts failed:', err);
-        return res.status(500).json({ 
-          error: 'Failed to retrieve video status after multiple attempts',
-          details: err.message,
-          retryable: true,
-          suggestion: 'OpenAI servers may be experiencing issues. Please try again in a few moments.'
-        });
+      console.warn(`Attempt ${attempt}/${maxRetries} failed:`, err.message);
+    } catch (err) {
+      if (err.status) {
+        throw err;
       }
+      // Network error (ECONNRESET, ETIMEDOUT...)
+      err.retryable = true;
+      lastError = err;
+      console.warn(`Network error on attempt ${attempt}/${maxRetries}:`, err.message);
+    }
+
+    if (attempt < maxRetries) {
+      // Wait before retrying (exponential backoff)
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
     }
   }
 
-  // Fallback if loop exits without returning
-  res.status(500).json({ 
-    error: 'Failed to retrieve video status',
-    details: lastError?.message || 'Unknown error',
-    retryable: true
-  });
-});
+  throw lastError;
+}
 
-// Download / stream completed video
-app.get('/api/download/:id', async (req, res) => {
+/**
+ * Store the state of a Sora job on its videos row
+ * @param {string} id - Video ID or Sora job ID
+ * @param {object} job - Sora job JSON
+ * @returns {Promise<object|undefined>} - Updated video record
+ */
+async function applySoraJobState(id, job) {
+  if (job.status === 'completed') {
+    const video = await db.updateVideoStatus(id, 'completed', job.url || null);
+    console.log('💾 Video status updated in database:', id, '-> completed');
+
+    // Keep a permanent copy before the Sora URL expires (runs in the background)
+    if (video && !video.archived_at) {
+      archiveVideo(video);
+    }
+
+    // Check the character still looks right (runs in the background)
+    if (video && video.consistency_score === null && !checkingConsistency.has(video.id)) {
+      checkingConsistency.add(video.id);
+      checkVideoConsistency(video).finally(() => checkingConsistency.delete(video.id));
+    }
+    return video;
+  }
+
+  if (job.status === 'failed') {
+    const video = await db.updateVideoStatus(id, 'failed', null, job.error?.message || 'Sora job failed');
+    console.log('💾 Video status updated in database:', id, '-> failed');
+    return video;
+  }
+
+  return db.updateVideoJobProgress(id, job.status, job.progress ?? null, JOB_POLL_INTERVAL_MS);
+}
+
+/**
+ * Poll one Sora job and record the result (or schedule a retry)
+ * @param {object} video - Row from the videos table
+ */
+async function pollVideoJob(video) {
+  try {
+    const job = await retrieveSoraVideo(video.sora_job_id);
+    await applySoraJobState(video.id, job);
+  } catch (err) {
+    const attempts = (video.attempts || 0) + 1;
+
+    if (!err.retryable || attempts >= JOB_MAX_ATTEMPTS) {
+      console.error(`❌ Giving up on video job ${video.id} after ${attempts} attempt(s):`, err.message);
+      await db.recordVideoJobError(video.id, err.message, 0);
+      await db.updateVideoStatus(video.id, 'failed', null, err.message);
+      return;
+    }
+
+    const retryDelay = Math.min(JOB_POLL_INTERVAL_MS * 2 ** attempts, JOB_MAX_BACKOFF_MS);
+    console.warn(`⏳ Video job ${video.id} poll failed (attempt ${attempts}/${JOB_MAX_ATTEMPTS}), retrying in ${Math.round(retryDelay / 1000)}s`);
+    await db.recordVideoJobError(video.id, err.message, retryDelay);
+  }
+}
+
+/**
+ * Poll every job that is due, then schedule the next tick
+ */
+async function runJobRunnerTick() {
+  if (jobRunnerBusy) return;
+  jobRunnerBusy = true;
+
+  try {
+    const dueJobs = await db.listDueVideoJobs(JOB_BATCH_SIZE);
+    for (const video of dueJobs) {
+      await pollVideoJob(video);
+    }
+  } catch (err) {
+    console.error('Job runner error:', err);
+  } finally {
+    jobRunnerBusy = false;
+    jobRunnerLastTick = new Date();
+  }
+}
+
+/**
+ * Start polling Sora jobs stored in the videos table
+ * Unfinished jobs from before a restart are picked up on the first tick
+ */
+function startJobRunner() {
+  if (jobRunnerTimer) return;
+
+  console.log(`⚙️ Job runner started (polling every ${JOB_POLL_INTERVAL_MS / 1000}s)`);
+  runJobRunnerTick();
+  jobRunnerTimer = setInterval(runJobRunnerTick, JOB_POLL_INTERVAL_MS);
+}
+
+// ==========================================
+// AUTOMATIC ARCHIVAL (Sora -> storage)
+// ==========================================
+
+// Sora deletes generated videos after about a day
+const SORA_VIDEO_TTL_HOURS = parseInt(process.env.SORA_VIDEO_TTL_HOURS, 10) || 24;
+const ARCHIVE_SWEEP_INTERVAL_MS = parseInt(process.env.ARCHIVE_SWEEP_INTERVAL_MS, 10) || 10 * 60 * 1000;
+const ARCHIVE_MAX_ATTEMPTS = 5;
+
+// Videos currently being archived (the completion hook and the sweeper can race)
+const archivingVideos = new Set();
+
+// Videos whose consistency check is running (status polls can repeat the completion hook)
+const checkingConsistency = new Set();
+let archiveSweeperTimer = null;
+
+/**
+ * Download a video and put a copy in storage
+ * @param {object} video - Row from the videos table (or { id, sora_job_id })
+ * @returns {Promise<object>} - Storage upload result
+ */
+async function storeVideoCopy(video) {
+  const tempPath = path.join(uploadsDir, `archive_${video.id}.mp4`);
+  try {
+    await downloadVideoToFile(video, tempPath);
+    return await storage.uploadVideo(tempPath, { folder: 'goblina-videos' });
+  } finally {
+    fs.unlink(tempPath, () => {});
+  }
+}
+
+/**
+ * Copy a completed Sora video to storage and record it in the videos table
+ * @param {object} video - Row from the videos table
+ * @returns {Promise<object|null>} - Updated video record or null if it failed
+ */
+async function archiveVideo(video) {
+  if (archivingVideos.has(video.id)) return null;
+  archivingVideos.add(video.id);
+
+  try {
+    const uploaded = await storeVideoCopy(video);
+    const archived = await db.markVideoArchived(video.id, uploaded);
+    console.log(`🗄️ Video archived (${uploaded.backend}):`, video.id, '->', uploaded.url);
+    return archived;
+  } catch (err) {
+    console.error(`Failed to archive video ${video.id}:`, err.message);
+    await db.recordVideoArchiveError(video.id, err.message).catch(() => {});
+    return null;
+  } finally {
+    archivingVideos.delete(video.id);
+  }
+}
+
+/**
+ * Retry archival of completed videos that are not archived yet
+ */
+async function runArchiveSweep() {
+  try {
+    const videos = await db.listVideosToArchive({
+      expiryHours: SORA_VIDEO_TTL_HOURS,
+      maxAttempts: ARCHIVE_MAX_ATTEMPTS
+    });
+    if (videos.length) {
+      console.log(`🗄️ Archive sweep: ${videos.length} video(s) to archive`);
+    }
+    for (const video of videos) {
+      await archiveVideo(video);
+    }
+  } catch (err) {
+    console.error('Archive sweep error:', err);
+  }
+}
+
+/**
+ * Start the periodic archive sweeper
+ */
+function startArchiveSweeper() {
+  if (archiveSweeperTimer) return;
+
+  console.log(`🗄️ Archive sweeper started (every ${ARCHIVE_SWEEP_INTERVAL_MS / 60000} min)`);
+  runArchiveSweep();
+  archiveSweeperTimer = setInterval(runArchiveSweep, ARCHIVE_SWEEP_INTERVAL_MS);
+}
+
+// Poll status for a given video id (jobs tracked in the database are synced too)
+app.get('/api/status/:id', async (req, res) => {
   // Check if OpenAI is configured
   if (!hasOpenAI) {
     return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
   }
 
+  const { id } = req.params;
+
   try {
-    const { id } = req.params;
-    const variant = req.query.variant || 'video';
+    const json = await retrieveSoraVideo(id);
 
-    const response = await fetch(`https://api.openai.com/v1/videos/${id}/content?variant=${variant}`, {
-      headers: {
-        Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
+    if (hasDatabase) {
+      try {
+        const video = await db.getVideo(id);
+        if (video) {
+          await applySoraJobState(video.id, json);
+        }
+      } catch (dbErr) {
+        console.warn('Failed to update video status in database:', dbErr.message);
       }
+    }
+
+    res.json(json);
+  } catch (err) {
+    console.error('Failed to retrieve video status:', err);
+    res.status(500).json({
+      error: 'Failed to retrieve video status after multiple attempts',
+      details: err.message,
+      retryable: !!err.retryable,
+      suggestion: err.retryable ? 'OpenAI servers may be experiencing issues. Please try again in a few moments.' : undefined
     });
+  }
+});
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenAI video download failed (${response.status}): ${errorText}`);
+/**
+ * Fetch the content of a Sora video job
+ * @param {string} soraJobId - Sora video job ID
+ * @param {string} variant - Content variant (video, thumbnail, spritesheet)
+ * @returns {Promise<Response>} - OK fetch response with the content as body
+ */
+async function fetchSoraVideoContent(soraJobId, variant = 'video') {
+  const response = await fetch(`https://api.openai.com/v1/videos/${soraJobId}/content?variant=${variant}`, {
+    headers: {
+      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`
     }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`OpenAI video download failed (${response.status}): ${errorText}`);
+  }
+
+  return response;
+}
+
+/**
+ * Download a video record to a local file
+ * Sora jobs are downloaded like /api/download/:id, anything else from its stored URL (any storage backend)
+ * @param {object} video - Row from the videos table
+ * @param {string} destPath - Local file path to write
+ */
+async function downloadVideoToFile(video, destPath) {
+  let response;
+  if (video.sora_job_id) {
+    response = await fetchSoraVideoContent(video.sora_job_id);
+  } else if (video.video_url) {
+    const { buffer } = await fetchAsset(video.video_url);
+    fs.writeFileSync(destPath, buffer);
+    return;
+  } else {
+    throw new Error(`Video ${video.id} has no Sora job or URL to download from`);
+  }
+
+  await new Promise((resolve, reject) => {
+    const fileStream = fs.createWriteStream(destPath);
+    response.body.pipe(fileStream);
+    response.body.on('error', reject);
+    fileStream.on('finish', resolve);
+    fileStream.on('error', reject);
+  });
+}
+
+// Download / stream completed video
+app.get('/api/download/:id', async (req, res) => {
+  // Check if OpenAI is configured
+  if (!hasOpenAI) {
+    return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
+  }
+
+  try {
+    const { id } = req.params;
+    const variant = req.query.variant || 'video';
+
+    const response = await fetchSoraVideoContent(id, variant);
 
     // Pipe headers
     res.setHeader('Content-Type', response.headers.get('content-type') || 'video/mp4');
@@ -2083,7 +3592,7 @@ app.get('/api/download/:id', async (req, res) => {
 });
 
 // Remix an existing video
-app.post('/api/remix', async (req, res) => {
+app.post('/api/remix', requireRole(...GENERATION_ROLES), enforceBudget, async (req, res) => {
   // Check if OpenAI is configured
   if (!hasOpenAI) {
     return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
@@ -2095,7 +3604,11 @@ app.post('/api/remix', async (req, res) => {
       return res.status(400).json({ error: 'videoId and prompt are required for remix.' });
     }
 
-    const response = await fetch(`https://api.openai.com/v1/videos/${videoId}/remix`, {
+    // videoId can be our ID or the Sora job ID
+    const sourceVideo = hasDatabase ? await db.getVideo(videoId).catch(() => null) : null;
+    const soraJobId = sourceVideo?.sora_job_id || videoId;
+
+    const response = await fetch(`https://api.openai.com/v1/videos/${soraJobId}/remix`, {
       method: 'POST',
       headers: {
         Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
@@ -2110,7 +3623,51 @@ app.post('/api/remix', async (req, res) => {
     }
 
     const json = await response.json();
-    res.json(json);
+
+    // The remix is another take of the same scene, tracked by the job runner like any video
+    let savedVideoId = null;
+    if (sourceVideo && json?.id) {
+      try {
+        savedVideoId = `vid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        await db.saveRemixVideo({
+          id: savedVideoId,
+          parent: sourceVideo,
+          soraJobId: json.id,
+          instruction: prompt,
+          sceneId: req.body.sceneId || null,
+          createdBy: req.user?.id || null
+        });
+        console.log('💾 Remix saved to database:', savedVideoId, '<- parent:', sourceVideo.id);
+      } catch (dbErr) {
+        savedVideoId = null;
+        console.warn('Failed to save remix to database:', dbErr.message);
+      }
+    }
+
+    // Remixes are billed like a new generation of the same length
+    await recordUsage(req, {
+      provider: 'openai',
+      operation: 'remix',
+      model: json.model || 'sora-2',
+      seconds: Number(json.seconds || 0),
+      resolution: json.size || null,
+      projectId: req.body.projectId || sourceVideo?.project_id || null,
+      videoId: savedVideoId,
+      externalId: json.id,
+      metadata: { sourceSoraJobId: soraJobId }
+    });
+
+    // A remix means the original wasn't good enough
+    if (sourceVideo?.experiment_assignment_id) {
+      await db.addExperimentRegenerations(sourceVideo.experiment_assignment_id)
+        .catch(err => console.warn('Failed to count remix for experiment:', err.message));
+    }
+
+    res.json({
+      ...json,
+      savedVideoId,
+      parentVideoId: sourceVideo?.id || null
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Failed to start remix job', details: err.message });
@@ -2137,8 +3694,232 @@ app.get('/api/health', async (req, res) => {
   res.json(health);
 });
 
+/**
+ * Make a video the selected take of a scene
+ * The video must be a finished take of the scene, or a finished video of the same project
+ * (which is then filed under the scene)
+ * @param {object} scene - Row from getScene
+ * @param {string} videoId - Our video ID or the Sora job ID
+ * @returns {Promise<object>} - The video
+ * @throws {Error} - With status 404 (not in the project) or 400 (not completed)
+ */
+async function claimSceneTake(scene, videoId) {
+  const video = await db.getVideo(videoId);
+  if (!video || (video.project_id && video.project_id !== scene.project_id)) {
+    const err = new Error('Video not found in this project');
+    err.status = 404;
+    throw err;
+  }
+  if (video.status !== 'completed') {
+    const err = new Error(`Only completed takes can be selected (video is ${video.status})`);
+    err.status = 400;
+    throw err;
+  }
+  if (video.scene_id !== scene.id) {
+    await db.linkVideoToScene(video.id, scene.id);
+  }
+  return video;
+}
+
+/**
+ * The parts of a video shown when comparing takes or walking a remix tree
+ * @param {object} video - Row from the videos table
+ * @returns {object}
+ */
+function describeTake(video) {
+  return {
+    id: video.id,
+    parentVideoId: video.parent_video_id,
+    remixInstruction: video.remix_instruction,
+    status: video.status,
+    url: video.permanent_url || video.video_url,
+    prompt: video.prompt,
+    structuredPrompt: video.structured_prompt,
+    durationSeconds: video.duration_seconds,
+    rating: video.rating,
+    isFavorite: video.is_favorite,
+    consistencyScore: video.consistency_score,
+    createdAt: video.created_at
+  };
+}
+
+/**
+ * On-screen text and dialogue of a video: from its scene, or else from its structured prompt
+ * @param {object} video - Row from the videos table
+ * @returns {Promise<{textOverlay: string|null, textPosition: string|null, dialogue: string|null}>}
+ *   (dialogue is "Name: line", one per line, when the speakers are known)
+ */
+async function videoText(video) {
+  const scene = video.scene_id ? await db.getScene(video.scene_id) : null;
+  const structured = video.structured_prompt || {};
+  const castDialogue = (structured.cast || [])
+    .filter(member => member.dialogue)
+    .map(member => `${member.name}: ${member.dialogue}`)
+    .join('\n');
+
+  return {
+    textOverlay: scene?.text_overlay || structured.video_specific?.text_overlay || null,
+    textPosition: structured.video_specific?.text_position || null,
+    dialogue: scene?.dialogue || castDialogue || structured.subject?.dialogue || null
+  };
+}
+
+/**
+ * Caption styles of the characters that can appear in a video (its project's cast and its character)
+ * @param {object} video - Row from the videos table
+ * @returns {Promise<{byId: Map<string, object>, byName: Map<string, object>}>} - Names are lowercase
+ */
+async function characterCaptionStyles(video) {
+  const characters = video.project_id ? await db.getProjectCast(video.project_id) : [];
+  if (video.character_id && !characters.some(member => member.character_id === video.character_id)) {
+    const character = await db.getCharacter(video.character_id);
+    if (character) characters.push({ ...character, character_id: character.id });
+  }
+
+  const byId = new Map();
+  const byName = new Map();
+  for (const character of characters) {
+    if (!character.caption_style) continue;
+    byId.set(character.character_id, character.caption_style);
+    byName.set(character.name.toLowerCase(), character.caption_style);
+  }
+  return { byId, byName };
+}
+
 // Character persistence endpoints (only if database is configured)
 if (hasDatabase) {
+  // User management (admin only; open until the first user exists)
+  app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+      const users = await db.listUsers();
+      res.json(users);
+    } catch (err) {
+      console.error('Error listing users:', err);
+      res.status(500).json({ error: 'Failed to list users', details: err.message });
+    }
+  });
+
+  // Create or update a user
+  // Until the first account exists, only the holder of the setup token can create it (as an admin)
+  // An update keeps the stored username, name, password and role unless new ones are sent
+  app.post('/api/users/save', requireRole('admin'), async (req, res) => {
+    const firstAccount = !hasUserAccounts;
+    const { id, name, password } = req.body;
+    const role = firstAccount ? 'admin' : (req.body.role || null);
+
+    if (firstAccount && !isSetupToken(req.body.setupToken)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'Creating the first account needs the setupToken printed in the server log at startup'
+      });
+    }
+    if (role && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role: ${role}`, validRoles: USER_ROLES });
+    }
+
+    let existing;
+    try {
+      existing = id ? await db.getUser(id) : null;
+      // Never leave the app without an admin
+      if (existing?.role === 'admin' && role && role !== 'admin') {
+        if (req.user?.id === id) {
+          return res.status(400).json({ error: 'You cannot remove your own admin role' });
+        }
+        if ((await db.countUsers('admin')) <= 1) {
+          return res.status(400).json({ error: 'Cannot remove the role of the last admin' });
+        }
+      }
+    } catch (err) {
+      console.error('Error saving user:', err);
+      return res.status(500).json({ error: 'Failed to save user', details: err.message });
+    }
+
+    const username = req.body.username || existing?.username;
+    if (!username) {
+      return res.status(400).json({ error: 'username is required' });
+    }
+    if (!existing && !password) {
+      return res.status(400).json({ error: 'password is required for new users' });
+    }
+
+    // The token is single use, even when two requests race
+    const usedSetupToken = firstAccount ? setupToken : null;
+    if (firstAccount) setupToken = null;
+
+    try {
+      const user = await db.saveUser({
+        id: id || `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        username,
+        name,
+        passwordHash: password ? hashPassword(password) : null,
+        role
+      });
+
+      hasUserAccounts = true;
+      if (firstAccount) console.log(`👤 Created admin user "${username}" with the setup token`);
+      res.json(user);
+    } catch (err) {
+      if (usedSetupToken) setupToken = usedSetupToken;
+      console.error('Error saving user:', err);
+      res.status(500).json({ error: 'Failed to save user', details: err.message });
+    }
+  });
+
+  // Delete a user
+  app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+      if (req.user?.id === req.params.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+      }
+      await db.deleteUser(req.params.id);
+      hasUserAccounts = (await db.countUsers()) > 0;
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error deleting user:', err);
+      res.status(500).json({ error: 'Failed to delete user', details: err.message });
+    }
+  });
+
+  // Spend report (admins see everyone, other users only themselves)
+  app.get('/api/usage', async (req, res) => {
+    try {
+      const { period = 'monthly', from, to } = req.query;
+      if (!from && !BUDGET_PERIODS.includes(period)) {
+        return res.status(400).json({ error: `Invalid period: ${period}`, validPeriods: BUDGET_PERIODS });
+      }
+
+      const since = from ? new Date(from) : periodStart(period);
+      const until = to ? new Date(to) : new Date();
+      if (isNaN(since.getTime()) || isNaN(until.getTime())) {
+        return res.status(400).json({ error: 'from and to must be valid dates' });
+      }
+
+      const isAdmin = !hasUserAccounts || req.user?.role === 'admin';
+      const userId = isAdmin ? (req.query.userId || null) : req.user.id;
+
+      const report = await db.getUsageReport({ since, until, userId });
+
+      // Current spend against every configured budget
+      const budgets = [];
+      for (const budget of BUDGETS) {
+        if (budget.scope === 'user' && !req.user) continue;
+        const spentUsd = await db.getUsageTotal(periodStart(budget.period), budget.scope === 'user' ? req.user.id : null);
+        budgets.push({ ...budget, spentUsd, remainingUsd: Math.max(0, budget.limitUsd - spentUsd) });
+      }
+
+      res.json({
+        since: since.toISOString(),
+        until: until.toISOString(),
+        userId,
+        ...report,
+        budgets
+      });
+    } catch (err) {
+      console.error('Error building usage report:', err);
+      res.status(500).json({ error: 'Failed to build usage report', details: err.message });
+    }
+  });
+
   // List all saved characters
   app.get('/api/characters', async (req, res) => {
     try {
@@ -2165,13 +3946,31 @@ if (hasDatabase) {
   });
 
   // Save a character (called after analysis)
-  app.post('/api/characters/save', async (req, res) => {
+  app.post('/api/characters/save', requireRole(...GENERATION_ROLES), async (req, res) => {
     try {
-      const { id, name, styleGuide, imageUrl } = req.body;
+      const { id, name, styleGuide, imageUrl, source = 'save', note } = req.body;
       if (!id || !name) {
         return res.status(400).json({ error: 'id and name are required' });
       }
-      const character = await db.saveCharacter(id, name, styleGuide, imageUrl);
+      if (!['save', 'analysis'].includes(source)) {
+        return res.status(400).json({ error: `Invalid source: ${source}`, validSources: ['save', 'analysis'] });
+      }
+      if (imageUrl) {
+        try {
+          await assertImageUrl(imageUrl);
+        } catch (validationErr) {
+          return res.status(400).json({ error: validationErr.message });
+        }
+      }
+      let traits = null;
+      if (req.body.traits) {
+        try {
+          traits = normalizeCharacterTraits(req.body.traits);
+        } catch (validationErr) {
+          return res.status(400).json({ error: validationErr.message });
+        }
+      }
+      const character = await db.saveCharacter(id, name, styleGuide, imageUrl, req.user?.id || null, { source, note, traits });
       res.json(character);
     } catch (err) {
       console.error('Error saving character:', err);
@@ -2180,7 +3979,7 @@ if (hasDatabase) {
   });
 
   // Delete a character
-  app.delete('/api/characters/:id', async (req, res) => {
+  app.delete('/api/characters/:id', requireRole(...GENERATION_ROLES), async (req, res) => {
     try {
       await db.deleteCharacter(req.params.id);
       res.json({ success: true });
@@ -2190,8 +3989,8 @@ if (hasDatabase) {
     }
   });
 
-  // Update character image (re-upload to Cloudinary)
-  app.post('/api/characters/:id/update-image', upload.single('image'), async (req, res) => {
+  // Update character image (re-upload to storage)
+  app.post('/api/characters/:id/update-image', requireRole(...GENERATION_ROLES), upload.single('image'), async (req, res) => {
     try {
       const { id } = req.params;
       const file = req.file;
@@ -2206,14 +4005,22 @@ if (hasDatabase) {
       
       // If file uploaded, process it
       if (file) {
-        if (hasCloudinary) {
-          imageUrl = await uploadToCloudinary(file.path);
-          console.log('☁️ Character image re-uploaded to Cloudinary:', imageUrl);
+        try {
+          const stored = await storage.uploadImage(file.path, { folder: 'goblina-characters', maxDimension: 800 });
+          imageUrl = stored.url;
+          console.log(`🗄️ Character image re-uploaded (${storage.name}):`, imageUrl);
+        } catch (uploadErr) {
+          console.error('Character image upload error:', uploadErr);
         }
         // Clean up local file
         fs.unlink(file.path, () => {});
       } else if (req.body.imageUrl) {
-        // Allow direct URL update
+        // Allow direct URL update (it becomes a generation reference, so only public or stored images)
+        try {
+          await assertImageUrl(req.body.imageUrl);
+        } catch (validationErr) {
+          return res.status(400).json({ error: validationErr.message });
+        }
         imageUrl = req.body.imageUrl;
       }
       
@@ -2222,7 +4029,7 @@ if (hasDatabase) {
       }
       
       // Update character with new image URL
-      const updatedCharacter = await db.updateCharacterImage(id, imageUrl);
+      const updatedCharacter = await db.updateCharacterImage(id, imageUrl, req.user?.id || null);
       
       res.json({ 
         success: true, 
@@ -2230,261 +4037,2178 @@ if (hasDatabase) {
         imageUrl 
       });
     } catch (err) {
-      console.error('Error updating character image:', err);
-      if (req.file?.path) fs.unlink(req.file.path, () => {});
-      res.status(500).json({ error: 'Failed to update character image', details: err.message });
+      console.error('Error updating character image:', err);
+      if (req.file?.path) fs.unlink(req.file.path, () => {});
+      res.status(500).json({ error: 'Failed to update character image', details: err.message });
+    }
+  });
+
+  // Replace a character's mandatory/forbidden traits and companions (saved as a new version)
+  app.put('/api/characters/:id/traits', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const character = await db.getCharacter(req.params.id);
+      if (!character) {
+        return res.status(404).json({ error: 'Character not found' });
+      }
+
+      let traits;
+      try {
+        traits = normalizeCharacterTraits(req.body);
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+
+      const updated = await db.saveCharacter(
+        character.id,
+        character.name,
+        character.style_guide,
+        null,
+        req.user?.id || null,
+        { source: 'traits', note: req.body.note || null, traits }
+      );
+      console.log(`🧬 Character ${character.id} traits updated (version ${updated.current_version})`);
+      res.json(updated);
+    } catch (err) {
+      console.error('Error updating character traits:', err);
+      res.status(500).json({ error: 'Failed to update character traits', details: err.message });
+    }
+  });
+
+  // How the character's lines look when captions are burned onto videos
+  app.put('/api/characters/:id/caption-style', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      let captionStyle;
+      try {
+        captionStyle = normalizeCaptionStyle(req.body);
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+
+      const character = await db.updateCharacterCaptionStyle(req.params.id, Object.keys(captionStyle).length ? captionStyle : null);
+      if (!character) {
+        return res.status(404).json({ error: 'Character not found' });
+      }
+      res.json(character);
+    } catch (err) {
+      console.error('Error updating caption style:', err);
+      res.status(500).json({ error: 'Failed to update caption style', details: err.message });
+    }
+  });
+
+  // Character version history (newest first)
+  app.get('/api/characters/:id/versions', async (req, res) => {
+    try {
+      const character = await db.getCharacter(req.params.id);
+      if (!character) {
+        return res.status(404).json({ error: 'Character not found' });
+      }
+      const versions = await db.listCharacterVersions(req.params.id);
+      res.json({ characterId: character.id, currentVersion: character.current_version, versions });
+    } catch (err) {
+      console.error('Error listing character versions:', err);
+      res.status(500).json({ error: 'Failed to list character versions', details: err.message });
+    }
+  });
+
+  // Compare two versions (?from=1&to=3, "to" defaults to the current version)
+  app.get('/api/characters/:id/versions/diff', async (req, res) => {
+    try {
+      const character = await db.getCharacter(req.params.id);
+      if (!character) {
+        return res.status(404).json({ error: 'Character not found' });
+      }
+
+      const fromVersion = parseInt(req.query.from);
+      const toVersion = req.query.to ? parseInt(req.query.to) : character.current_version;
+      if (isNaN(fromVersion) || isNaN(toVersion)) {
+        return res.status(400).json({ error: 'from (and optionally to) must be version numbers' });
+      }
+
+      const [from, to] = await Promise.all([
+        db.getCharacterVersion(req.params.id, fromVersion),
+        db.getCharacterVersion(req.params.id, toVersion)
+      ]);
+      if (!from || !to) {
+        return res.status(404).json({ error: `Version ${!from ? fromVersion : toVersion} not found` });
+      }
+
+      res.json(diffCharacterVersions(from, to));
+    } catch (err) {
+      console.error('Error diffing character versions:', err);
+      res.status(500).json({ error: 'Failed to diff character versions', details: err.message });
+    }
+  });
+
+  app.get('/api/characters/:id/versions/:version', async (req, res) => {
+    try {
+      const version = await db.getCharacterVersion(req.params.id, parseInt(req.params.version));
+      if (!version) {
+        return res.status(404).json({ error: 'Character version not found' });
+      }
+      res.json(version);
+    } catch (err) {
+      console.error('Error getting character version:', err);
+      res.status(500).json({ error: 'Failed to get character version', details: err.message });
+    }
+  });
+
+  // Restore an older version (saved as a new version, nothing is deleted)
+  app.post('/api/characters/:id/rollback', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const version = parseInt(req.body.version);
+      if (isNaN(version)) {
+        return res.status(400).json({ error: 'version is required' });
+      }
+      const character = await db.rollbackCharacter(req.params.id, version, req.user?.id || null);
+      if (!character) {
+        return res.status(404).json({ error: 'Character version not found' });
+      }
+      console.log(`🧬 Character ${character.id} rolled back to version ${version} -> version ${character.current_version}`);
+      res.json(character);
+    } catch (err) {
+      console.error('Error rolling back character:', err);
+      res.status(500).json({ error: 'Failed to roll back character', details: err.message });
+    }
+  });
+
+  // Tagged reference images (turnarounds, expressions, outfits)
+  app.get('/api/characters/:id/references', async (req, res) => {
+    try {
+      const references = await db.listCharacterReferences(req.params.id);
+      res.json(references);
+    } catch (err) {
+      console.error('Error listing character references:', err);
+      res.status(500).json({ error: 'Failed to list character references', details: err.message });
+    }
+  });
+
+  // Add a reference image (file upload or imageUrl) with tags like "side", "angry", "pajamas"
+  app.post('/api/characters/:id/references', requireRole(...GENERATION_ROLES), upload.single('image'), async (req, res) => {
+    try {
+      const character = await db.getCharacter(req.params.id);
+      if (!character) {
+        if (req.file?.path) fs.unlink(req.file.path, () => {});
+        return res.status(404).json({ error: 'Character not found' });
+      }
+
+      if (!req.file && !req.body.imageUrl) {
+        return res.status(400).json({ error: 'Image file or imageUrl is required' });
+      }
+
+      const tags = normalizeTags(req.body.tags);
+      if (!tags.length) {
+        if (req.file?.path) fs.unlink(req.file.path, () => {});
+        return res.status(400).json({ error: 'At least one tag is required (e.g. front, side, back, happy, pajamas)' });
+      }
+
+      // Only the uploaded file or a public http(s) / data: image URL, never a path or a host on our network
+      let source = req.file?.path;
+      let contentType;
+      if (!source) {
+        const imageUrl = String(req.body.imageUrl);
+        if (!/^(https?:\/\/|data:image\/)/i.test(imageUrl)) {
+          return res.status(400).json({ error: 'imageUrl must be an http(s) URL or a data:image URL' });
+        }
+        try {
+          ({ buffer: source, contentType } = await fetchAsset(imageUrl, { publicOnly: true }));
+        } catch (fetchErr) {
+          return res.status(400).json({ error: 'Failed to fetch imageUrl', details: fetchErr.message });
+        }
+        if (!contentType.startsWith('image/')) {
+          return res.status(400).json({ error: `imageUrl is not an image (${contentType})` });
+        }
+      }
+
+      const stored = await storage.uploadImage(source, {
+        folder: 'goblina-character-references',
+        maxDimension: 1536,
+        ...(contentType && { contentType })
+      });
+      if (req.file?.path) fs.unlink(req.file.path, () => {});
+
+      const reference = await db.saveCharacterReference({
+        id: `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        characterId: character.id,
+        imageUrl: stored.url,
+        storagePublicId: stored.publicId,
+        storageBackend: stored.backend,
+        label: req.body.label || null,
+        tags,
+        isPrimary: req.body.isPrimary === true || req.body.isPrimary === 'true',
+        createdBy: req.user?.id || null
+      });
+
+      console.log(`🖼️ Reference added to ${character.name}: ${tags.join(', ')}`);
+      res.json(reference);
+    } catch (err) {
+      console.error('Error adding character reference:', err);
+      if (req.file?.path) fs.unlink(req.file.path, () => {});
+      res.status(500).json({ error: 'Failed to add character reference', details: err.message });
+    }
+  });
+
+  app.delete('/api/characters/:id/references/:referenceId', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const reference = await db.deleteCharacterReference(req.params.id, req.params.referenceId);
+      if (!reference) {
+        return res.status(404).json({ error: 'Reference not found' });
+      }
+
+      // Only remove the file from the backend it was stored on
+      if (reference.storage_public_id && reference.storage_backend === storage.name) {
+        await storage.remove(reference.storage_public_id).catch(err => {
+          console.warn('Failed to remove reference from storage:', err.message);
+        });
+      }
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error deleting character reference:', err);
+      res.status(500).json({ error: 'Failed to delete character reference', details: err.message });
+    }
+  });
+
+  // Generate a turnaround sheet (three-quarter, side, back + core expressions) from the character's image
+  app.post('/api/characters/:id/turnaround', requireRole(...GENERATION_ROLES), enforceBudget, async (req, res) => {
+    try {
+      if (!googleAI) {
+        return res.status(503).json({
+          error: 'Nano Banana not configured',
+          message: 'Set GOOGLE_AI_API_KEY environment variable to enable image generation.'
+        });
+      }
+
+      const character = await db.getCharacter(req.params.id);
+      if (!character) {
+        return res.status(404).json({ error: 'Character not found' });
+      }
+
+      const {
+        views = Object.keys(TURNAROUND_VIEWS),
+        expressions = Object.keys(TURNAROUND_EXPRESSIONS),
+        model = 'gemini-2.5-flash-image',
+        resolution = '2K'
+      } = req.body;
+
+      if (!Array.isArray(views) || !Array.isArray(expressions)) {
+        return res.status(400).json({ error: 'views and expressions must be arrays' });
+      }
+      if (!views.length && !expressions.length) {
+        return res.status(400).json({ error: 'At least one view or expression is required' });
+      }
+
+      const invalid = [
+        ...views.filter(v => typeof v !== 'string' || !Object.hasOwn(TURNAROUND_VIEWS, v)),
+        ...expressions.filter(e => typeof e !== 'string' || !Object.hasOwn(TURNAROUND_EXPRESSIONS, e))
+      ];
+      if (invalid.length) {
+        return res.status(400).json({
+          error: `Invalid turnaround entries: ${invalid.join(', ')}`,
+          validViews: Object.keys(TURNAROUND_VIEWS),
+          validExpressions: Object.keys(TURNAROUND_EXPRESSIONS)
+        });
+      }
+
+      // The base image is the primary reference (or the character's single upload)
+      const existingReferences = await db.listCharacterReferences(character.id);
+      let baseReference = existingReferences.find(r => r.is_primary) ||
+        existingReferences.find(r => (r.tags || []).includes('front'));
+      if (!baseReference) {
+        if (!character.image_url) {
+          return res.status(400).json({ error: 'Character has no image to build a turnaround from' });
+        }
+        baseReference = await db.saveCharacterReference({
+          id: `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          characterId: character.id,
+          imageUrl: character.image_url,
+          label: 'Base image',
+          tags: ['front'],
+          isPrimary: true,
+          createdBy: req.user?.id || null
+        });
+      }
+
+      const entries = [
+        ...views.map(view => ({ kind: 'view', key: view, tags: [view], aspectRatio: '2:3', description: TURNAROUND_VIEWS[view] })),
+        ...expressions.map(expression => ({ kind: 'expression', key: expression, tags: ['front', expression], aspectRatio: '1:1', description: TURNAROUND_EXPRESSIONS[expression] }))
+      ];
+
+      console.log(`🔄 Generating ${entries.length}-image turnaround for ${character.name}...`);
+
+      const results = [];
+      for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+
+        const exceededBudget = i > 0 && BUDGETS.length ? await findExceededBudget(req.user?.id || null) : null;
+        if (exceededBudget) {
+          console.warn(`💰 Budget exceeded - skipping remaining ${entries.length - i} turnaround image(s)`);
+          for (const skipped of entries.slice(i)) {
+            results.push({ kind: skipped.kind, key: skipped.key, success: false, error: budgetExceededResponse(exceededBudget).message });
+          }
+          break;
+        }
+
+        try {
+          const prompt = buildTurnaroundPrompt(character, entry.kind, entry.description);
+          const result = await generateNanoBananaImage({
+            prompt,
+            aspectRatio: entry.aspectRatio,
+            resolution,
+            referenceImages: [baseReference.image_url],
+            model
+          });
+          await recordUsage(req, {
+            provider: 'google',
+            operation: 'image',
+            model,
+            resolution,
+            characterId: character.id,
+            inputTokens: result.usage?.promptTokenCount,
+            outputTokens: result.usage?.candidatesTokenCount,
+            metadata: { turnaround: entry.key }
+          });
+
+          const stored = await storage.uploadImage(Buffer.from(result.imageBase64, 'base64'), {
+            folder: 'goblina-character-references',
+            contentType: result.mimeType
+          });
+
+          const imageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+          await db.saveGeneratedImage({
+            id: imageId,
+            projectId: null,
+            characterId: character.id,
+            prompt,
+            cloudinaryUrl: stored.url,
+            cloudinaryPublicId: stored.publicId,
+            storageBackend: stored.backend,
+            aspectRatio: entry.aspectRatio,
+            resolution,
+            model,
+            sceneIndex: null,
+            createdBy: req.user?.id || null,
+            metadata: { turnaround: true, kind: entry.kind, key: entry.key, baseReferenceId: baseReference.id }
+          });
+
+          const reference = await db.saveCharacterReference({
+            id: `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            characterId: character.id,
+            imageUrl: stored.url,
+            storagePublicId: stored.publicId,
+            storageBackend: stored.backend,
+            label: `Turnaround: ${entry.key}`,
+            tags: entry.tags,
+            createdBy: req.user?.id || null,
+            generatedImageId: imageId
+          });
+
+          console.log(`🔄 Turnaround ${i + 1}/${entries.length} (${entry.key}) saved`);
+          results.push({ kind: entry.kind, key: entry.key, success: true, imageId, reference });
+        } catch (entryErr) {
+          console.error(`Turnaround ${entry.key} failed:`, entryErr.message);
+          results.push({ kind: entry.kind, key: entry.key, success: false, error: entryErr.message });
+        }
+      }
+
+      const successCount = results.filter(r => r.success).length;
+      res.json({
+        success: successCount > 0,
+        characterId: character.id,
+        baseReferenceId: baseReference.id,
+        total: entries.length,
+        successCount,
+        failedCount: entries.length - successCount,
+        results
+      });
+    } catch (err) {
+      console.error('Turnaround generation error:', err);
+      res.status(500).json({ error: 'Failed to generate turnaround', details: err.message });
+    }
+  });
+
+  // Preview which references would be used for a scene (?prompt=...&limit=5&projectId=...)
+  app.get('/api/characters/:id/references/select', async (req, res) => {
+    try {
+      const references = await loadCharacterReferences(req.params.id, { projectId: req.query.projectId || null });
+      const limit = Math.min(parseInt(req.query.limit) || MAX_REFERENCE_IMAGES, MAX_REFERENCE_IMAGES);
+      res.json(selectReferences(references, req.query.prompt || '', limit));
+    } catch (err) {
+      console.error('Error selecting character references:', err);
+      res.status(500).json({ error: 'Failed to select character references', details: err.message });
+    }
+  });
+
+  // Project persistence endpoints
+  app.get('/api/projects', async (req, res) => {
+    try {
+      const { characterId } = req.query;
+      const projects = await db.listProjects(characterId);
+      res.json(projects);
+    } catch (err) {
+      console.error('Error listing projects:', err);
+      res.status(500).json({ error: 'Failed to list projects', details: err.message });
+    }
+  });
+
+  app.get('/api/projects/:id', async (req, res) => {
+    try {
+      const project = await db.getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      project.cast = await db.getProjectCast(req.params.id);
+      project.scenes = await db.listScenes(req.params.id);
+      res.json(project);
+    } catch (err) {
+      console.error('Error getting project:', err);
+      res.status(500).json({ error: 'Failed to get project', details: err.message });
+    }
+  });
+
+  app.post('/api/projects/save', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const { id, characterId, topic, personalityPreset, scenarios } = req.body;
+      if (!id || !topic) {
+        return res.status(400).json({ error: 'id and topic are required' });
+      }
+      const project = await db.saveProject(id, characterId, topic, personalityPreset, scenarios, req.user?.id || null);
+      res.json(project);
+    } catch (err) {
+      console.error('Error saving project:', err);
+      res.status(500).json({ error: 'Failed to save project', details: err.message });
+    }
+  });
+
+  app.delete('/api/projects/:id', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      await db.deleteProject(req.params.id);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error deleting project:', err);
+      res.status(500).json({ error: 'Failed to delete project', details: err.message });
+    }
+  });
+
+  // Project cast: the characters in a project with their role, relationship and speaking flag
+  app.get('/api/projects/:id/cast', async (req, res) => {
+    try {
+      const cast = await db.getProjectCast(req.params.id);
+      res.json(cast);
+    } catch (err) {
+      console.error('Error getting project cast:', err);
+      res.status(500).json({ error: 'Failed to get project cast', details: err.message });
+    }
+  });
+
+  // Replace the cast ({ cast: [{ characterId, role, relationship, speaking }] }, lead first)
+  app.put('/api/projects/:id/cast', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const project = await db.getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      let members;
+      try {
+        members = normalizeCast(req.body.cast);
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+
+      const characters = await Promise.all(members.map(member => db.getCharacter(member.characterId)));
+      const missing = members.find((member, i) => !characters[i]);
+      if (missing) {
+        return res.status(404).json({ error: `Character not found: ${missing.characterId}` });
+      }
+
+      const cast = await db.setProjectCast(req.params.id, members);
+      console.log(`🎭 Project ${req.params.id} cast: ${cast.map(member => `${member.name} (${member.role})`).join(', ') || 'empty'}`);
+      res.json(cast);
+    } catch (err) {
+      console.error('Error saving project cast:', err);
+      res.status(500).json({ error: 'Failed to save project cast', details: err.message });
+    }
+  });
+
+  // Storyboard scenes: playback order, preview image and chosen take per scene
+  app.get('/api/projects/:id/scenes', async (req, res) => {
+    try {
+      const scenes = await db.listScenes(req.params.id);
+      res.json(scenes);
+    } catch (err) {
+      console.error('Error listing scenes:', err);
+      res.status(500).json({ error: 'Failed to list scenes', details: err.message });
+    }
+  });
+
+  // Add scenes to the end ({ scenes: [{ description, duration, dialogue, textOverlay, prompt, structuredPrompt, characters }] }
+  // or a single scene); replace: true swaps out the whole storyboard
+  app.post('/api/projects/:id/scenes', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const project = await db.getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      let scenes;
+      try {
+        scenes = (Array.isArray(req.body.scenes) ? req.body.scenes : [req.body]).map(scene => normalizeScene(scene));
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+      if (!scenes.length) {
+        return res.status(400).json({ error: 'At least one scene is required' });
+      }
+
+      const saved = await db.addScenes(
+        req.params.id,
+        scenes.map(scene => ({ id: `scn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`, ...scene })),
+        { replace: req.body.replace === true, createdBy: req.user?.id || null }
+      );
+      console.log(`🎬 Project ${req.params.id}: ${req.body.replace === true ? 'replaced storyboard with' : 'added'} ${scenes.length} scene(s)`);
+      res.json(saved);
+    } catch (err) {
+      console.error('Error saving scenes:', err);
+      res.status(500).json({ error: 'Failed to save scenes', details: err.message });
+    }
+  });
+
+  // Put the scenes in a new order ({ sceneIds: every scene of the project, in order })
+  app.post('/api/projects/:id/scenes/reorder', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const { sceneIds } = req.body;
+      const scenes = await db.listScenes(req.params.id);
+      const current = scenes.map(scene => scene.id);
+      if (!Array.isArray(sceneIds) || sceneIds.length !== current.length
+        || new Set(sceneIds).size !== sceneIds.length || !sceneIds.every(id => current.includes(id))) {
+        return res.status(400).json({ error: 'sceneIds must list every scene of the project exactly once' });
+      }
+
+      const reordered = await db.reorderScenes(req.params.id, sceneIds);
+      res.json(reordered);
+    } catch (err) {
+      console.error('Error reordering scenes:', err);
+      res.status(500).json({ error: 'Failed to reorder scenes', details: err.message });
+    }
+  });
+
+  // Subtitles for the whole storyboard (?format=srt|vtt): each scene's dialogue, timed by its
+  // selected take's length (or the scene's planned duration), scenes back to back
+  app.get('/api/projects/:id/subtitles', async (req, res) => {
+    try {
+      const format = req.query.format || 'srt';
+      if (!SUBTITLE_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `Invalid format: ${format}`, validFormats: SUBTITLE_FORMATS });
+      }
+
+      const project = await db.getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+
+      const scenes = await db.listScenes(project.id);
+      const cues = subtitleCues(sequentialSegments(scenes.map(scene => ({
+        duration: scene.chosen_video_duration || scene.duration_seconds || 0,
+        dialogue: scene.dialogue
+      }))));
+
+      res.setHeader('Content-Type', format === 'vtt' ? 'text/vtt; charset=utf-8' : 'application/x-subrip; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${project.id}.${format}"`);
+      res.send(formatSubtitles(cues, format));
+    } catch (err) {
+      console.error('Error building subtitles:', err);
+      res.status(500).json({ error: 'Failed to build subtitles', details: err.message });
+    }
+  });
+
+  // A scene with every image and take generated for it
+  app.get('/api/scenes/:id', async (req, res) => {
+    try {
+      const scene = await db.getScene(req.params.id);
+      if (!scene) {
+        return res.status(404).json({ error: 'Scene not found' });
+      }
+      const [takes, images] = await Promise.all([
+        db.listSceneVideos(scene.id),
+        db.listSceneImages(scene.id)
+      ]);
+      res.json({ ...scene, takes, images });
+    } catch (err) {
+      console.error('Error getting scene:', err);
+      res.status(500).json({ error: 'Failed to get scene', details: err.message });
+    }
+  });
+
+  // Edit a scene, pick its preview image ({ previewImageId }) or its take ({ chosenVideoId }); null clears
+  app.patch('/api/scenes/:id', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const scene = await db.getScene(req.params.id);
+      if (!scene) {
+        return res.status(404).json({ error: 'Scene not found' });
+      }
+
+      let fields;
+      try {
+        fields = normalizeScene(req.body, { partial: true });
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+
+      const { previewImageId, chosenVideoId } = req.body;
+      if (previewImageId) {
+        const image = await db.getGeneratedImage(previewImageId);
+        if (!image || (image.project_id && image.project_id !== scene.project_id)) {
+          return res.status(404).json({ error: 'Image not found in this project' });
+        }
+      }
+      if (chosenVideoId) {
+        const video = await claimSceneTake(scene, chosenVideoId);
+        fields.chosenVideoId = video.id;
+      } else if (chosenVideoId === null) {
+        fields.chosenVideoId = null;
+      }
+      if (previewImageId !== undefined) {
+        fields.previewImageId = previewImageId;
+      }
+
+      const updated = await db.updateScene(scene.id, fields);
+      res.json(updated);
+    } catch (err) {
+      if (err.status === 400 || err.status === 404) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error('Error updating scene:', err);
+      res.status(500).json({ error: 'Failed to update scene', details: err.message });
+    }
+  });
+
+  // Pick the keeper among a scene's takes ({ videoId }, null clears); compositions use it
+  app.post('/api/scenes/:id/select-take', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const scene = await db.getScene(req.params.id);
+      if (!scene) {
+        return res.status(404).json({ error: 'Scene not found' });
+      }
+      const { videoId } = req.body;
+      if (videoId === undefined) {
+        return res.status(400).json({ error: 'videoId is required (null clears the selection)' });
+      }
+
+      const video = videoId ? await claimSceneTake(scene, videoId) : null;
+      const updated = await db.updateScene(scene.id, { chosenVideoId: video?.id || null });
+      console.log(`🎬 Scene ${scene.id}: ${video ? `selected take ${video.id}` : 'cleared selected take'}`);
+      res.json(updated);
+    } catch (err) {
+      if (err.status === 400 || err.status === 404) {
+        return res.status(err.status).json({ error: err.message });
+      }
+      console.error('Error selecting take:', err);
+      res.status(500).json({ error: 'Failed to select take', details: err.message });
+    }
+  });
+
+  // Takes side by side (?videoIds=a,b to pick some), oldest first, each diffed against
+  // its parent when it is a remix, otherwise against ?base= (default: the selected take, else the first take)
+  app.get('/api/scenes/:id/takes/compare', async (req, res) => {
+    try {
+      const scene = await db.getScene(req.params.id);
+      if (!scene) {
+        return res.status(404).json({ error: 'Scene not found' });
+      }
+
+      const allTakes = (await db.listSceneVideos(scene.id)).reverse();
+      const wanted = req.query.videoIds ? String(req.query.videoIds).split(',').map(id => id.trim()).filter(Boolean) : null;
+      const takes = wanted ? allTakes.filter(take => wanted.includes(take.id)) : allTakes;
+      if (wanted && takes.length !== wanted.length) {
+        const missing = wanted.filter(id => !takes.some(take => take.id === id));
+        return res.status(404).json({ error: `Not takes of this scene: ${missing.join(', ')}` });
+      }
+
+      const byId = new Map(allTakes.map(take => [take.id, take]));
+      const base = byId.get(req.query.base || scene.chosen_video_id) || allTakes[0] || null;
+      if (req.query.base && base?.id !== req.query.base) {
+        return res.status(404).json({ error: `Not a take of this scene: ${req.query.base}` });
+      }
+
+      res.json({
+        sceneId: scene.id,
+        selectedVideoId: scene.chosen_video_id,
+        baseVideoId: base?.id || null,
+        takes: takes.map(take => {
+          const against = byId.get(take.parent_video_id) || base;
+          return {
+            ...describeTake(take),
+            selected: take.id === scene.chosen_video_id,
+            diff: against && against.id !== take.id ? diffTakes(against, take) : null
+          };
+        })
+      });
+    } catch (err) {
+      console.error('Error comparing takes:', err);
+      res.status(500).json({ error: 'Failed to compare takes', details: err.message });
+    }
+  });
+
+  app.delete('/api/scenes/:id', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      await db.deleteScene(req.params.id);
+      res.json({ success: true });
+    } catch (err) {
+      console.error('Error deleting scene:', err);
+      res.status(500).json({ error: 'Failed to delete scene', details: err.message });
+    }
+  });
+
+  // Pin a project to a character version ({ version: null } follows the latest again)
+  app.post('/api/projects/:id/pin-character', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const project = await db.getProject(req.params.id);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      if (!project.character_id) {
+        return res.status(400).json({ error: 'Project has no character to pin' });
+      }
+
+      const version = req.body.version === null || req.body.version === undefined ? null : parseInt(req.body.version);
+      if (version !== null) {
+        if (isNaN(version) || !(await db.getCharacterVersion(project.character_id, version))) {
+          return res.status(404).json({ error: 'Character version not found' });
+        }
+      }
+
+      await db.pinProjectCharacterVersion(req.params.id, version);
+      res.json(await db.getProject(req.params.id));
+    } catch (err) {
+      console.error('Error pinning character version:', err);
+      res.status(500).json({ error: 'Failed to pin character version', details: err.message });
+    }
+  });
+
+  // Prompt library endpoints
+  app.get('/api/prompts/library', async (req, res) => {
+    try {
+      const { category, search } = req.query;
+      let prompts;
+      if (search) {
+        prompts = await db.searchPromptLibrary(search);
+      } else {
+        prompts = await db.listPromptsFromLibrary(category);
+      }
+      res.json(prompts);
+    } catch (err) {
+      console.error('Error listing prompts:', err);
+      res.status(500).json({ error: 'Failed to list prompts', details: err.message });
+    }
+  });
+
+  app.post('/api/prompts/library/save', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const { id, name, category, structuredPrompt, textPrompt, tags } = req.body;
+      if (!id || !name || !category) {
+        return res.status(400).json({ error: 'id, name, and category are required' });
+      }
+      const prompt = await db.savePromptToLibrary(id, name, category, structuredPrompt, textPrompt, tags);
+      res.json(prompt);
+    } catch (err) {
+      console.error('Error saving prompt:', err);
+      res.status(500).json({ error: 'Failed to save prompt', details: err.message });
+    }
+  });
+
+  app.get('/api/prompts/library/:id', async (req, res) => {
+    try {
+      const prompt = await db.getPromptFromLibrary(req.params.id);
+      if (!prompt) {
+        return res.status(404).json({ error: 'Prompt not found' });
+      }
+      res.json(prompt);
+    } catch (err) {
+      console.error('Error getting prompt:', err);
+      res.status(500).json({ error: 'Failed to get prompt', details: err.message });
+    }
+  });
+
+  // Prompt templates (admin only): versioned system/user prompts for scenarios, structured prompts and storyboards
+  app.get('/api/prompt-templates', requireRole('admin'), async (req, res) => {
+    try {
+      const templates = await db.listPromptTemplates();
+      res.json(templates);
+    } catch (err) {
+      console.error('Error listing prompt templates:', err);
+      res.status(500).json({ error: 'Failed to list prompt templates', details: err.message });
+    }
+  });
+
+  app.get('/api/prompt-templates/:name', requireRole('admin'), async (req, res) => {
+    try {
+      const active = await db.getActivePromptTemplate(req.params.name);
+      if (!active) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+      }
+      const versions = await db.listPromptTemplateVersions(req.params.name);
+      res.json({
+        name: active.template_name,
+        description: active.description,
+        activeVersion: active.version,
+        variables: templateVariables(`${active.system_template}\n${active.user_template || ''}`),
+        versions
+      });
+    } catch (err) {
+      console.error('Error getting prompt template:', err);
+      res.status(500).json({ error: 'Failed to get prompt template', details: err.message });
+    }
+  });
+
+  // Ratings, favourites and consistency of the videos made with each version
+  app.get('/api/prompt-templates/:name/stats', requireRole('admin'), async (req, res) => {
+    try {
+      const stats = await db.getPromptTemplateStats(req.params.name);
+      res.json(stats);
+    } catch (err) {
+      console.error('Error getting prompt template stats:', err);
+      res.status(500).json({ error: 'Failed to get prompt template stats', details: err.message });
+    }
+  });
+
+  // Save an edited template as a new version ({ systemTemplate, userTemplate, model, maxTokens, note, activate })
+  app.post('/api/prompt-templates/:name/versions', requireRole('admin'), async (req, res) => {
+    try {
+      const { systemTemplate, userTemplate, model, maxTokens, note, activate = false } = req.body;
+      if (!systemTemplate) {
+        return res.status(400).json({ error: 'systemTemplate is required' });
+      }
+      if (maxTokens !== undefined && maxTokens !== null && (!Number.isInteger(maxTokens) || maxTokens <= 0)) {
+        return res.status(400).json({ error: 'maxTokens must be a positive integer' });
+      }
+
+      const version = await db.createPromptTemplateVersion(req.params.name, {
+        systemTemplate,
+        userTemplate,
+        model,
+        maxTokens,
+        note,
+        createdBy: req.user?.id || null,
+        activate
+      });
+      if (!version) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+      }
+
+      console.log(`📝 Prompt template ${req.params.name} v${version.version} saved${activate ? ' and activated' : ''}`);
+      res.json(version);
+    } catch (err) {
+      console.error('Error saving prompt template version:', err);
+      res.status(500).json({ error: 'Failed to save prompt template version', details: err.message });
+    }
+  });
+
+  // Switch generation to another version ({ version })
+  app.post('/api/prompt-templates/:name/activate', requireRole('admin'), async (req, res) => {
+    try {
+      const version = parseInt(req.body.version);
+      if (isNaN(version)) {
+        return res.status(400).json({ error: 'version is required' });
+      }
+      const template = await db.activatePromptTemplateVersion(req.params.name, version);
+      if (!template) {
+        return res.status(404).json({ error: 'Prompt template version not found' });
+      }
+      console.log(`📝 Prompt template ${req.params.name} now uses v${version}`);
+      res.json(template);
+    } catch (err) {
+      console.error('Error activating prompt template version:', err);
+      res.status(500).json({ error: 'Failed to activate prompt template version', details: err.message });
+    }
+  });
+
+  // Render a template without calling the model
+  // Body: the same fields as the generation route, plus an optional version or draft systemTemplate/userTemplate
+  app.post('/api/prompt-templates/:name/preview', requireRole('admin'), async (req, res) => {
+    try {
+      const { name } = req.params;
+      if (!PROMPT_TEMPLATE_VARIABLES[name]) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+      }
+
+      let template = null;
+      if (req.body.systemTemplate) {
+        template = { name, version: null, versionId: null, system: req.body.systemTemplate, user: req.body.userTemplate || '' };
+      } else if (req.body.version) {
+        const stored = await db.getPromptTemplateVersion(name, parseInt(req.body.version));
+        if (!stored) {
+          return res.status(404).json({ error: 'Prompt template version not found' });
+        }
+        template = toPromptTemplate(stored);
+      }
+
+      const prompt = await renderPromptTemplate(name, req.body, template);
+      res.json({
+        promptTemplate: promptTemplateInfo(prompt.template),
+        system: prompt.system,
+        user: prompt.user,
+        missing: prompt.missing
+      });
+    } catch (err) {
+      if (err.status === 400) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error('Error previewing prompt template:', err);
+      res.status(500).json({ error: 'Failed to preview prompt template', details: err.message });
+    }
+  });
+
+  // Experiments (admin only): A/B tests of models, prompt template versions and presets
+  app.get('/api/experiments', requireRole('admin'), async (req, res) => {
+    try {
+      const experiments = await db.listExperiments();
+      res.json(experiments);
+    } catch (err) {
+      console.error('Error listing experiments:', err);
+      res.status(500).json({ error: 'Failed to list experiments', details: err.message });
+    }
+  });
+
+  // Start an experiment ({ name, description, target, variants, status })
+  app.post('/api/experiments', requireRole('admin'), async (req, res) => {
+    try {
+      const { name, description, target, status = 'active' } = req.body;
+      if (!name) {
+        return res.status(400).json({ error: 'name is required' });
+      }
+      if (!EXPERIMENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status (valid: ${EXPERIMENT_STATUSES.join(', ')})` });
+      }
+
+      let variants;
+      try {
+        variants = normalizeVariants(target, req.body.variants);
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+
+      for (const variant of variants) {
+        if (variant.personalityPreset && !PERSONALITY_PRESETS[variant.personalityPreset]) {
+          return res.status(400).json({ error: `Unknown personality preset: ${variant.personalityPreset}` });
+        }
+        if (variant.promptTemplateVersion !== undefined
+          && !await db.getPromptTemplateVersion(target, parseInt(variant.promptTemplateVersion))) {
+          return res.status(400).json({ error: `${target} prompt template has no version ${variant.promptTemplateVersion}` });
+        }
+      }
+
+      if (status === 'active') {
+        const running = await db.getActiveExperiment(target);
+        if (running) {
+          return res.status(409).json({ error: `Experiment "${running.name}" is already running on ${target}`, experimentId: running.id });
+        }
+      }
+
+      const experiment = await db.createExperiment({
+        id: `exp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        name,
+        description,
+        target,
+        status,
+        variants,
+        createdBy: req.user?.id || null
+      });
+      console.log(`🧪 Experiment "${name}" created on ${target} (${variants.map(v => v.key).join(' vs ')})`);
+      res.json(experiment);
+    } catch (err) {
+      console.error('Error creating experiment:', err);
+      res.status(500).json({ error: 'Failed to create experiment', details: err.message });
+    }
+  });
+
+  app.get('/api/experiments/:id', requireRole('admin'), async (req, res) => {
+    try {
+      const experiment = await db.getExperiment(req.params.id);
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+      res.json(experiment);
+    } catch (err) {
+      console.error('Error getting experiment:', err);
+      res.status(500).json({ error: 'Failed to get experiment', details: err.message });
+    }
+  });
+
+  // Pause, resume or finish an experiment ({ status })
+  app.post('/api/experiments/:id/status', requireRole('admin'), async (req, res) => {
+    try {
+      const { status } = req.body;
+      if (!EXPERIMENT_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status (valid: ${EXPERIMENT_STATUSES.join(', ')})` });
+      }
+
+      const experiment = await db.getExperiment(req.params.id);
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+      if (status === 'active') {
+        const running = await db.getActiveExperiment(experiment.target);
+        if (running && running.id !== experiment.id) {
+          return res.status(409).json({ error: `Experiment "${running.name}" is already running on ${experiment.target}`, experimentId: running.id });
+        }
+      }
+
+      const updated = await db.updateExperimentStatus(experiment.id, status);
+      console.log(`🧪 Experiment "${experiment.name}" is now ${status}`);
+      res.json(updated);
+    } catch (err) {
+      console.error('Error updating experiment:', err);
+      res.status(500).json({ error: 'Failed to update experiment', details: err.message });
+    }
+  });
+
+  // Ratings, favourites and regenerations per variant
+  app.get('/api/experiments/:id/results', requireRole('admin'), async (req, res) => {
+    try {
+      const experiment = await db.getExperiment(req.params.id);
+      if (!experiment) {
+        return res.status(404).json({ error: 'Experiment not found' });
+      }
+
+      const rows = await db.getExperimentResults(experiment.id);
+      const variants = experiment.variants.map(variant => {
+        const row = rows.find(r => r.variant_key === variant.key) || {};
+        const assignments = row.assignments || 0;
+        const videos = row.videos || 0;
+        const images = row.images || 0;
+        return {
+          variant,
+          assignments,
+          regenerations: row.regenerations || 0,
+          regenerationsPerAssignment: assignments ? Math.round((row.regenerations / assignments) * 100) / 100 : null,
+          videos,
+          ratedVideos: row.rated_videos || 0,
+          avgRating: row.avg_rating ?? null,
+          favoriteVideos: row.favorite_videos || 0,
+          images,
+          favoriteImages: row.favorite_images || 0,
+          favoriteRate: videos + images
+            ? Math.round((((row.favorite_videos || 0) + (row.favorite_images || 0)) / (videos + images)) * 1000) / 1000
+            : null,
+          avgImageConsistency: row.avg_image_consistency ?? null
+        };
+      });
+
+      res.json({
+        id: experiment.id,
+        name: experiment.name,
+        target: experiment.target,
+        status: experiment.status,
+        createdAt: experiment.created_at,
+        variants
+      });
+    } catch (err) {
+      console.error('Error getting experiment results:', err);
+      res.status(500).json({ error: 'Failed to get experiment results', details: err.message });
+    }
+  });
+
+  // Video tracking endpoints
+  app.get('/api/videos', async (req, res) => {
+    try {
+      const { projectId } = req.query;
+      const videos = await db.listVideos(projectId);
+      res.json(videos);
+    } catch (err) {
+      console.error('Error listing videos:', err);
+      res.status(500).json({ error: 'Failed to list videos', details: err.message });
+    }
+  });
+
+  app.get('/api/videos/:id', async (req, res) => {
+    try {
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      res.json(video);
+    } catch (err) {
+      console.error('Error getting video:', err);
+      res.status(500).json({ error: 'Failed to get video', details: err.message });
+    }
+  });
+
+  // Instagram post copy for a video (captions, hashtag sets, pinned first comment) in the voice of its
+  // project's personality preset (or personalityPreset), stored with the video for reuse
+  app.post('/api/videos/:id/caption', requireRole(...GENERATION_ROLES), enforceBudget, async (req, res) => {
+    try {
+      if (!openai) {
+        return res.status(503).json({ error: 'OpenAI API key not configured. Please set OPENAI_API_KEY environment variable.' });
+      }
+
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      const { captionCount = 3, hashtagSetCount = 3 } = req.body;
+      for (const [field, value] of Object.entries({ captionCount, hashtagSetCount })) {
+        if (!Number.isInteger(value) || value < 1 || value > 10) {
+          return res.status(400).json({ error: `${field} must be a whole number from 1 to 10` });
+        }
+      }
+
+      const prompt = await prepareTemplatedPrompt('captions', req, { ...req.body, videoId: video.id, captionCount, hashtagSetCount });
+      const model = prompt.template.model || 'gpt-4.1';
+
+      const { value: copy, attempts, fixes } = await createValidatedJsonCompletion(req, 'captions', {
+        model,
+        messages: [
+          {
+            role: 'system',
+            content: prompt.system
+          },
+          {
+            role: 'user',
+            content: prompt.user
+          }
+        ],
+        max_tokens: prompt.template.maxTokens || 1500,
+        response_format: { type: 'json_object' }
+      }, {
+        projectId: video.project_id,
+        videoId: video.id,
+        metadata: {
+          promptTemplate: 'captions',
+          promptTemplateVersion: prompt.template.version,
+          ...(prompt.experiment && { experimentId: prompt.experiment.experimentId, variant: prompt.experiment.variant.key })
+        }
+      });
+
+      // Hashtags always start with # and never repeat within a set
+      const hashtagSets = copy.hashtagSets.map(set => ({
+        ...set,
+        hashtags: [...new Set(set.hashtags.map(tag => `#${tag.replace(/^#+/, '').replace(/\s+/g, '')}`.toLowerCase()))]
+      }));
+
+      const project = video.project_id ? await db.getProject(video.project_id) : null;
+      const preset = await resolveCaptionPreset(
+        prompt.experiment?.variant.personalityPreset || req.body.personalityPreset || project?.personality_preset
+      );
+      const saved = await db.saveVideoCaptions({
+        id: `cap_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        videoId: video.id,
+        captions: copy.captions,
+        hashtagSets,
+        firstComment: copy.firstComment,
+        personalityPreset: preset.key,
+        model,
+        promptTemplateVersionId: prompt.template.versionId,
+        createdBy: req.user?.id || null
+      });
+      console.log(`✍️ Wrote ${copy.captions.length} caption(s) for video ${video.id}`);
+
+      res.json({
+        ...saved,
+        promptTemplate: promptTemplateInfo(prompt.template),
+        experiment: experimentInfo(prompt.experiment),
+        validation: { attempts, repairs: fixes }
+      });
+    } catch (err) {
+      if (err.status === 400) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (err.validationErrors) {
+        return res.status(502).json({ error: err.message, validationErrors: err.validationErrors });
+      }
+      console.error('Caption generation error:', err);
+      res.status(500).json({ error: 'Failed to generate captions', details: err.message });
+    }
+  });
+
+  // Post copy written for a video so far, newest first
+  app.get('/api/videos/:id/captions', async (req, res) => {
+    try {
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      const captions = await db.listVideoCaptions(video.id);
+      res.json(captions);
+    } catch (err) {
+      console.error('Error listing captions:', err);
+      res.status(500).json({ error: 'Failed to list captions', details: err.message });
+    }
+  });
+
+  // Remix tree a video belongs to: the original and every remix under it, with the instruction behind each
+  app.get('/api/videos/:id/lineage', async (req, res) => {
+    try {
+      const videos = await db.getVideoLineage(req.params.id);
+      if (!videos.length) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      const nodes = new Map(videos.map(video => [video.id, { ...describeTake(video), generation: video.generation, remixes: [] }]));
+      for (const video of videos) {
+        if (video.generation > 0) {
+          nodes.get(video.parent_video_id)?.remixes.push(nodes.get(video.id));
+        }
+      }
+
+      const requested = videos.find(video => video.id === req.params.id || video.sora_job_id === req.params.id);
+      const ancestry = [];
+      for (let node = nodes.get(requested.id); node; node = nodes.get(node.parentVideoId)) {
+        ancestry.unshift(node.id);
+        if (node.generation === 0) break;
+      }
+
+      res.json({
+        videoId: requested.id,
+        path: ancestry,
+        count: videos.length,
+        root: nodes.get(videos[0].id)
+      });
+    } catch (err) {
+      console.error('Error getting video lineage:', err);
+      res.status(500).json({ error: 'Failed to get video lineage', details: err.message });
+    }
+  });
+
+  // Exact character version a video was generated with
+  app.get('/api/videos/:id/character', async (req, res) => {
+    try {
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      if (!video.character_id || !video.character_version) {
+        return res.status(404).json({ error: 'No character version recorded for this video' });
+      }
+      const version = await db.getCharacterVersion(video.character_id, video.character_version);
+      if (!version) {
+        return res.status(404).json({ error: 'Character version not found' });
+      }
+      res.json(version);
+    } catch (err) {
+      console.error('Error getting video character:', err);
+      res.status(500).json({ error: 'Failed to get video character', details: err.message });
+    }
+  });
+
+  // Save a video
+  app.post('/api/videos/save', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const { id, projectId, soraJobId, prompt, structuredPrompt, status, durationSeconds, promptTemplateVersionId, sceneId, parentVideoId, remixInstruction, characterId, characterVersion } = req.body;
+      if (!id || !soraJobId) {
+        return res.status(400).json({ error: 'id and soraJobId are required' });
+      }
+      // Record the character version the job was generated with (given, or the one the project resolves to)
+      const character = characterId && !characterVersion ? await loadGenerationCharacter(characterId, projectId) : null;
+      const video = await db.saveVideo(id, projectId, soraJobId, prompt, structuredPrompt, req.user?.id || null, promptTemplateVersionId || null,
+        characterId ? { characterId, characterVersion: characterVersion || character?.version || null } : {});
+      const assignment = await requestExperimentAssignment(req);
+      if (assignment) {
+        await db.linkVideoToExperiment(video.id, assignment.id);
+      }
+      if (sceneId) {
+        await db.linkVideoToScene(video.id, sceneId);
+      }
+      if (parentVideoId) {
+        await db.linkVideoToParent(video.id, parentVideoId, remixInstruction || null);
+      }
+      
+      // Update status if completed
+      if (status === 'completed') {
+        await db.updateVideoStatus(id, 'completed');
+      }
+      
+      res.json(video);
+    } catch (err) {
+      console.error('Error saving video:', err);
+      res.status(500).json({ error: 'Failed to save video', details: err.message });
+    }
+  });
+
+  // Toggle video favorite
+  app.post('/api/videos/favorite', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const { id, isFavorite } = req.body;
+      if (!id) {
+        return res.status(400).json({ error: 'id is required' });
+      }
+      const video = await db.updateVideoFavorite(id, isFavorite);
+      res.json(video || { success: true });
+    } catch (err) {
+      console.error('Error updating favorite:', err);
+      res.status(500).json({ error: 'Failed to update favorite', details: err.message });
+    }
+  });
+
+  // Rate a video
+  app.post('/api/videos/rate', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const { id, rating } = req.body;
+      if (!id || rating === undefined) {
+        return res.status(400).json({ error: 'id and rating are required' });
+      }
+      const video = await db.updateVideoRating(id, rating);
+      res.json(video || { success: true });
+    } catch (err) {
+      console.error('Error updating rating:', err);
+      res.status(500).json({ error: 'Failed to update rating', details: err.message });
+    }
+  });
+
+  // Permanently save a video to storage (Cloudinary, local disk or S3)
+  app.post('/api/videos/save-permanent', requireRole(...GENERATION_ROLES), async (req, res) => {
+    try {
+      const { soraJobId, videoId } = req.body;
+      if (!soraJobId) {
+        return res.status(400).json({ error: 'soraJobId is required' });
+      }
+
+      // Make sure the Sora video is still available
+      const soraData = await retrieveSoraVideo(soraJobId);
+      if (soraData.status !== 'completed') {
+        return res.status(400).json({ error: 'Video not ready or already expired' });
+      }
+
+      const stored = await storeVideoCopy({ id: soraJobId, sora_job_id: soraJobId });
+
+      // Update database with permanent URL
+      if (videoId) {
+        await db.updateVideoStatus(videoId, 'completed');
+        await db.markVideoArchived(videoId, stored);
+      }
+
+      res.json({
+        success: true,
+        permanentUrl: stored.url,
+        publicId: stored.publicId,
+        duration: stored.duration,
+        backend: stored.backend
+      });
+    } catch (err) {
+      console.error('Error saving video permanently:', err);
+      res.status(500).json({ error: 'Failed to save video permanently', details: err.message });
+    }
+  });
+
+  // Get storage status
+  app.get('/api/storage/status', async (req, res) => {
+    res.json({
+      storage: {
+        backend: storage.name,
+        features: ['images', 'videos']
+      },
+      // Kept for older clients that only know about Cloudinary
+      cloudinary: {
+        configured: storage.name === 'cloudinary',
+        features: storage.name === 'cloudinary' ? ['images', 'videos'] : []
+      },
+      autoArchive: {
+        enabled: !!archiveSweeperTimer,
+        sweepIntervalMs: ARCHIVE_SWEEP_INTERVAL_MS,
+        soraRetentionHours: SORA_VIDEO_TTL_HOURS
+      },
+      database: {
+        configured: hasDatabase,
+        features: hasDatabase ? ['characters', 'projects', 'videos', 'presets', 'prompts'] : []
+      },
+      recommendations: storage.name === 'local' ? [
+        'Files are stored on this server\'s local disk - use Cloudinary or S3 (STORAGE_BACKEND) in production',
+        'Videos from Sora expire after ~24 hours and are archived to the configured storage'
+      ] : []
+    });
+  });
+
+  // Server-side job queue state (unfinished Sora jobs)
+  app.get('/api/jobs', async (req, res) => {
+    try {
+      const jobs = await db.listActiveVideoJobs();
+      res.json({
+        runner: {
+          running: !!jobRunnerTimer,
+          pollIntervalMs: JOB_POLL_INTERVAL_MS,
+          maxAttempts: JOB_MAX_ATTEMPTS,
+          lastTick: jobRunnerLastTick
+        },
+        jobs
+      });
+    } catch (err) {
+      console.error('Error listing jobs:', err);
+      res.status(500).json({ error: 'Failed to list jobs', details: err.message });
+    }
+  });
+
+  // Get favorited videos only
+  app.get('/api/videos/favorites', async (req, res) => {
+    try {
+      const videos = await db.listVideos(null, true);
+      res.json(videos);
+    } catch (err) {
+      console.error('Error listing favorites:', err);
+      res.status(500).json({ error: 'Failed to list favorites', details: err.message });
+    }
+  });
+
+  // ==========================================
+  // VIDEO COMPOSITION (ffmpeg)
+  // ==========================================
+
+  /**
+   * Stitch several videos into a single Reel
+   *
+   * POST /api/compositions
+   * Body: {
+   *   videoIds: string[] - Ordered IDs from the videos table (our ID or Sora job ID)
+   *   sceneIds: string[] - Or ordered scene IDs, each using its selected take
+   *   fromScenes: boolean - Or every scene of projectId in storyboard order
+   *   transition: string - 'cut', 'crossfade' or 'fade-to-black'
+   *   transitions: string[] - Optional per-boundary transitions (videoIds.length - 1)
+   *   transitionDuration: number - Seconds, for crossfade/fade-to-black (shorter than the shortest clip)
+   *   projectId: string - Optional project to attach the result to
+   *   subtitles: boolean - Embed the clips' dialogue as a soft subtitle track
+   *   subtitleLanguage: string - ISO 639-2 code of that track (default 'eng')
+   * }
+   */
+  app.post('/api/compositions', requireRole(...GENERATION_ROLES), async (req, res) => {
+    const {
+      sceneIds,
+      fromScenes = false,
+      transition = 'cut',
+      transitions = [],
+      transitionDuration = 0.5,
+      projectId = null,
+      subtitles = false,
+      subtitleLanguage = 'eng'
+    } = req.body;
+    let { videoIds = [] } = req.body;
+
+    // Scenes are composed from their selected takes
+    if (Array.isArray(sceneIds) || fromScenes) {
+      if (!Array.isArray(sceneIds) && !projectId) {
+        return res.status(400).json({ error: 'projectId is required with fromScenes' });
+      }
+      try {
+        const scenes = Array.isArray(sceneIds)
+          ? await Promise.all(sceneIds.map(id => db.getScene(id)))
+          : await db.listScenes(projectId);
+        const missing = Array.isArray(sceneIds) ? sceneIds.filter((id, i) => !scenes[i]) : [];
+        if (missing.length) {
+          return res.status(404).json({ error: `Scene not found: ${missing.join(', ')}` });
+        }
+        const unselected = scenes.filter(scene => !scene.chosen_video_id);
+        if (unselected.length) {
+          return res.status(400).json({
+            error: 'Every scene needs a selected take',
+            sceneIds: unselected.map(scene => scene.id)
+          });
+        }
+        videoIds = scenes.map(scene => scene.chosen_video_id);
+      } catch (err) {
+        console.error('Error resolving scene takes:', err);
+        return res.status(500).json({ error: 'Failed to resolve scene takes', details: err.message });
+      }
+    }
+
+    if (!Array.isArray(videoIds) || videoIds.length < 2) {
+      return res.status(400).json({ error: 'At least two videoIds (or scenes) are required' });
+    }
+
+    if (!Array.isArray(transitions)) {
+      return res.status(400).json({ error: 'transitions must be an array' });
+    }
+
+    if (typeof transitionDuration !== 'number' || !Number.isFinite(transitionDuration) || transitionDuration <= 0) {
+      return res.status(400).json({ error: 'transitionDuration must be a positive number of seconds' });
+    }
+
+    const invalidTransition = [transition, ...transitions].find(t => !COMPOSITION_TRANSITIONS.includes(t));
+    if (invalidTransition) {
+      return res.status(400).json({
+        error: `Invalid transition: ${invalidTransition}`,
+        validTransitions: COMPOSITION_TRANSITIONS
+      });
+    }
+
+    if (transitions.length && transitions.length !== videoIds.length - 1) {
+      return res.status(400).json({ error: 'transitions must have one entry per boundary (videoIds.length - 1)' });
+    }
+
+    if (subtitles && !/^[a-z]{3}$/.test(subtitleLanguage)) {
+      return res.status(400).json({ error: 'subtitleLanguage must be a three-letter ISO 639-2 code (e.g. eng)' });
+    }
+
+    const compositionId = `comp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const workDir = path.join(uploadsDir, compositionId);
+    let compositionSaved = false;
+
+    try {
+      // Resolve every clip before doing any work
+      const videos = [];
+      for (const videoId of videoIds) {
+        const video = await db.getVideo(videoId);
+        if (!video) {
+          return res.status(404).json({ error: `Video not found: ${videoId}` });
+        }
+        if (video.status !== 'completed') {
+          return res.status(400).json({ error: `Video is not completed: ${videoId}` });
+        }
+        videos.push(video);
+      }
+
+      // A fade can't be longer than the clips it joins
+      const fades = (transitions.length ? transitions : [transition]).some(t => t !== 'cut');
+      const knownDurations = videos.map(v => v.duration_seconds).filter(d => d > 0);
+      if (fades && knownDurations.length && transitionDuration >= Math.min(...knownDurations)) {
+        return res.status(400).json({ error: `transitionDuration must be shorter than the shortest clip (${Math.min(...knownDurations)}s)` });
+      }
+
+      if (!(await isFfmpegAvailable())) {
+        return res.status(503).json({ error: 'ffmpeg not available. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH.' });
+      }
+
+      await db.saveComposition({
+        id: compositionId,
+        projectId,
+        sourceVideoIds: videos.map(v => v.id),
+        transition,
+        transitions: transitions.length ? transitions : null,
+        transitionDuration
+      });
+      compositionSaved = true;
+
+      // Download every clip to a scratch directory
+      fs.mkdirSync(workDir, { recursive: true });
+      const clipPaths = [];
+      for (let i = 0; i < videos.length; i++) {
+        const clipPath = path.join(workDir, `clip_${i}.mp4`);
+        console.log(`🎞️ Downloading clip ${i + 1}/${videos.length} (${videos[i].id})...`);
+        await downloadVideoToFile(videos[i], clipPath);
+        clipPaths.push(clipPath);
+      }
+
+      // Dialogue of every clip, timed to where the clip lands after transitions
+      let subtitlePath = null;
+      let subtitleCount = 0;
+      if (subtitles) {
+        const durations = [];
+        for (const clipPath of clipPaths) {
+          durations.push((await probeVideo(clipPath)).duration);
+        }
+        const { starts } = compositionTimeline(durations, { transition, transitions, transitionDuration });
+        const segments = [];
+        for (let i = 0; i < videos.length; i++) {
+          segments.push({ start: starts[i], duration: durations[i], dialogue: (await videoText(videos[i])).dialogue });
+        }
+        const cues = subtitleCues(segments);
+        subtitleCount = cues.length;
+        if (cues.length) {
+          subtitlePath = path.join(workDir, 'subtitles.srt');
+          fs.writeFileSync(subtitlePath, formatSubtitles(cues, 'srt'));
+        } else {
+          console.warn(`Composition ${compositionId}: no dialogue to subtitle`);
+        }
+      }
+
+      console.log(`🎞️ Composing ${clipPaths.length} clips (${transition})...`);
+      const outputPath = path.join(workDir, 'composition.mp4');
+      const output = await composeClips(clipPaths, outputPath, {
+        transition,
+        transitions,
+        transitionDuration,
+        subtitlePath,
+        subtitleLanguage
+      });
+
+      const stored = await storage.uploadVideo(outputPath, { folder: 'goblina-compositions' });
+
+      const videoId = `vid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      const video = await db.saveRenderedVideo({
+        id: videoId,
+        projectId: projectId || videos[0].project_id,
+        kind: 'composition',
+        prompt: videos.map(v => v.prompt).filter(Boolean).join('\n\n'),
+        createdBy: req.user?.id || null,
+        stored,
+        durationSeconds: output.duration,
+        metadata: {
+          compositionId,
+          sourceVideoIds: videos.map(v => v.id),
+          transition,
+          transitions,
+          transitionDuration,
+          subtitles: subtitlePath ? { language: subtitleLanguage, cues: subtitleCount } : null,
+          width: output.width,
+          height: output.height
+        }
+      });
+
+      const composition = await db.updateCompositionStatus(compositionId, 'completed', { videoId });
+      console.log('🎞️ Composition complete:', compositionId, '->', stored.url);
+
+      res.json({
+        success: true,
+        composition,
+        video
+      });
+    } catch (err) {
+      console.error('Composition error:', err);
+      if (compositionSaved) {
+        await db.updateCompositionStatus(compositionId, 'failed', { error: err.message }).catch(() => {});
+      }
+      res.status(500).json({ error: 'Failed to compose video', details: err.message });
+    } finally {
+      fs.rm(workDir, { recursive: true, force: true }, () => {});
     }
   });
 
-  // Project persistence endpoints
-  app.get('/api/projects', async (req, res) => {
+  // List compositions
+  app.get('/api/compositions', async (req, res) => {
     try {
-      const { characterId } = req.query;
-      const projects = await db.listProjects(characterId);
-      res.json(projects);
+      const { projectId } = req.query;
+      const compositions = await db.listCompositions(projectId);
+      res.json(compositions);
     } catch (err) {
-      console.error('Error listing projects:', err);
-      res.status(500).json({ error: 'Failed to list projects', details: err.message });
+      console.error('Error listing compositions:', err);
+      res.status(500).json({ error: 'Failed to list compositions', details: err.message });
     }
   });
 
-  app.get('/api/projects/:id', async (req, res) => {
+  // Get a specific composition
+  app.get('/api/compositions/:id', async (req, res) => {
     try {
-      const project = await db.getProject(req.params.id);
-      if (!project) {
-        return res.status(404).json({ error: 'Project not found' });
+      const composition = await db.getComposition(req.params.id);
+      if (!composition) {
+        return res.status(404).json({ error: 'Composition not found' });
       }
-      res.json(project);
+      res.json(composition);
     } catch (err) {
-      console.error('Error getting project:', err);
-      res.status(500).json({ error: 'Failed to get project', details: err.message });
+      console.error('Error getting composition:', err);
+      res.status(500).json({ error: 'Failed to get composition', details: err.message });
     }
   });
 
-  app.post('/api/projects/save', async (req, res) => {
+  // ==========================================
+  // TEXT OVERLAYS (ffmpeg)
+  // ==========================================
+
+  /**
+   * Burn captions onto a completed video (Sora garbles text) and save the result as a new video
+   *
+   * POST /api/videos/:id/overlays
+   * Body: {
+   *   overlays: [{ text, start, end, position, speaker, characterId, style }] - Optional, defaults to
+   *     the scene's (or structured prompt's) text overlay and dialogue
+   *   style: object - Style for every caption
+   * }
+   * Styles stack: defaults < style < the speaking character's caption style < the overlay's style
+   */
+  app.post('/api/videos/:id/overlays', requireRole(...GENERATION_ROLES), async (req, res) => {
+    const workDir = path.join(uploadsDir, `overlay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+
     try {
-      const { id, characterId, topic, personalityPreset, scenarios } = req.body;
-      if (!id || !topic) {
-        return res.status(400).json({ error: 'id and topic are required' });
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
       }
-      const project = await db.saveProject(id, characterId, topic, personalityPreset, scenarios);
-      res.json(project);
+      if (video.status !== 'completed') {
+        return res.status(400).json({ error: `Video is not completed (${video.status})` });
+      }
+
+      let baseStyle;
+      let overlays = null;
+      try {
+        baseStyle = normalizeCaptionStyle(req.body.style || {});
+        if (req.body.overlays !== undefined) {
+          overlays = normalizeOverlays(req.body.overlays);
+        }
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+
+      if (!(await isFfmpegAvailable())) {
+        return res.status(503).json({ error: 'ffmpeg not available. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH.' });
+      }
+
+      fs.mkdirSync(workDir, { recursive: true });
+      const sourcePath = path.join(workDir, 'source.mp4');
+      await downloadVideoToFile(video, sourcePath);
+
+      if (!overlays) {
+        const { duration } = await probeVideo(sourcePath);
+        const captions = sceneOverlays({ ...(await videoText(video)), duration });
+        if (!captions.length) {
+          return res.status(400).json({ error: 'No overlays given and the video has no text overlay or dialogue to caption' });
+        }
+        overlays = normalizeOverlays(captions);
+      }
+
+      const { byId, byName } = await characterCaptionStyles(video);
+      const styled = overlays.map(overlay => ({
+        ...overlay,
+        style: {
+          ...baseStyle,
+          ...(byId.get(overlay.characterId) || byName.get(overlay.speaker?.toLowerCase()) || {}),
+          ...overlay.style
+        }
+      }));
+
+      console.log(`🔤 Burning ${styled.length} caption(s) onto video ${video.id}...`);
+      const outputPath = path.join(workDir, 'captioned.mp4');
+      const output = await burnTextOverlays(sourcePath, outputPath, styled, {
+        workDir,
+        fontFile: process.env.OVERLAY_FONT_FILE || null
+      });
+
+      const stored = await storage.uploadVideo(outputPath, { folder: 'goblina-captioned' });
+      const captioned = await db.saveRenderedVideo({
+        id: `vid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        projectId: video.project_id,
+        kind: 'captioned',
+        prompt: video.prompt,
+        sourceVideoId: video.id,
+        createdBy: req.user?.id || null,
+        stored,
+        durationSeconds: output.duration,
+        metadata: {
+          overlays: styled,
+          width: output.width,
+          height: output.height
+        }
+      });
+      console.log('🔤 Captioned video saved:', captioned.id, '->', stored.url);
+
+      res.json({ success: true, video: captioned, overlays: styled });
     } catch (err) {
-      console.error('Error saving project:', err);
-      res.status(500).json({ error: 'Failed to save project', details: err.message });
+      console.error('Overlay error:', err);
+      res.status(500).json({ error: 'Failed to burn captions onto video', details: err.message });
+    } finally {
+      fs.rm(workDir, { recursive: true, force: true }, () => {});
     }
   });
 
-  app.delete('/api/projects/:id', async (req, res) => {
-    try {
-      await db.deleteProject(req.params.id);
-      res.json({ success: true });
-    } catch (err) {
-      console.error('Error deleting project:', err);
-      res.status(500).json({ error: 'Failed to delete project', details: err.message });
-    }
+  // ==========================================
+  // PLATFORM EXPORTS (ffmpeg)
+  // ==========================================
+
+  // Export profiles and reframe modes
+  app.get('/api/export-profiles', (req, res) => {
+    res.json({ profiles: EXPORT_PROFILES, reframeModes: REFRAME_MODES });
   });
 
-  // Prompt library endpoints
-  app.get('/api/prompts/library', async (req, res) => {
+  /**
+   * Transcode a completed video (or a composition's video) for one or more platforms
+   * Each export is saved as a new video with source_video_id pointing at this one
+   *
+   * POST /api/videos/:id/exports
+   * Body: {
+   *   profiles: string[] - EXPORT_PROFILES keys (or profile: string for one)
+   *   reframe: string - Optional, REFRAME_MODES value instead of each profile's default
+   *   maxDuration: number - Optional, cut exports shorter than the platform cap (seconds)
+   * }
+   */
+  app.post('/api/videos/:id/exports', requireRole(...GENERATION_ROLES), async (req, res) => {
+    const workDir = path.join(uploadsDir, `export_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+
     try {
-      const { category, search } = req.query;
-      let prompts;
-      if (search) {
-        prompts = await db.searchPromptLibrary(search);
-      } else {
-        prompts = await db.listPromptsFromLibrary(category);
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      if (video.status !== 'completed') {
+        return res.status(400).json({ error: `Video is not completed (${video.status})` });
       }
-      res.json(prompts);
-    } catch (err) {
-      console.error('Error listing prompts:', err);
-      res.status(500).json({ error: 'Failed to list prompts', details: err.message });
-    }
-  });
 
-  app.post('/api/prompts/library/save', async (req, res) => {
-    try {
-      const { id, name, category, structuredPrompt, textPrompt, tags } = req.body;
-      if (!id || !name || !category) {
-        return res.status(400).json({ error: 'id, name, and category are required' });
+      const names = req.body.profiles || (req.body.profile ? [req.body.profile] : []);
+      if (!Array.isArray(names) || !names.length) {
+        return res.status(400).json({ error: 'profiles is required (array of export profile names)' });
       }
-      const prompt = await db.savePromptToLibrary(id, name, category, structuredPrompt, textPrompt, tags);
-      res.json(prompt);
+
+      let profiles;
+      try {
+        profiles = [...new Set(names)].map(name => resolveExportProfile(name, {
+          reframe: req.body.reframe,
+          maxDuration: req.body.maxDuration
+        }));
+      } catch (validationErr) {
+        return res.status(400).json({ error: validationErr.message });
+      }
+
+      if (!(await isFfmpegAvailable())) {
+        return res.status(503).json({ error: 'ffmpeg not available. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH.' });
+      }
+
+      fs.mkdirSync(workDir, { recursive: true });
+      const sourcePath = path.join(workDir, 'source.mp4');
+      await downloadVideoToFile(video, sourcePath);
+
+      const exports = [];
+      for (const profile of profiles) {
+        console.log(`📐 Exporting video ${video.id} for ${profile.name} (${profile.width}x${profile.height}, ${profile.reframe})...`);
+        const outputPath = path.join(workDir, `${profile.name}.mp4`);
+        const output = await exportVideo(sourcePath, outputPath, profile);
+
+        const stored = await storage.uploadVideo(outputPath, { folder: 'goblina-exports' });
+        const exported = await db.saveRenderedVideo({
+          id: `vid_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          projectId: video.project_id,
+          kind: 'export',
+          prompt: video.prompt,
+          sourceVideoId: video.id,
+          exportProfile: profile.name,
+          createdBy: req.user?.id || null,
+          stored,
+          durationSeconds: output.duration,
+          metadata: {
+            width: output.width,
+            height: output.height,
+            reframe: profile.reframe,
+            videoBitrate: profile.videoBitrate,
+            loudness: profile.loudness,
+            trimmed: output.trimmed,
+            sourceDuration: output.source.duration,
+            sourceWidth: output.source.width,
+            sourceHeight: output.source.height
+          }
+        });
+        console.log('📐 Export saved:', exported.id, '->', stored.url);
+        exports.push(exported);
+      }
+
+      res.json({ success: true, sourceVideoId: video.id, exports });
     } catch (err) {
-      console.error('Error saving prompt:', err);
-      res.status(500).json({ error: 'Failed to save prompt', details: err.message });
+      console.error('Export error:', err);
+      res.status(500).json({ error: 'Failed to export video', details: err.message });
+    } finally {
+      fs.rm(workDir, { recursive: true, force: true }, () => {});
     }
   });
 
-  app.get('/api/prompts/library/:id', async (req, res) => {
+  // Platform exports of a video, newest first (?profile= for one platform)
+  app.get('/api/videos/:id/exports', async (req, res) => {
     try {
-      const prompt = await db.getPromptFromLibrary(req.params.id);
-      if (!prompt) {
-        return res.status(404).json({ error: 'Prompt not found' });
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
       }
-      res.json(prompt);
+      const exports = await db.listVideoVariants(video.id, { kind: 'export' });
+      const { profile } = req.query;
+      res.json(profile ? exports.filter(row => row.export_profile === profile) : exports);
     } catch (err) {
-      console.error('Error getting prompt:', err);
-      res.status(500).json({ error: 'Failed to get prompt', details: err.message });
+      console.error('Error listing exports:', err);
+      res.status(500).json({ error: 'Failed to list exports', details: err.message });
     }
   });
 
-  // Video tracking endpoints
-  app.get('/api/videos', async (req, res) => {
+  // ==========================================
+  // VIDEO COVERS
+  // ==========================================
+
+  // Validate the optional title of a cover request (400 on bad input)
+  function coverTitleOptions(body) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    const position = body.titlePosition || 'top';
+    if (!COVER_TITLE_POSITIONS[position]) {
+      const err = new Error(`titlePosition must be one of: ${Object.keys(COVER_TITLE_POSITIONS).join(', ')}`);
+      err.status = 400;
+      throw err;
+    }
+    let style;
     try {
-      const { projectId } = req.query;
-      const videos = await db.listVideos(projectId);
-      res.json(videos);
+      style = normalizeCaptionStyle(body.titleStyle || {});
     } catch (err) {
-      console.error('Error listing videos:', err);
-      res.status(500).json({ error: 'Failed to list videos', details: err.message });
+      err.message = `titleStyle.${err.message}`;
+      err.status = 400;
+      throw err;
     }
-  });
+    return title ? { title, position, style } : null;
+  }
+
+  /**
+   * Extract cover candidates from a completed video: frames just after shot
+   * changes and evenly spaced samples, ranked by sharpness
+   *
+   * POST /api/videos/:id/covers/frames
+   * Body: {
+   *   count: number - Candidates to keep (1-12, default 6)
+   *   sceneThreshold: number - Scene change score that counts as a cut (0-1, default 0.3)
+   * }
+   */
+  app.post('/api/videos/:id/covers/frames', requireRole(...GENERATION_ROLES), async (req, res) => {
+    const workDir = path.join(uploadsDir, `covers_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
 
-  app.get('/api/videos/:id', async (req, res) => {
     try {
       const video = await db.getVideo(req.params.id);
       if (!video) {
         return res.status(404).json({ error: 'Video not found' });
       }
-      res.json(video);
-    } catch (err) {
-      console.error('Error getting video:', err);
-      res.status(500).json({ error: 'Failed to get video', details: err.message });
-    }
-  });
+      if (video.status !== 'completed') {
+        return res.status(400).json({ error: `Video is not completed (${video.status})` });
+      }
 
-  // Save a video
-  app.post('/api/videos/save', async (req, res) => {
-    try {
-      const { id, projectId, soraJobId, prompt, structuredPrompt, status, durationSeconds } = req.body;
-      if (!id || !soraJobId) {
-        return res.status(400).json({ error: 'id and soraJobId are required' });
+      const count = req.body.count === undefined ? 6 : parseInt(req.body.count, 10);
+      const threshold = req.body.sceneThreshold === undefined ? 0.3 : Number(req.body.sceneThreshold);
+      if (!(count >= 1 && count <= 12)) {
+        return res.status(400).json({ error: 'count must be between 1 and 12' });
       }
-      const video = await db.saveVideo(id, projectId, soraJobId, prompt, structuredPrompt);
-      
-      // Update status if completed
-      if (status === 'completed') {
-        await db.updateVideoStatus(id, 'completed');
+      if (!(threshold > 0 && threshold < 1)) {
+        return res.status(400).json({ error: 'sceneThreshold must be between 0 and 1' });
       }
-      
-      res.json(video);
-    } catch (err) {
-      console.error('Error saving video:', err);
-      res.status(500).json({ error: 'Failed to save video', details: err.message });
-    }
-  });
 
-  // Toggle video favorite
-  app.post('/api/videos/favorite', async (req, res) => {
-    try {
-      const { id, isFavorite } = req.body;
-      if (!id) {
-        return res.status(400).json({ error: 'id is required' });
+      if (!(await isFfmpegAvailable())) {
+        return res.status(503).json({ error: 'ffmpeg not available. Install ffmpeg or set FFMPEG_PATH/FFPROBE_PATH.' });
       }
-      const video = await db.updateVideoFavorite(id, isFavorite);
-      res.json(video || { success: true });
-    } catch (err) {
-      console.error('Error updating favorite:', err);
-      res.status(500).json({ error: 'Failed to update favorite', details: err.message });
-    }
-  });
 
-  // Rate a video
-  app.post('/api/videos/rate', async (req, res) => {
-    try {
-      const { id, rating } = req.body;
-      if (!id || rating === undefined) {
-        return res.status(400).json({ error: 'id and rating are required' });
+      fs.mkdirSync(workDir, { recursive: true });
+      const sourcePath = path.join(workDir, 'source.mp4');
+      await downloadVideoToFile(video, sourcePath);
+
+      const { duration } = await probeVideo(sourcePath);
+      const sceneChanges = await detectSceneChanges(sourcePath, { threshold, limit: count * 2 });
+      const times = coverFrameTimes(duration, sceneChanges, count);
+      console.log(`🖼️ Scoring ${times.length} cover frame(s) of video ${video.id} (${sceneChanges.length} scene change(s))...`);
+
+      const frames = [];
+      for (const [i, candidate] of times.entries()) {
+        const framePath = path.join(workDir, `frame_${i}.png`);
+        await extractFrame(sourcePath, framePath, candidate.time);
+        const buffer = fs.readFileSync(framePath);
+        frames.push({ ...candidate, buffer, sharpness: await frameSharpness(buffer) });
       }
-      const video = await db.updateVideoRating(id, rating);
-      res.json(video || { success: true });
+
+      // Sharpest first, back in time order for the response
+      const picked = frames.sort((a, b) => b.sharpness - a.sharpness).slice(0, count).sort((a, b) => a.time - b.time);
+
+      const covers = [];
+      for (const frame of picked) {
+        const stored = await storage.uploadImage(frame.buffer, { folder: 'goblina-covers' });
+        covers.push(await db.saveVideoCover({
+          id: `cover_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          videoId: video.id,
+          source: 'frame',
+          stored,
+          timeSeconds: frame.time,
+          sharpness: frame.sharpness,
+          metadata: { sceneChange: frame.sceneChange, sceneScore: frame.sceneScore },
+          createdBy: req.user?.id || null
+        }));
+      }
+      console.log(`🖼️ Saved ${covers.length} cover candidate(s) for video ${video.id}`);
+
+      res.json({ success: true, videoId: video.id, sceneChanges: sceneChanges.length, covers });
     } catch (err) {
-      console.error('Error updating rating:', err);
-      res.status(500).json({ error: 'Failed to update rating', details: err.message });
+      console.error('Cover frame error:', err);
+      res.status(500).json({ error: 'Failed to extract cover frames', details: err.message });
+    } finally {
+      fs.rm(workDir, { recursive: true, force: true }, () => {});
     }
   });
 
-  // Permanently save a video to Cloudinary
-  app.post('/api/videos/save-permanent', async (req, res) => {
+  /**
+   * Generate a cover with Nano Banana from the video's hook and its characters' references
+   *
+   * POST /api/videos/:id/covers/generate
+   * Body: {
+   *   hook: string - Optional, defaults to the video's text overlay, scene description or prompt
+   *   title: string - Optional title drawn onto the cover
+   *   titlePosition: 'top' | 'center' | 'bottom'
+   *   titleStyle: object - Caption style fields (font, fontScale, color, outlineColor, outlineWidth, boxColor, boxOpacity, uppercase)
+   *   aspectRatio: string - Default 9:16
+   *   resolution: string - Default 2K
+   *   model: string - Default gemini-2.5-flash-image
+   * }
+   */
+  app.post('/api/videos/:id/covers/generate', requireRole(...GENERATION_ROLES), enforceBudget, async (req, res) => {
     try {
-      const { soraJobId, videoId } = req.body;
-      if (!soraJobId) {
-        return res.status(400).json({ error: 'soraJobId is required' });
-      }
-
-      if (!hasCloudinary) {
-        return res.status(400).json({ 
-          error: 'Cloudinary not configured', 
-          message: 'Set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, and CLOUDINARY_API_SECRET to enable permanent storage' 
+      if (!googleAI) {
+        return res.status(503).json({
+          error: 'Nano Banana not configured',
+          message: 'Set GOOGLE_AI_API_KEY environment variable to enable image generation.'
         });
       }
 
-      // Get video URL from Sora
-      const soraResponse = await fetch(`https://api.openai.com/v1/videos/${soraJobId}`, {
-        headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }
-      });
-
-      if (!soraResponse.ok) {
-        throw new Error('Failed to fetch video from Sora');
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
       }
 
-      const soraData = await soraResponse.json();
-      
-      if (!soraData.url) {
-        return res.status(400).json({ error: 'Video not ready or already expired' });
+      const {
+        aspectRatio = '9:16',
+        resolution = '2K',
+        model = 'gemini-2.5-flash-image'
+      } = req.body;
+      const titleOptions = coverTitleOptions(req.body);
+
+      const scene = video.scene_id ? await db.getScene(video.scene_id) : null;
+      const { textOverlay } = await videoText(video);
+      const description = scene?.description || video.prompt || '';
+      const hook = (typeof req.body.hook === 'string' && req.body.hook.trim()) ||
+        textOverlay || description.split(/(?<=[.!?])\s/)[0];
+      if (!hook) {
+        return res.status(400).json({ error: 'No hook given and the video has no text overlay or prompt to build a cover from' });
       }
 
-      // Upload to Cloudinary
-      const cloudinaryResult = await uploadVideoToCloudinary(soraData.url);
-      
-      if (!cloudinaryResult) {
-        throw new Error('Failed to upload to Cloudinary');
+      // The project's cast (or the video's character) and their best matching references
+      const sceneText = `${hook} ${description}`;
+      const cast = await resolveCast({ projectId: video.project_id });
+      let characterDescription = '';
+      let referenceImages = [];
+      if (cast.length) {
+        const picked = await pickCastReferenceImages(cast, sceneText, MAX_REFERENCE_IMAGES, {
+          sceneCharacters: scene?.characters || [],
+          projectId: video.project_id
+        });
+        characterDescription = describeCast(picked.members);
+        referenceImages = picked.images;
+      } else if (video.character_id) {
+        const character = await resolvePromptCharacter({ characterId: video.character_id, projectId: video.project_id });
+        referenceImages = pickReferenceImages(
+          await loadCharacterReferences(video.character_id, { projectId: video.project_id }),
+          sceneText,
+          MAX_REFERENCE_IMAGES
+        );
+        characterDescription = buildDetailedCharacterDescription(character.styleGuide, character.name, referenceImages.length > 0, character.traits);
       }
 
-      // Update database with permanent URL
-      if (videoId) {
-        await db.updateVideoStatus(videoId, 'completed', cloudinaryResult.url);
-      }
+      const prompt = buildCoverPrompt({
+        hook,
+        description,
+        characterDescription,
+        aspectRatio,
+        titleSpace: titleOptions?.position || null
+      });
 
-      res.json({
-        success: true,
-        permanentUrl: cloudinaryResult.url,
-        publicId: cloudinaryResult.publicId,
-        duration: cloudinaryResult.duration
+      console.log(`🖼️ Generating cover for video ${video.id}...`);
+      const result = await generateNanoBananaImage({ prompt, aspectRatio, resolution, referenceImages, model });
+      await recordUsage(req, {
+        provider: 'google',
+        operation: 'image',
+        model,
+        resolution,
+        projectId: video.project_id,
+        characterId: video.character_id,
+        videoId: video.id,
+        inputTokens: result.usage?.promptTokenCount,
+        outputTokens: result.usage?.candidatesTokenCount,
+        metadata: { cover: true }
+      });
+
+      // The untouched image goes to the gallery, the cover gets the title
+      const imageBuffer = Buffer.from(result.imageBase64, 'base64');
+      const storedImage = await storage.uploadImage(imageBuffer, { folder: 'goblina-covers', contentType: result.mimeType });
+      const imageId = `img_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      await db.saveGeneratedImage({
+        id: imageId,
+        projectId: video.project_id,
+        characterId: video.character_id,
+        prompt,
+        cloudinaryUrl: storedImage.url,
+        cloudinaryPublicId: storedImage.publicId,
+        storageBackend: storedImage.backend,
+        aspectRatio,
+        resolution,
+        model,
+        sceneIndex: null,
+        sceneId: video.scene_id,
+        createdBy: req.user?.id || null,
+        metadata: { cover: true, videoId: video.id, hook }
+      });
+
+      const stored = titleOptions
+        ? await storage.uploadImage(await compositeCoverTitle(imageBuffer, titleOptions.title, titleOptions), { folder: 'goblina-covers' })
+        : storedImage;
+      const cover = await db.saveVideoCover({
+        id: `cover_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        videoId: video.id,
+        source: 'generated',
+        stored,
+        title: titleOptions?.title || null,
+        generatedImageId: imageId,
+        metadata: { hook, model, titlePosition: titleOptions?.position || null, titleStyle: titleOptions?.style || null },
+        createdBy: req.user?.id || null
       });
+      console.log('🖼️ Cover saved:', cover.id, '->', stored.url);
+
+      res.json({ success: true, videoId: video.id, cover, imageId });
     } catch (err) {
-      console.error('Error saving video permanently:', err);
-      res.status(500).json({ error: 'Failed to save video permanently', details: err.message });
+      if (err.status === 400) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error('Cover generation error:', err);
+      res.status(500).json({ error: 'Failed to generate cover', details: err.message });
     }
   });
 
-  // Get storage status
-  app.get('/api/storage/status', async (req, res) => {
-    res.json({
-      cloudinary: {
-        configured: hasCloudinary,
-        features: hasCloudinary ? ['images', 'videos'] : []
-      },
-      database: {
-        configured: hasDatabase,
-        features: hasDatabase ? ['characters', 'projects', 'videos', 'presets', 'prompts'] : []
-      },
-      recommendations: !hasCloudinary ? [
-        'Set up Cloudinary for permanent video storage',
-        'Videos from Sora expire after ~24 hours without Cloudinary'
-      ] : []
-    });
+  // Cover candidates of a video and the one that is chosen
+  app.get('/api/videos/:id/covers', async (req, res) => {
+    try {
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+      const covers = await db.listVideoCovers(video.id);
+      res.json({ videoId: video.id, coverId: video.cover_id, coverUrl: video.cover_url, covers });
+    } catch (err) {
+      console.error('Error listing covers:', err);
+      res.status(500).json({ error: 'Failed to list covers', details: err.message });
+    }
   });
 
-  // Get favorited videos only
-  app.get('/api/videos/favorites', async (req, res) => {
+  /**
+   * Choose a video's cover
+   *
+   * PUT /api/videos/:id/cover
+   * Body: {
+   *   coverId: string - A candidate of this video (null clears the cover)
+   *   title, titlePosition, titleStyle - Optional, draw a title onto the candidate
+   *     (saved as a new candidate, which becomes the cover)
+   * }
+   */
+  app.put('/api/videos/:id/cover', requireRole(...GENERATION_ROLES), async (req, res) => {
     try {
-      const videos = await db.listVideos(null, true);
-      res.json(videos);
+      const video = await db.getVideo(req.params.id);
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      const { coverId } = req.body;
+      if (coverId === undefined) {
+        return res.status(400).json({ error: 'coverId is required (null to clear the cover)' });
+      }
+      if (coverId === null) {
+        const updated = await db.setVideoCover(video.id, null);
+        return res.json({ success: true, video: updated, cover: null });
+      }
+
+      let cover = await db.getVideoCover(coverId);
+      if (!cover || cover.video_id !== video.id) {
+        return res.status(404).json({ error: 'Cover not found for this video' });
+      }
+
+      const titleOptions = coverTitleOptions(req.body);
+      if (titleOptions) {
+        const { buffer } = await fetchAsset(cover.image_url);
+        const stored = await storage.uploadImage(await compositeCoverTitle(buffer, titleOptions.title, titleOptions), { folder: 'goblina-covers' });
+        cover = await db.saveVideoCover({
+          id: `cover_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          videoId: video.id,
+          source: cover.source,
+          stored,
+          timeSeconds: cover.time_seconds,
+          sharpness: cover.sharpness,
+          title: titleOptions.title,
+          generatedImageId: cover.generated_image_id,
+          metadata: { ...cover.metadata, baseCoverId: cover.id, titlePosition: titleOptions.position, titleStyle: titleOptions.style },
+          createdBy: req.user?.id || null
+        });
+      }
+
+      const updated = await db.setVideoCover(video.id, cover);
+      console.log(`🖼️ Video ${video.id} cover set to ${cover.id}`);
+      res.json({ success: true, video: updated, cover });
     } catch (err) {
-      console.error('Error listing favorites:', err);
-      res.status(500).json({ error: 'Failed to list favorites', details: err.message });
+      if (err.status === 400) {
+        return res.status(400).json({ error: err.message });
+      }
+      console.error('Error setting cover:', err);
+      res.status(500).json({ error: 'Failed to set cover', details: err.message });
     }
   });
 
@@ -2495,11 +6219,12 @@ if (hasDatabase) {
   // List all generated images
   app.get('/api/generated-images', async (req, res) => {
     try {
-      const { projectId, characterId, favorites, limit, offset } = req.query;
+      const { projectId, characterId, favorites, flagged, limit, offset } = req.query;
       const images = await db.listGeneratedImages({
         projectId,
         characterId,
         favoritesOnly: favorites === 'true',
+        flaggedOnly: flagged === 'true',
         limit: parseInt(limit) || 50,
         offset: parseInt(offset) || 0
       });
@@ -2510,6 +6235,21 @@ if (hasDatabase) {
     }
   });
 
+  // Images and videos whose character consistency score fell below the threshold
+  app.get('/api/consistency/flagged', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const [images, videos] = await Promise.all([
+        db.listGeneratedImages({ flaggedOnly: true, limit }),
+        db.listFlaggedVideos(limit)
+      ]);
+      res.json({ threshold: CONSISTENCY_THRESHOLD, images, videos });
+    } catch (err) {
+      console.error('Error listing flagged results:', err);
+      res.status(500).json({ error: 'Failed to list flagged results', details: err.message });
+    }
+  });
+
   // Get recent images for gallery
   app.get('/api/generated-images/recent', async (req, res) => {
     try {
@@ -2537,7 +6277,7 @@ if (hasDatabase) {
   });
 
   // Toggle favorite on an image
-  app.post('/api/generated-images/favorite', async (req, res) => {
+  app.post('/api/generated-images/favorite', requireRole(...GENERATION_ROLES), async (req, res) => {
     try {
       const { id, isFavorite } = req.body;
       if (!id) {
@@ -2552,7 +6292,7 @@ if (hasDatabase) {
   });
 
   // Delete a generated image
-  app.delete('/api/generated-images/:id', async (req, res) => {
+  app.delete('/api/generated-images/:id', requireRole(...GENERATION_ROLES), async (req, res) => {
     try {
       await db.deleteGeneratedImage(req.params.id);
       res.json({ success: true });
@@ -2584,7 +6324,7 @@ if (hasDatabase) {
     }
   });
 
-  app.post('/api/personalities/custom/save', async (req, res) => {
+  app.post('/api/personalities/custom/save', requireRole(...GENERATION_ROLES), async (req, res) => {
     try {
       const { id, name, description, tone, humorStyle, captionStyle, emojiUsage } = req.body;
       if (!id || !name) {
@@ -2600,7 +6340,7 @@ if (hasDatabase) {
     }
   });
 
-  app.delete('/api/personalities/custom/:id', async (req, res) => {
+  app.delete('/api/personalities/custom/:id', requireRole(...GENERATION_ROLES), async (req, res) => {
     try {
       await db.deletePersonalityPreset(req.params.id);
       res.json({ success: true });
@@ -2621,6 +6361,23 @@ async function startServer() {
     try {
       await db.initDatabase();
       console.log('✅ Database initialized');
+
+      // Store the built-in prompt templates as version 1
+      await db.seedPromptTemplates(DEFAULT_PROMPT_TEMPLATES);
+
+      // Seed the first admin and turn on account logins
+      await bootstrapUserAccounts();
+      console.log(`👤 User accounts: ${hasUserAccounts ? 'enabled' : 'none yet (create one via /api/users/save)'}`);
+
+      // Resume polling of Sora jobs (including ones started before a restart)
+      if (hasOpenAI) {
+        startJobRunner();
+      }
+
+      // Archive completed videos that were missed (restarts, upload errors)
+      if (hasOpenAI) {
+        startArchiveSweeper();
+      }
     } catch (err) {
       console.error('❌ Failed to initialize database:', err);
       console.log('⚠️ Continuing without database persistence...');
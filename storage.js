@@ -0,0 +1,398 @@
+import fs from 'fs';
+import path from 'path';
+import net from 'net';
+import dns from 'dns/promises';
+import fetch from 'node-fetch';
+import sharp from 'sharp';
+import { v2 as cloudinary } from 'cloudinary';
+import { probeVideo } from './video-tools.js';
+
+// Backends that can hold generated images and videos
+export const STORAGE_BACKENDS = ['cloudinary', 'local', 's3'];
+
+// Local driver defaults (files are served by Express from LOCAL_STORAGE_PUBLIC_PATH)
+const DEFAULT_LOCAL_DIR = 'storage';
+const DEFAULT_LOCAL_PUBLIC_PATH = '/storage';
+
+// Files on disk can only be uploaded from here (multer uploads and ffmpeg work dirs)
+const UPLOADS_DIR = 'uploads';
+
+const MIME_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'video/mp4': 'mp4',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm'
+};
+
+function localDir() {
+  return process.env.LOCAL_STORAGE_DIR || DEFAULT_LOCAL_DIR;
+}
+
+function localPublicPath() {
+  return (process.env.LOCAL_STORAGE_PUBLIC_PATH || DEFAULT_LOCAL_PUBLIC_PATH).replace(/\/$/, '');
+}
+
+function guessContentType(filePath, fallback) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+  const match = Object.entries(MIME_EXTENSIONS).find(([, e]) => e === ext || (ext === 'jpeg' && e === 'jpg'));
+  return match ? match[0] : fallback;
+}
+
+// Loopback, private, link-local, CGNAT, multicast and unspecified addresses
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split('.').map(Number);
+    return a === 0 || a === 10 || a === 127 || a >= 224 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168);
+  }
+  const lower = address.toLowerCase();
+  // IPv4-mapped (::ffff:192.168.0.1, which URL parsing turns into ::ffff:c0a8:1)
+  const mapped = lower.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+  if (mapped) {
+    const [high, low] = [parseInt(mapped[2], 16), parseInt(mapped[3], 16)];
+    return isPrivateAddress(mapped[1] || [high >> 8, high & 255, low >> 8, low & 255].join('.'));
+  }
+  return lower === '::' || lower === '::1' || /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || lower.startsWith('ff');
+}
+
+/**
+ * Make sure a URL is http(s) and points at the public internet (not this host or its network)
+ * @param {string} url - URL from a request
+ * @throws {Error} - When the URL is invalid or resolves to a private address
+ */
+export async function assertPublicUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new Error('Only http(s) URLs can be fetched');
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host) ? [host] : (await dns.lookup(host, { all: true })).map(entry => entry.address);
+  if (addresses.some(isPrivateAddress)) {
+    throw new Error(`URL points at a private address: ${parsed.hostname}`);
+  }
+}
+
+/**
+ * Make sure an image URL from a request is safe to store and fetch later
+ * Data URLs and files of the local storage driver are fine; anything else must be a public http(s) URL
+ * @param {string} url - Image URL from a request
+ * @throws {Error} - When the URL can't be used
+ */
+export async function assertImageUrl(url) {
+  if (typeof url !== 'string') {
+    throw new Error('Image URL must be a string');
+  }
+  if (/^data:image\//i.test(url) || url.startsWith(`${localPublicPath()}/`)) return;
+  await assertPublicUrl(url);
+}
+
+/**
+ * Read an asset URL into memory
+ * Handles http(s) URLs, data URLs and URLs served by the local storage driver
+ * @param {string} url - Asset URL
+ * @param {object} options - { publicOnly: for URLs from requests, refuse hosts on this machine's network and redirects }
+ * @returns {Promise<{buffer: Buffer, contentType: string}>}
+ */
+export async function fetchAsset(url, { publicOnly = false } = {}) {
+  if (url.startsWith('data:')) {
+    const [header, base64Data] = url.split(',');
+    return {
+      buffer: Buffer.from(base64Data, 'base64'),
+      contentType: header.match(/data:([^;]+)/)?.[1] || 'application/octet-stream'
+    };
+  }
+
+  const publicPath = localPublicPath();
+  if (url.startsWith(`${publicPath}/`)) {
+    const rootDir = path.resolve(localDir());
+    const filePath = path.resolve(rootDir, decodeURIComponent(url.slice(publicPath.length + 1)));
+    if (!filePath.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid local asset path: ${url}`);
+    }
+    return {
+      buffer: fs.readFileSync(filePath),
+      contentType: guessContentType(filePath, 'application/octet-stream')
+    };
+  }
+
+  if (publicOnly) {
+    await assertPublicUrl(url);
+  }
+  // A redirect could lead anywhere, so checked URLs must answer directly
+  const response = await fetch(url, publicOnly ? { redirect: 'error' } : {});
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url} (${response.status})`);
+  }
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    contentType: response.headers.get('content-type') || 'application/octet-stream'
+  };
+}
+
+/**
+ * Resolve a file path given as an upload source
+ * @throws {Error} - When the file is outside the upload directory
+ */
+function uploadFilePath(source) {
+  const uploadsRoot = path.resolve(UPLOADS_DIR);
+  const filePath = path.resolve(source);
+  if (!filePath.startsWith(uploadsRoot + path.sep)) {
+    throw new Error(`Only files in ${UPLOADS_DIR}/ can be uploaded`);
+  }
+  return filePath;
+}
+
+function isRemoteSource(source) {
+  return source.startsWith('data:') || /^https?:\/\//i.test(source);
+}
+
+/**
+ * Turn an upload source (Buffer, data URL, http URL, local storage URL or a file in uploads/) into a Buffer
+ */
+async function readSource(source, fallbackType) {
+  if (Buffer.isBuffer(source)) {
+    return { buffer: source, contentType: fallbackType };
+  }
+  if (isRemoteSource(source) || source.startsWith(`${localPublicPath()}/`)) {
+    return fetchAsset(source);
+  }
+  const filePath = uploadFilePath(source);
+  return {
+    buffer: fs.readFileSync(filePath),
+    contentType: guessContentType(filePath, fallbackType)
+  };
+}
+
+function buildKey(folder, contentType) {
+  const ext = MIME_EXTENSIONS[contentType] || 'bin';
+  return `${folder}/${Date.now()}_${Math.random().toString(36).substr(2, 9)}.${ext}`;
+}
+
+/**
+ * Shrink an image so neither side exceeds maxDimension (matches Cloudinary's 'limit' crop)
+ */
+async function limitImageSize(buffer, maxDimension) {
+  if (!maxDimension) return buffer;
+  return sharp(buffer)
+    .resize(maxDimension, maxDimension, { fit: 'inside', withoutEnlargement: true })
+    .toBuffer();
+}
+
+/**
+ * Read duration of a video buffer (null when ffprobe isn't available)
+ */
+async function probeDuration(buffer) {
+  const tempPath = path.join('uploads', `probe_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.mp4`);
+  try {
+    fs.writeFileSync(tempPath, buffer);
+    const probe = await probeVideo(tempPath);
+    return probe.duration;
+  } catch (err) {
+    return null;
+  } finally {
+    fs.unlink(tempPath, () => {});
+  }
+}
+
+// ==========================================
+// CLOUDINARY DRIVER
+// ==========================================
+
+function createCloudinaryDriver() {
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+  });
+
+  return {
+    name: 'cloudinary',
+
+    async uploadImage(source, { folder, maxDimension = null, contentType = 'image/png' } = {}) {
+      const input = Buffer.isBuffer(source)
+        ? `data:${contentType};base64,${source.toString('base64')}`
+        : isRemoteSource(source) ? source : uploadFilePath(source);
+      const result = await cloudinary.uploader.upload(input, {
+        folder,
+        resource_type: 'image',
+        ...(maxDimension && {
+          transformation: [
+            { width: maxDimension, height: maxDimension, crop: 'limit' },
+            { quality: 'auto' }
+          ]
+        })
+      });
+      return { url: result.secure_url, publicId: result.public_id, bytes: result.bytes, backend: 'cloudinary' };
+    },
+
+    async uploadVideo(source, { folder } = {}) {
+      const input = Buffer.isBuffer(source) || isRemoteSource(source) ? source : uploadFilePath(source);
+      const result = await cloudinary.uploader.upload(input, {
+        folder,
+        resource_type: 'video',
+        eager: [
+          { format: 'mp4', video_codec: 'h264' }
+        ],
+        eager_async: true
+      });
+      return {
+        url: result.secure_url,
+        publicId: result.public_id,
+        duration: result.duration,
+        format: result.format,
+        bytes: result.bytes,
+        backend: 'cloudinary'
+      };
+    },
+
+    async remove(publicId, { resourceType = 'image' } = {}) {
+      await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+    }
+  };
+}
+
+// ==========================================
+// LOCAL FILESYSTEM DRIVER
+// ==========================================
+
+function createLocalDriver() {
+  const rootDir = localDir();
+  const publicPath = localPublicPath();
+  fs.mkdirSync(rootDir, { recursive: true });
+
+  async function writeFile(buffer, folder, contentType) {
+    const key = buildKey(folder, contentType);
+    const filePath = path.join(rootDir, key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buffer);
+    return { url: `${publicPath}/${key}`, publicId: key, bytes: buffer.length };
+  }
+
+  return {
+    name: 'local',
+    // Express serves rootDir at publicPath
+    staticDir: rootDir,
+    publicPath,
+
+    async uploadImage(source, { folder, maxDimension = null, contentType = 'image/png' } = {}) {
+      const input = await readSource(source, contentType);
+      const buffer = await limitImageSize(input.buffer, maxDimension);
+      const stored = await writeFile(buffer, folder, input.contentType);
+      return { ...stored, backend: 'local' };
+    },
+
+    async uploadVideo(source, { folder } = {}) {
+      const input = await readSource(source, 'video/mp4');
+      const stored = await writeFile(input.buffer, folder, input.contentType);
+      return { ...stored, duration: await probeDuration(input.buffer), format: 'mp4', backend: 'local' };
+    },
+
+    async remove(publicId) {
+      fs.rmSync(path.join(rootDir, publicId), { force: true });
+    }
+  };
+}
+
+// ==========================================
+// S3-COMPATIBLE DRIVER (AWS S3, MinIO, R2...)
+// ==========================================
+
+async function createS3Driver() {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = await import('@aws-sdk/client-s3');
+
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage backend');
+  }
+
+  const region = process.env.S3_REGION || 'us-east-1';
+  const endpoint = process.env.S3_ENDPOINT || null;
+  const client = new S3Client({
+    region,
+    ...(endpoint && { endpoint, forcePathStyle: true }),
+    credentials: {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    }
+  });
+
+  // MinIO and other custom endpoints use path-style URLs
+  const publicBaseUrl = (process.env.S3_PUBLIC_URL ||
+    (endpoint ? `${endpoint.replace(/\/$/, '')}/${bucket}` : `https://${bucket}.s3.${region}.amazonaws.com`)
+  ).replace(/\/$/, '');
+
+  async function putObject(buffer, folder, contentType) {
+    const key = buildKey(folder, contentType);
+    await client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+    return { url: `${publicBaseUrl}/${key}`, publicId: key, bytes: buffer.length };
+  }
+
+  return {
+    name: 's3',
+
+    async uploadImage(source, { folder, maxDimension = null, contentType = 'image/png' } = {}) {
+      const input = await readSource(source, contentType);
+      const buffer = await limitImageSize(input.buffer, maxDimension);
+      const stored = await putObject(buffer, folder, input.contentType);
+      return { ...stored, backend: 's3' };
+    },
+
+    async uploadVideo(source, { folder } = {}) {
+      const input = await readSource(source, 'video/mp4');
+      const stored = await putObject(input.buffer, folder, input.contentType);
+      return { ...stored, duration: await probeDuration(input.buffer), format: 'mp4', backend: 's3' };
+    },
+
+    async remove(publicId) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: publicId }));
+    }
+  };
+}
+
+/**
+ * Create the storage driver selected by STORAGE_BACKEND
+ * Defaults to Cloudinary when its credentials are set, otherwise local disk
+ * @returns {Promise<object>} - Driver with uploadImage, uploadVideo and remove
+ */
+export async function createStorage() {
+  const hasCloudinary = !!(
+    process.env.CLOUDINARY_CLOUD_NAME &&
+    process.env.CLOUDINARY_API_KEY &&
+    process.env.CLOUDINARY_API_SECRET
+  );
+  const backend = process.env.STORAGE_BACKEND || (hasCloudinary ? 'cloudinary' : 'local');
+
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Invalid STORAGE_BACKEND: ${backend}. Valid options: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (backend === 'cloudinary') {
+    if (!hasCloudinary) {
+      throw new Error('Cloudinary storage requires CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY and CLOUDINARY_API_SECRET');
+    }
+    return createCloudinaryDriver();
+  }
+
+  if (backend === 's3') {
+    return createS3Driver();
+  }
+
+  return createLocalDriver();
+}
@@ -0,0 +1,73 @@
+import { sceneOverlays, wrapText } from './overlays.js';
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+// Common subtitle guideline: at most 42 characters per line
+const SUBTITLE_LINE_LENGTH = 42;
+
+/**
+ * Timed cues for a sequence of clips: each clip's dialogue ("Name: line", one per line)
+ * is spread evenly over the clip, offset by where the clip starts
+ * @param {Array<{start: number, duration: number, dialogue: string}>} segments - Clips in playback order
+ *   (start and duration in seconds; clips without a duration or dialogue get no cues)
+ * @returns {Array<{start: number, end: number, speaker: string|null, text: string}>}
+ */
+export function subtitleCues(segments) {
+  const cues = [];
+  for (const segment of segments) {
+    if (!segment.dialogue || !(segment.duration > 0)) continue;
+    for (const line of sceneOverlays({ dialogue: segment.dialogue, duration: segment.duration })) {
+      cues.push({
+        start: segment.start + line.start,
+        end: segment.start + line.end,
+        speaker: line.speaker,
+        text: wrapText(line.text, SUBTITLE_LINE_LENGTH)
+      });
+    }
+  }
+  return cues;
+}
+
+/**
+ * Place scenes one after the other (hard cuts) for subtitleCues
+ * @param {Array<{duration: number, dialogue: string}>} scenes - Scenes in playback order
+ * @returns {Array<{start: number, duration: number, dialogue: string}>}
+ */
+export function sequentialSegments(scenes) {
+  let start = 0;
+  return scenes.map(scene => {
+    const segment = { start, duration: scene.duration || 0, dialogue: scene.dialogue };
+    start += segment.duration;
+    return segment;
+  });
+}
+
+// 3723.5 -> 01:02:03,500 (SRT) / 01:02:03.500 (WebVTT)
+function timestamp(seconds, separator) {
+  const ms = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * Write cues as an SRT or WebVTT file
+ * Speakers are named in the text ("Name: line" in SRT, a <v Name> voice tag in WebVTT)
+ * @param {Array<object>} cues - From subtitleCues
+ * @param {string} format - 'srt' or 'vtt'
+ * @returns {string}
+ */
+export function formatSubtitles(cues, format = 'srt') {
+  if (format === 'vtt') {
+    const blocks = cues.map(cue => {
+      // Cue text can't contain "-->" and treats < and & as markup
+      const text = cue.text.replace(/-->/g, '->').replace(/&/g, '&amp;').replace(/</g, '&lt;');
+      const voice = cue.speaker ? `<v ${cue.speaker.replace(/[<>&]/g, '')}>` : '';
+      return `${timestamp(cue.start, '.')} --> ${timestamp(cue.end, '.')}\n${voice}${text}`;
+    });
+    return blocks.length ? `WEBVTT\n\n${blocks.join('\n\n')}\n` : 'WEBVTT\n';
+  }
+
+  return cues.map((cue, i) => (
+    `${i + 1}\n${timestamp(cue.start, ',')} --> ${timestamp(cue.end, ',')}\n${cue.speaker ? `${cue.speaker}: ` : ''}${cue.text}`
+  )).join('\n\n') + '\n';
+}
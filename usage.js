@@ -0,0 +1,77 @@
+// Estimated list prices in USD (update when providers change pricing)
+// Chat models are priced per million tokens, Sora per second of video, image models per image
+const DEFAULT_PRICING = {
+  'gpt-4.1': { inputPerMillion: 2.0, outputPerMillion: 8.0 },
+  'gpt-4.1-mini': { inputPerMillion: 0.4, outputPerMillion: 1.6 },
+  'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10.0 },
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+  'sora-2': { perSecond: { default: 0.10 } },
+  'sora-2-pro': { perSecond: { default: 0.30, '1024x1792': 0.50, '1792x1024': 0.50 } },
+  'gemini-2.5-flash-image': { perImage: { default: 0.039 } },
+  'gemini-3-pro-image-preview': { perImage: { default: 0.134, '4K': 0.24 } }
+};
+
+// Prices can be overridden or extended with a JSON object in USAGE_PRICING
+export const MODEL_PRICING = {
+  ...DEFAULT_PRICING,
+  ...(process.env.USAGE_PRICING ? JSON.parse(process.env.USAGE_PRICING) : {})
+};
+
+export const BUDGET_PERIODS = ['daily', 'monthly'];
+
+/**
+ * Estimate the cost of one AI call
+ * @param {object} entry - { model, inputTokens, outputTokens, seconds, resolution, units }
+ * @returns {number} - Estimated cost in USD (0 for unknown models)
+ */
+export function estimateCost({ model, inputTokens = 0, outputTokens = 0, seconds = 0, resolution = null, units = 1 }) {
+  const pricing = MODEL_PRICING[model];
+  if (!pricing) return 0;
+
+  let cost = 0;
+  if (pricing.inputPerMillion || pricing.outputPerMillion) {
+    cost += ((inputTokens || 0) / 1e6) * (pricing.inputPerMillion || 0);
+    cost += ((outputTokens || 0) / 1e6) * (pricing.outputPerMillion || 0);
+  }
+  if (pricing.perSecond) {
+    const rate = pricing.perSecond[resolution] ?? pricing.perSecond.default;
+    cost += (Number(seconds) || 0) * rate;
+  }
+  if (pricing.perImage) {
+    const rate = pricing.perImage[resolution] ?? pricing.perImage.default;
+    cost += (units || 1) * rate;
+  }
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Read budget limits from the environment
+ * BUDGET_TEAM_DAILY_USD / BUDGET_TEAM_MONTHLY_USD cap everyone together,
+ * BUDGET_USER_DAILY_USD / BUDGET_USER_MONTHLY_USD cap each user
+ * @returns {Array<{scope: string, period: string, limitUsd: number}>}
+ */
+export function readBudgets() {
+  const budgets = [];
+  for (const scope of ['team', 'user']) {
+    for (const period of BUDGET_PERIODS) {
+      const value = process.env[`BUDGET_${scope.toUpperCase()}_${period.toUpperCase()}_USD`];
+      if (value !== undefined && value !== '' && !isNaN(parseFloat(value))) {
+        budgets.push({ scope, period, limitUsd: parseFloat(value) });
+      }
+    }
+  }
+  return budgets;
+}
+
+/**
+ * Start of the current budget period (UTC)
+ * @param {string} period - daily or monthly
+ * @param {Date} now - Reference time
+ * @returns {Date}
+ */
+export function periodStart(period, now = new Date()) {
+  if (period === 'monthly') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
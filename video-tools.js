@@ -0,0 +1,442 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { DEFAULT_CAPTION_STYLE, wrapText } from './overlays.js';
+
+// ffmpeg/ffprobe binaries (override when they are not on PATH)
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Transitions supported when stitching clips together
+export const COMPOSITION_TRANSITIONS = ['cut', 'crossfade', 'fade-to-black'];
+
+// Map our transition names to ffmpeg xfade transition names
+const XFADE_TRANSITIONS = {
+  'crossfade': 'fade',
+  'fade-to-black': 'fadeblack'
+};
+
+/**
+ * Run a binary and collect its output
+ * @param {string} command - Binary to run
+ * @param {string[]} args - Command line arguments
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+function runProcess(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args);
+    let stdout = '';
+    let stderr = '';
+
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', err => reject(err));
+    child.on('close', code => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        // ffmpeg prints the useful part of the error at the end
+        const tail = stderr.trim().split('\n').slice(-5).join('\n');
+        reject(new Error(`${command} exited with code ${code}: ${tail}`));
+      }
+    });
+  });
+}
+
+/**
+ * Run ffmpeg with the given arguments (always overwrites the output)
+ * @param {string[]} args - ffmpeg arguments
+ */
+export async function runFfmpeg(args) {
+  return runProcess(FFMPEG_PATH, ['-y', '-hide_banner', '-loglevel', 'error', ...args]);
+}
+
+/**
+ * Check whether ffmpeg and ffprobe can be executed
+ * @returns {Promise<boolean>}
+ */
+export async function isFfmpegAvailable() {
+  try {
+    await runProcess(FFMPEG_PATH, ['-version']);
+    await runProcess(FFPROBE_PATH, ['-version']);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Read duration, dimensions and audio presence of a video file
+ * @param {string} filePath - Path to the video file
+ * @returns {Promise<{duration: number, width: number, height: number, hasAudio: boolean}>}
+ */
+export async function probeVideo(filePath) {
+  const { stdout } = await runProcess(FFPROBE_PATH, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    filePath
+  ]);
+
+  const info = JSON.parse(stdout);
+  const videoStream = (info.streams || []).find(s => s.codec_type === 'video');
+  if (!videoStream) {
+    throw new Error(`No video stream found in ${filePath}`);
+  }
+
+  return {
+    duration: parseFloat(info.format?.duration || videoStream.duration || 0),
+    width: videoStream.width,
+    height: videoStream.height,
+    hasAudio: (info.streams || []).some(s => s.codec_type === 'audio')
+  };
+}
+
+/**
+ * Where each clip starts in a composition, given the transitions between them
+ * (a crossfade or fade-to-black overlaps the clips on either side of it)
+ * @param {number[]} durations - Clip lengths in seconds, in order
+ * @param {object} options - { transition, transitions, transitionDuration } as for composeClips
+ * @returns {{starts: number[], fades: number[], duration: number}} - fades[i] is the overlap
+ *   between clip i and clip i + 1 (0 for a cut)
+ */
+export function compositionTimeline(durations, { transition = 'cut', transitions = [], transitionDuration = 0.5 } = {}) {
+  const starts = [0];
+  const fades = [];
+  let total = durations[0] || 0;
+
+  for (let i = 1; i < durations.length; i++) {
+    const boundary = transitions[i - 1] || transition;
+    // A transition can't be longer than either side of it
+    const fade = boundary === 'cut' ? 0 : Math.max(0, Math.min(transitionDuration, total, durations[i]) * 0.99);
+    fades.push(fade);
+    starts.push(total - fade);
+    total += durations[i] - fade;
+  }
+
+  return { starts, fades, duration: total };
+}
+
+/**
+ * Concatenate clips into a single MP4 with transitions between them
+ *
+ * Every clip is scaled/padded to the size of the first clip and resampled to a
+ * common frame rate and audio format so ffmpeg can join them. Clips without an
+ * audio track get silence so the audio chain stays in sync.
+ *
+ * @param {string[]} inputPaths - Ordered list of local clip paths
+ * @param {string} outputPath - Where to write the composed MP4
+ * @param {object} options - Composition options
+ * @param {string} options.transition - Default transition (cut, crossfade, fade-to-black)
+ * @param {string[]} options.transitions - Optional per-boundary transitions (length = clips - 1)
+ * @param {number} options.transitionDuration - Transition length in seconds
+ * @param {number} options.fps - Output frame rate
+ * @param {string} options.subtitlePath - SRT file to add as a soft (selectable) subtitle track
+ * @param {string} options.subtitleLanguage - ISO 639-2 language of the subtitles
+ * @returns {Promise<{duration: number, width: number, height: number}>}
+ */
+export async function composeClips(inputPaths, outputPath, options = {}) {
+  const {
+    transition = 'cut',
+    transitions = [],
+    transitionDuration = 0.5,
+    fps = 30,
+    subtitlePath = null,
+    subtitleLanguage = 'eng'
+  } = options;
+
+  if (!inputPaths.length) {
+    throw new Error('At least one clip is required');
+  }
+
+  const probes = [];
+  for (const inputPath of inputPaths) {
+    probes.push(await probeVideo(inputPath));
+  }
+
+  const shortest = Math.min(...probes.map(probe => probe.duration));
+  const fades = (transitions.length ? transitions : [transition]).some(t => t !== 'cut');
+  if (inputPaths.length > 1 && fades && !(transitionDuration > 0 && transitionDuration < shortest)) {
+    throw new Error(`transitionDuration must be between 0 and the shortest clip (${shortest.toFixed(2)}s)`);
+  }
+
+  const { width, height } = probes[0];
+  const filters = [];
+
+  // Normalize every input to the same size, frame rate and audio format
+  probes.forEach((probe, i) => {
+    filters.push(
+      `[${i}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p[v${i}]`
+    );
+    if (probe.hasAudio) {
+      filters.push(`[${i}:a]aformat=sample_rates=48000:channel_layouts=stereo[a${i}]`);
+    } else {
+      filters.push(`anullsrc=r=48000:cl=stereo,atrim=duration=${probe.duration}[a${i}]`);
+    }
+  });
+
+  // Chain clips one boundary at a time so cuts and fades can be mixed
+  const timeline = compositionTimeline(probes.map(probe => probe.duration), { transition, transitions, transitionDuration });
+  let videoLabel = 'v0';
+  let audioLabel = 'a0';
+
+  for (let i = 1; i < probes.length; i++) {
+    const boundary = transitions[i - 1] || transition;
+    if (!COMPOSITION_TRANSITIONS.includes(boundary)) {
+      throw new Error(`Invalid transition: ${boundary}. Valid options: ${COMPOSITION_TRANSITIONS.join(', ')}`);
+    }
+
+    const nextVideo = `vc${i}`;
+    const nextAudio = `ac${i}`;
+    const fade = timeline.fades[i - 1];
+
+    if (fade <= 0) {
+      filters.push(`[${videoLabel}][${audioLabel}][v${i}][a${i}]concat=n=2:v=1:a=1[${nextVideo}][${nextAudio}]`);
+    } else {
+      const offset = timeline.starts[i].toFixed(3);
+      filters.push(
+        `[${videoLabel}][v${i}]xfade=transition=${XFADE_TRANSITIONS[boundary]}:duration=${fade.toFixed(3)}:offset=${offset}[${nextVideo}]`
+      );
+      filters.push(`[${audioLabel}][a${i}]acrossfade=d=${fade.toFixed(3)}[${nextAudio}]`);
+    }
+
+    videoLabel = nextVideo;
+    audioLabel = nextAudio;
+  }
+
+  const args = [];
+  for (const inputPath of inputPaths) {
+    args.push('-i', inputPath);
+  }
+  if (subtitlePath) {
+    args.push('-i', subtitlePath);
+  }
+  args.push(
+    '-filter_complex', filters.join(';'),
+    '-map', `[${videoLabel}]`,
+    '-map', `[${audioLabel}]`
+  );
+  if (subtitlePath) {
+    // MP4 only takes mov_text subtitles
+    args.push(
+      '-map', `${inputPaths.length}:s`,
+      '-c:s', 'mov_text',
+      '-metadata:s:s:0', `language=${subtitleLanguage}`
+    );
+  }
+  args.push(
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '20',
+    '-c:a', 'aac',
+    '-b:a', '192k',
+    '-movflags', '+faststart',
+    outputPath
+  );
+
+  await runFfmpeg(args);
+
+  return { duration: timeline.duration, width, height };
+}
+
+/**
+ * Save a single frame of a video as an image
+ * @param {string} videoPath - Path to the video file
+ * @param {string} outputPath - Image path (format from the extension, e.g. .png)
+ * @param {number} timeSeconds - Position of the frame
+ */
+export async function extractFrame(videoPath, outputPath, timeSeconds = 0) {
+  await runFfmpeg([
+    '-ss', timeSeconds.toFixed(3),
+    '-i', videoPath,
+    '-frames:v', '1',
+    outputPath
+  ]);
+}
+
+/**
+ * Find the shot changes in a video
+ * @param {string} videoPath - Path to the video file
+ * @param {object} options - { threshold: scene score (0-1) that counts as a change, limit: most changes to return }
+ * @returns {Promise<Array<{time: number, score: number}>>} - Strongest changes first
+ */
+export async function detectSceneChanges(videoPath, { threshold = 0.3, limit = 10 } = {}) {
+  // The metadata filter prints "pts_time:..." then "lavfi.scene_score=..." for every selected frame
+  const { stdout } = await runFfmpeg([
+    '-i', videoPath,
+    '-an',
+    '-vf', `select='gt(scene,${threshold})',metadata=print:file=-`,
+    '-f', 'null',
+    '-'
+  ]);
+
+  const changes = [];
+  let time = null;
+  for (const line of stdout.split('\n')) {
+    const frame = line.match(/pts_time:([\d.]+)/);
+    const score = line.match(/lavfi\.scene_score=([\d.]+)/);
+    if (frame) time = parseFloat(frame[1]);
+    else if (score && time !== null) changes.push({ time, score: parseFloat(score[1]) });
+  }
+  return changes.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+// Quote a value for a filter option in a -vf graph: the graph parser drops the quotes,
+// then the option parser still needs backslashes, colons and quotes escaped
+function filterQuote(value) {
+  const escaped = String(value).replace(/\\/g, '\\\\').replace(/:/g, '\\:');
+  return `'${escaped.replace(/'/g, "'\\\\\\''")}'`;
+}
+
+// drawtext x/y expressions for each OVERLAY_POSITIONS value (m = margin in pixels)
+function overlayCoordinates(position, m) {
+  const [vertical, horizontal = 'center'] = position === 'center' ? ['center'] : position.split('-');
+  const x = horizontal === 'left' ? `${m}` : horizontal === 'right' ? `w-text_w-${m}` : '(w-text_w)/2';
+  const y = vertical === 'top' ? `${m}` : vertical === 'bottom' ? `h-text_h-${m}` : '(h-text_h)/2';
+  return { x, y };
+}
+
+/**
+ * Burn text captions onto a video
+ *
+ * Each caption is drawn with ffmpeg's drawtext between its start and end time,
+ * wrapped to fit 90% of the frame width and sized relative to the video height.
+ * The audio track is copied as is.
+ *
+ * @param {string} inputPath - Source video
+ * @param {string} outputPath - Where to write the captioned MP4
+ * @param {Array<object>} overlays - [{ text, start, end, position, style }] (see normalizeOverlays;
+ *   style is merged over DEFAULT_CAPTION_STYLE, end null = until the end)
+ * @param {object} options
+ * @param {string} options.workDir - Scratch directory for the caption text files
+ * @param {string} options.fontFile - Font file to use instead of looking fonts up by family name
+ * @returns {Promise<{duration: number, width: number, height: number}>}
+ */
+export async function burnTextOverlays(inputPath, outputPath, overlays, { workDir, fontFile = null } = {}) {
+  const probe = await probeVideo(inputPath);
+  const { width, height, duration } = probe;
+  const margin = Math.round(height * 0.06);
+
+  const filters = overlays.map((overlay, i) => {
+    const style = { ...DEFAULT_CAPTION_STYLE, ...overlay.style };
+    const fontSize = Math.max(12, Math.round(height * style.fontScale));
+    // Average glyph is a bit over half as wide as it is tall
+    const maxChars = Math.max(8, Math.floor((width * 0.9) / (fontSize * 0.55)));
+    const text = wrapText(style.uppercase ? overlay.text.toUpperCase() : overlay.text, maxChars);
+
+    // The text goes in a file so nothing in it is read as filter syntax
+    const textPath = path.join(workDir, `overlay_${i}.txt`);
+    fs.writeFileSync(textPath, text);
+
+    const { x, y } = overlayCoordinates(overlay.position, margin);
+    const end = overlay.end ?? duration;
+    const options = [
+      fontFile ? `fontfile=${filterQuote(fontFile)}` : `font=${filterQuote(style.font)}`,
+      `textfile=${filterQuote(textPath)}`,
+      'expansion=none',
+      `fontsize=${fontSize}`,
+      `fontcolor=${style.color}`,
+      `line_spacing=${Math.round(fontSize * 0.25)}`,
+      `x=${x}`,
+      `y=${y}`,
+      `enable='between(t,${overlay.start.toFixed(3)},${end.toFixed(3)})'`
+    ];
+    if (style.outlineWidth > 0) {
+      options.push(`borderw=${style.outlineWidth}`, `bordercolor=${style.outlineColor}`);
+    }
+    if (style.boxColor) {
+      options.push('box=1', `boxcolor=${style.boxColor}@${style.boxOpacity}`, `boxborderw=${Math.round(fontSize * 0.3)}`);
+    }
+    return `drawtext=${options.join(':')}`;
+  });
+
+  await runFfmpeg([
+    '-i', inputPath,
+    '-vf', filters.join(','),
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '20',
+    '-c:a', 'copy',
+    '-movflags', '+faststart',
+    outputPath
+  ]);
+
+  return { duration, width, height };
+}
+
+// Filter graph that fits [0:v] into width x height (see REFRAME_MODES) and labels it [v]
+function reframeFilter(source, { width, height, fps, reframe }) {
+  const cover = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+  const output = `setsar=1,fps=${fps},format=yuv420p[v]`;
+
+  // Same shape (within 1%): nothing to crop or pad
+  if (Math.abs(source.width / source.height - width / height) < 0.01 * (width / height)) {
+    return `[0:v]scale=${width}:${height},${output}`;
+  }
+  if (reframe === 'crop') {
+    return `[0:v]${cover},${output}`;
+  }
+  if (reframe === 'letterbox') {
+    return `[0:v]${fit},pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black,${output}`;
+  }
+  const blur = Math.max(10, Math.round(Math.min(width, height) / 40));
+  return `[0:v]split=2[bg][fg];[bg]${cover},boxblur=${blur}:2[blurred];[fg]${fit}[fitted];` +
+    `[blurred][fitted]overlay=(W-w)/2:(H-h)/2,${output}`;
+}
+
+/**
+ * Transcode a video for a platform
+ *
+ * The picture is reframed to the profile's size (crop, blurred background or
+ * letterbox), the video is cut at the profile's duration cap and the audio is
+ * normalized to its loudness target. Videos without audio stay silent.
+ *
+ * @param {string} inputPath - Source video
+ * @param {string} outputPath - Where to write the MP4
+ * @param {object} profile - From resolveExportProfile
+ *   ({ width, height, fps, videoBitrate, audioBitrate, maxDuration, loudness, reframe })
+ * @returns {Promise<{duration: number, width: number, height: number, trimmed: boolean, source: object}>}
+ */
+export async function exportVideo(inputPath, outputPath, profile) {
+  const source = await probeVideo(inputPath);
+  const trimmed = !!profile.maxDuration && source.duration > profile.maxDuration;
+  const duration = trimmed ? profile.maxDuration : source.duration;
+  // Rate control buffer of two seconds at the target bitrate
+  const bufferSize = profile.videoBitrate.replace(/^(\d+(?:\.\d+)?)/, value => String(Number(value) * 2));
+
+  const args = [
+    '-i', inputPath,
+    '-filter_complex', reframeFilter(source, profile),
+    '-map', '[v]'
+  ];
+  if (source.hasAudio) {
+    const { integrated, truePeak, range } = profile.loudness;
+    args.push(
+      '-map', '0:a:0',
+      '-af', `loudnorm=I=${integrated}:TP=${truePeak}:LRA=${range},aresample=48000`,
+      '-c:a', 'aac',
+      '-b:a', profile.audioBitrate,
+      '-ac', '2'
+    );
+  }
+  if (trimmed) {
+    args.push('-t', duration.toFixed(3));
+  }
+  args.push(
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-profile:v', 'high',
+    '-b:v', profile.videoBitrate,
+    '-maxrate', profile.videoBitrate,
+    '-bufsize', bufferSize,
+    '-movflags', '+faststart',
+    outputPath
+  );
+
+  await runFfmpeg(args);
+
+  return { duration, width: profile.width, height: profile.height, trimmed, source };
+}